@@ -11,6 +11,7 @@ import { shuffle } from '../lib/colors.js';
  * @property {string} name
  * @property {number[]} rgb
  * @property {number[]} oklch
+ * @property {number[]} [p3] - Original Display P3 value [r, g, b] 0-1; rgb is its sRGB fallback
  */
 
 /**
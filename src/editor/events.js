@@ -2,18 +2,39 @@
  * Editor event handlers
  */
 
-import { parseColorString } from '../lib/convert.js';
-import { rgbToHex } from '../lib/format.js';
+import { parseColor, oklchToRgb } from '../lib/convert.js';
+import { rgbToHex, rgbToString, oklchToString } from '../lib/format.js';
+import { validatePalette, previewColorChange } from '../lib/validate.js';
+import { suggestRepairs } from '../lib/repair.js';
+import { writeSwatchFile } from '../lib/swatches.js';
+import { downloadFile } from '../lib/download.js';
 import {
   state,
   createEmptyPalette,
   loadPaletteById,
   addColor,
-  saveDraft,
-  clearDraft,
+  updateColor,
+  deleteColor,
+  renamePalette,
+  replacePalette,
+  batch,
+  undo,
+  redo,
+  startEditing,
+  stopEditing,
+  getDraftColor,
+  importImage,
+  clearImageImport,
+  importSwatchFile,
   toggleMode
 } from './state.js';
-import { render, formatExport } from './render.js';
+import { render, formatExport, renderColorChangeFeedback, historyButtonAttributes } from './render.js';
+
+/** Edit panel text inputs that accept any CSS color */
+const EDIT_VALUE_INPUTS = ['edit-hex', 'edit-rgb', 'edit-oklch'];
+
+/** Edit panel OKLCH sliders, in channel order */
+const EDIT_SLIDERS = ['edit-l', 'edit-c', 'edit-h'];
 
 /**
  * Set up all event listeners
@@ -23,22 +44,22 @@ export function setupEventListeners() {
     const target = e.target;
 
     if (target.id === 'load-palette') {
+      // Replacing the palette is undoable, so there is nothing to confirm
       const selectedId = target.value;
+      stopEditing();
       if (selectedId) {
-        if (state.palette.colors.length > 0 && !confirm('Load existing palette? Current changes will be replaced.')) {
-          target.value = state.palette.id || '';
-          return;
-        }
         loadPaletteById(selectedId, render);
       } else {
-        if (state.palette.colors.length > 0 && !confirm('Start new palette? Current changes will be cleared.')) {
-          target.value = state.palette.id || '';
-          return;
-        }
-        state.palette = createEmptyPalette();
-        saveDraft();
+        replacePalette(createEmptyPalette());
         render();
       }
+    } else if (target.id === 'image-file' && target.files[0]) {
+      importImage(target.files[0]).then(render);
+    } else if (target.id === 'swatch-file' && target.files[0]) {
+      importSwatchFile(target.files[0]).then(render);
+    } else if (target.classList.contains('image-import__accept') && state.imageImport) {
+      state.imageImport.colors[parseInt(target.dataset.imageIndex, 10)].accepted = target.checked;
+      render();
     }
   });
 
@@ -46,24 +67,50 @@ export function setupEventListeners() {
     const target = e.target;
 
     if (target.id === 'palette-name') {
-      state.palette.name = target.value;
-      // ID is always derived from name. For loaded palettes, this overwrites the
-      // original ID on any name change. This is intentional: the editor is for
-      // creating new palettes, not editing deployed ones in-place.
-      state.palette.id = target.value.toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
-      saveDraft();
+      renamePalette(target.value);
+      updateHistoryButtons();
       const preview = document.getElementById('export-preview');
       if (preview) preview.textContent = formatExport(state.palette);
     } else if (target.id === 'color-picker') {
       document.getElementById('color-hex').value = target.value;
+      const errorEl = document.getElementById('color-parse-error');
+      if (errorEl) errorEl.textContent = '';
     } else if (target.id === 'color-hex') {
-      const rgb = parseColorString(target.value);
-      if (rgb) {
-        document.getElementById('color-picker').value = rgbToHex(rgb);
+      const result = parseColor(target.value);
+      if (result.ok) {
+        document.getElementById('color-picker').value = rgbToHex(result.color.rgb);
+      }
+      const errorEl = document.getElementById('color-parse-error');
+      if (errorEl) errorEl.textContent = result.ok ? result.warning || '' : result.error.message;
+    } else if (target.classList.contains('image-import__name') && state.imageImport) {
+      state.imageImport.colors[parseInt(target.dataset.imageIndex, 10)].color.name = target.value;
+    } else if (target.id === 'edit-name' && state.editDraft) {
+      state.editDraft.name = target.value;
+    } else if (EDIT_VALUE_INPUTS.includes(target.id) && state.editDraft) {
+      const result = parseColor(target.value);
+      document.getElementById('edit-parse-error').textContent = result.ok ? result.warning || '' : result.error.message;
+      if (result.ok) {
+        const { rgb, p3 } = result.color;
+        state.editDraft = p3 ? { name: state.editDraft.name, rgb, p3 } : { name: state.editDraft.name, rgb };
+        refreshEditPanel(target.id);
       }
+    } else if (EDIT_SLIDERS.includes(target.id) && state.editDraft) {
+      const oklch = EDIT_SLIDERS.map(id => parseFloat(document.getElementById(id).value));
+      state.editDraft = { name: state.editDraft.name, rgb: oklchToRgb(oklch) };
+      document.getElementById('edit-parse-error').textContent = '';
+      refreshEditPanel(target.id);
     }
   });
 
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    // Text fields keep their own undo
+    const field = e.target.closest?.('input, textarea, select');
+    if (field && field.type !== 'range' && field.type !== 'color') return;
+    e.preventDefault();
+    handleHistory(e.shiftKey ? 'redo' : 'undo');
+  });
+
   document.addEventListener('click', (e) => {
     const target = e.target;
 
@@ -73,20 +120,47 @@ export function setupEventListeners() {
       toggleMode();
       render();
     } else if (target.id === 'clear-draft') {
-      if (confirm('Clear all colors and start fresh?')) {
-        state.palette = createEmptyPalette();
-        clearDraft();
-        render();
-      }
+      stopEditing();
+      replacePalette(createEmptyPalette());
+      render();
+    } else if (target.id === 'undo' || target.id === 'redo') {
+      handleHistory(target.id);
+    } else if (target.classList.contains('repair-add')) {
+      handleAddSuggestions(parseInt(target.dataset.repairIndex, 10));
+    } else if (target.id === 'repair-add-all') {
+      handleAddSuggestions();
+    } else if (target.id === 'image-add') {
+      handleAddImageColors();
+    } else if (target.id === 'image-discard') {
+      clearImageImport();
+      render();
+    } else if (target.id === 'swatch-report-dismiss') {
+      state.swatchReport = null;
+      render();
     } else if (target.id === 'export-preview') {
       copyExport();
+    } else if (target.classList.contains('export-download')) {
+      downloadSwatchFile(target.dataset.swatchFormat);
     } else if (target.classList.contains('export-tab')) {
       state.exportFormat = target.dataset.format;
       render();
     } else if (target.classList.contains('color-swatch__delete')) {
       const index = parseInt(target.dataset.index, 10);
-      state.palette.colors.splice(index, 1);
-      saveDraft();
+      deleteColor(index);
+      if (state.editingIndex === index) stopEditing();
+      else if (state.editingIndex > index) state.editingIndex--;
+      render();
+    } else if (target.classList.contains('color-swatch__color')) {
+      startEditing(parseInt(target.dataset.index, 10));
+      render();
+    } else if (target.id === 'edit-save') {
+      const { name, rgb, p3 } = state.editDraft;
+      if (updateColor(state.editingIndex, name.trim(), rgb, p3)) {
+        stopEditing();
+        render();
+      }
+    } else if (target.id === 'edit-cancel') {
+      stopEditing();
       render();
     }
   });
@@ -100,14 +174,109 @@ function handleAddColor() {
   const hexInput = document.getElementById('color-hex');
 
   const name = nameInput.value.trim();
-  const rgb = parseColorString(hexInput.value);
+  const result = parseColor(hexInput.value);
+
+  if (!result.ok) {
+    alert(`Invalid color value: ${result.error.message}`);
+    return;
+  }
 
-  if (addColor(name, rgb)) {
+  if (addColor(name, result.color.rgb, result.color.p3)) {
     nameInput.value = '';
     render();
   }
 }
 
+/**
+ * Bring the edit panel in line with the draft without re-rendering, so the
+ * input being typed in or dragged keeps focus
+ * @param {string} sourceId - Input the change came from, left as typed
+ */
+function refreshEditPanel(sourceId) {
+  const draft = getDraftColor();
+  const values = {
+    'edit-hex': rgbToHex(draft.rgb),
+    'edit-rgb': rgbToString(draft.rgb),
+    'edit-oklch': oklchToString(draft.oklch)
+  };
+  for (const [id, value] of Object.entries(values)) {
+    if (id !== sourceId) document.getElementById(id).value = value;
+  }
+
+  // Sliders keep the requested values while one is dragged (out-of-gamut
+  // chroma is mapped in the color, not snapped on the slider)
+  EDIT_SLIDERS.forEach((id, i) => {
+    const slider = document.getElementById(id);
+    if (!EDIT_SLIDERS.includes(sourceId)) slider.value = draft.oklch[i];
+    document.getElementById(`${id}-value`).textContent = slider.value;
+  });
+
+  document.getElementById('edit-preview').style.background = rgbToString(draft.rgb);
+  document.getElementById('edit-feedback').innerHTML =
+    renderColorChangeFeedback(previewColorChange(state.palette, state.editingIndex, draft));
+}
+
+/**
+ * Undo or redo a palette change. The edit panel closes, since the color it
+ * shows may have moved or changed.
+ * @param {'undo' | 'redo'} action
+ */
+function handleHistory(action) {
+  if (!(action === 'undo' ? undo() : redo())) return;
+  stopEditing();
+  render();
+}
+
+/**
+ * Bring the undo/redo buttons in line with the history without re-rendering
+ */
+function updateHistoryButtons() {
+  for (const action of ['undo', 'redo']) {
+    const button = document.getElementById(action);
+    if (button) button.outerHTML = `<button id="${action}"${historyButtonAttributes(action)}>${button.textContent}</button>`;
+  }
+}
+
+/**
+ * Add one suggested repair color, or all of them when no index is given.
+ * Suggestions are recomputed from the current palette, matching what was rendered.
+ * @param {number} [index]
+ */
+function handleAddSuggestions(index) {
+  const { suggestions } = suggestRepairs(state.palette, validatePalette(state.palette));
+  const chosen = index === undefined ? suggestions : [suggestions[index]].filter(Boolean);
+
+  batch(() => {
+    for (const { color } of chosen) {
+      if (!addColor(color.name, color.rgb)) break;
+    }
+  });
+  render();
+}
+
+/**
+ * Add the accepted image colors as one undoable step. If a color is refused,
+ * the ones not yet added stay proposed so they can be fixed and tried again.
+ */
+function handleAddImageColors() {
+  const chosen = state.imageImport.colors.filter(c => c.accepted);
+  const added = [];
+
+  batch(() => {
+    for (const proposal of chosen) {
+      if (!addColor(proposal.color.name.trim(), proposal.color.rgb)) break;
+      added.push(proposal);
+    }
+  });
+
+  if (added.length === chosen.length) {
+    clearImageImport();
+  } else {
+    state.imageImport.colors = state.imageImport.colors.filter(c => !added.includes(c));
+  }
+  render();
+}
+
 /**
  * Copy export text to clipboard
  */
@@ -121,3 +290,12 @@ function copyExport() {
     }
   });
 }
+
+/**
+ * Download the palette as a swatch file
+ * @param {'ase' | 'aco' | 'gpl' | 'procreate'} format
+ */
+function downloadSwatchFile(format) {
+  const { filename, bytes } = writeSwatchFile(state.palette, format);
+  downloadFile(filename, bytes, 'application/octet-stream');
+}
@@ -7,6 +7,7 @@ import {
   loadExistingPalettes,
   loadPaletteById,
   loadDraft,
+  loadHistory,
   findAllDuplicates,
   applyMode
 } from './state.js';
@@ -23,18 +24,22 @@ async function init() {
   const params = new URLSearchParams(window.location.search);
   const loadId = params.get('load');
 
+  // The draft comes back with its history, so a palette loaded from the URL
+  // can be undone back to it
+  const draft = loadDraft();
+  if (draft) {
+    state.palette = draft;
+    state.history = loadHistory();
+
+    const duplicates = findAllDuplicates(state.palette.colors);
+    if (duplicates.length > 0) {
+      console.warn('[ColorStory] Draft contains duplicate colors:', duplicates);
+    }
+  }
+
   if (loadId) {
     await loadPaletteById(loadId, render);
   } else {
-    const draft = loadDraft();
-    if (draft) {
-      state.palette = draft;
-
-      const duplicates = findAllDuplicates(state.palette.colors);
-      if (duplicates.length > 0) {
-        console.warn('[ColorStory] Draft contains duplicate colors:', duplicates);
-      }
-    }
     render();
   }
   setupEventListeners();
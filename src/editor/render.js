@@ -3,18 +3,58 @@
  */
 
 import {
-  TONE,
-  CHROMA,
   ACCENT_DISPLAY_L,
   getNeutralMidpointL,
-  getAccentMidpointC
+  getAccentMidpointC,
+  hashPalette
 } from '../lib/colors.js';
 import { oklchToRgb } from '../lib/convert.js';
-import { rgbToHex } from '../lib/format.js';
-import { validatePalette, getValidationSummary } from '../lib/validate.js';
-import { state } from './state.js';
+import { rgbToHex, rgbToString, oklchToString } from '../lib/format.js';
+import { escapeHtml } from '../lib/html.js';
+import { validatePalette, getValidationSummary, previewColorChange, VALIDATION_BUCKETS } from '../lib/validate.js';
+import { getDiagnosis, findBlockingStage } from '../lib/diagnose.js';
+import { suggestRepairs } from '../lib/repair.js';
+import { resolveThemeSchemes, formatDtcgTokens, formatStyleDictionary } from '../lib/tokens.js';
+import { formatRampsCss } from '../lib/ramp.js';
+import { kebabName, formatTailwind, formatScss, formatTypeScript, formatAndroidXml, formatIosAssetCatalog } from '../lib/platform-export.js';
+import { describeCommand } from '../lib/history.js';
+import { SWATCH_EXTENSIONS, SWATCH_FORMAT_LABELS, SWATCH_EXPORT_FORMATS, groupSwatchColors } from '../lib/swatches.js';
+import { state, getDraftColor } from './state.js';
 
 /** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {{ light: import('../lib/diagnose.js').Diagnosis, dark: import('../lib/diagnose.js').Diagnosis }} ModeDiagnoses */
+
+/**
+ * Scheme diagnoses and repair suggestions of the last analyzed palette.
+ * Both enumerate, so they are only recomputed when the colors change, not on
+ * every render (e.g. each keystroke of a live edit).
+ */
+let analysisCache = {
+  paletteHash: null,
+  diagnoses: null,
+  repairs: null
+};
+
+/**
+ * Scheme diagnosis per mode and repair suggestions, cached per palette
+ * @param {import('../components/palette-bar.js').Palette} palette
+ * @param {import('../lib/validate.js').ValidationResult} validation
+ * @returns {{ diagnoses: ModeDiagnoses, repairs: import('../lib/repair.js').RepairPlan }}
+ */
+function analyzePalette(palette, validation) {
+  const hash = hashPalette(palette.colors);
+  if (analysisCache.paletteHash !== hash) {
+    analysisCache = {
+      paletteHash: hash,
+      diagnoses: {
+        light: getDiagnosis(palette.colors, 'light'),
+        dark: getDiagnosis(palette.colors, 'dark')
+      },
+      repairs: suggestRepairs(palette, validation)
+    };
+  }
+  return analysisCache;
+}
 
 /**
  * Render the editor UI
@@ -26,6 +66,7 @@ export function render() {
   const { palette, existingPalettes, exportFormat } = state;
   const validation = validatePalette(palette);
   const summary = getValidationSummary(validation);
+  const analysis = palette.colors.length > 0 ? analyzePalette(palette, validation) : null;
 
   app.innerHTML = `
     <header class="navbar">
@@ -34,6 +75,8 @@ export function render() {
       </div>
       <h1 class="navbar__title">PALETTE EDITOR</h1>
       <div class="navbar__right">
+        <button id="undo"${historyButtonAttributes('undo')}>Undo</button>
+        <button id="redo"${historyButtonAttributes('redo')}>Redo</button>
         <button id="toggle-mode">${state.mode === 'light' ? 'Dark' : 'Light'}</button>
         <button id="clear-draft">Clear</button>
       </div>
@@ -70,9 +113,30 @@ export function render() {
                 <input type="color" id="color-picker" value="#3b82f6">
                 <input type="text" id="color-hex" placeholder="#3b82f6" value="#3b82f6">
               </div>
+              <span id="color-parse-error" class="color-input-error"></span>
             </label>
             <button id="add-color" class="btn btn--accent">Add Color</button>
           </div>
+
+          <h2>From Image</h2>
+          <div class="editor-form">
+            <label>
+              Image File
+              <input type="file" id="image-file" accept="image/*">
+            </label>
+          </div>
+          ${state.imageImport ? renderImageImport(state.imageImport) : ''}
+
+          <h2>Import File</h2>
+          <div class="editor-form">
+            <label>
+              Swatch File
+              <input type="file" id="swatch-file" accept="${Object.values(SWATCH_EXTENSIONS).flat().join(',')}">
+            </label>
+            <span class="editor-form__hint">ASE, ACO, GPL, Procreate, Sketch or a CSS/text list</span>
+          </div>
+          ${state.swatchReport ? renderSwatchReport(state.swatchReport) : ''}
+          ${state.editingIndex !== null ? renderEditPanel(palette, state.editingIndex, getDraftColor()) : ''}
         </section>
 
         <section class="editor-panel editor-panel--colors">
@@ -83,18 +147,25 @@ export function render() {
         <section class="editor-panel editor-panel--validation">
           <h2>Colors ${summary.total.have}/${summary.total.need} ${!validation.valid ? '<span class="badge badge--error">Incomplete</span>' : ''}</h2>
           ${renderValidationSummary(summary)}
+          ${analysis ? renderSchemeDiagnostics(analysis.diagnoses) : ''}
+          ${analysis ? renderRepairSuggestions(analysis.repairs) : ''}
         </section>
 
         <section class="editor-panel editor-panel--export">
           <div class="export-header">
             <div class="export-tabs">
-              <button class="export-tab${exportFormat === 'json' ? ' export-tab--active' : ''}" data-format="json">JSON</button>
-              <button class="export-tab${exportFormat === 'css-hex' ? ' export-tab--active' : ''}" data-format="css-hex">CSS-HEX</button>
-              <button class="export-tab${exportFormat === 'css-rgb' ? ' export-tab--active' : ''}" data-format="css-rgb">CSS-RGB</button>
-              <button class="export-tab${exportFormat === 'css-oklch' ? ' export-tab--active' : ''}" data-format="css-oklch">CSS-OKLCH</button>
+              ${EXPORT_FORMATS.map(({ id, label }) => `
+                <button class="export-tab${exportFormat === id ? ' export-tab--active' : ''}" data-format="${id}">${label}</button>
+              `).join('')}
             </div>
             <span class="export-hint">(click to copy)</span>
           </div>
+          <div class="export-downloads">
+            <span class="export-hint">Download swatches</span>
+            ${SWATCH_EXPORT_FORMATS.map(format => `
+              <button class="export-download" data-swatch-format="${format}" title="${SWATCH_FORMAT_LABELS[format]}"${palette.colors.length === 0 ? ' disabled' : ''}>${format.toUpperCase()}</button>
+            `).join('')}
+          </div>
           <pre id="export-preview" class="export-preview"></pre>
         </section>
       </div>
@@ -108,57 +179,29 @@ export function render() {
 }
 
 /**
- * Classify a color into a category
- * @param {Color} color
- * @returns {string}
+ * Title and disabled state of the undo or redo button
+ * @param {'undo' | 'redo'} action
+ * @returns {string} Attributes, with a leading space
  */
-function classifyColor(color) {
-  const [L, C] = color.oklch;
-
-  if (C < CHROMA.NEUTRAL_MAX) {
-    if (L <= TONE.DARK_MAX) return 'dark-neutral';
-    if (L >= TONE.LIGHT_MIN) return 'light-neutral';
-    return 'mid-neutral';
-  }
-
-  if (C >= CHROMA.STRONG_MIN) {
-    return 'strong-accent';
-  }
-
-  return 'muted-accent';
+export function historyButtonAttributes(action) {
+  const stack = state.history[action];
+  const command = stack[stack.length - 1];
+  const shortcut = action === 'undo' ? 'Ctrl/Cmd+Z' : 'Ctrl/Cmd+Shift+Z';
+  return command
+    ? ` title="${escapeHtml(`${action === 'undo' ? 'Undo' : 'Redo'} ${describeCommand(command)} (${shortcut})`)}"`
+    : ` title="Nothing to ${action}" disabled`;
 }
 
 /**
- * Render colors grouped by category
+ * Render colors grouped by category, in the order swatch exports use
  * @param {Color[]} colors
  */
 function renderColorsByCategory(colors) {
-  const categories = {
-    'neutrals': { label: 'Neutrals', colors: [] },
-    'accents': { label: 'Accents', strong: [], muted: [] }
-  };
-
-  colors.forEach((color, index) => {
-    const category = classifyColor(color);
-    if (category === 'dark-neutral' || category === 'mid-neutral' || category === 'light-neutral') {
-      categories['neutrals'].colors.push({ color, index });
-    } else if (category === 'strong-accent') {
-      categories['accents'].strong.push({ color, index });
-    } else if (category === 'muted-accent') {
-      categories['accents'].muted.push({ color, index });
-    }
-  });
-
-  categories['neutrals'].colors.sort((a, b) => a.color.oklch[0] - b.color.oklch[0]);
-  categories['accents'].colors = [...categories['accents'].strong, ...categories['accents'].muted];
-
-  return Object.entries(categories)
-    .filter(([_, cat]) => cat.colors.length > 0)
-    .map(([key, cat]) => `
+  return groupSwatchColors(colors).map(group => `
       <div class="color-category">
-        <div class="color-category__header">${cat.label}</div>
+        <div class="color-category__header">${group.name}</div>
         <div class="color-category__swatches">
-          ${cat.colors.map(({ color, index }) => renderSwatch(color, index)).join('')}
+          ${group.colors.map(color => renderSwatch(color, colors.indexOf(color))).join('')}
         </div>
       </div>
     `).join('');
@@ -173,8 +216,8 @@ function renderSwatch(color, index) {
   const hex = rgbToHex(color.rgb);
 
   return `
-    <div class="color-swatch" data-index="${index}">
-      <div class="color-swatch__color" style="background: ${hex}">
+    <div class="color-swatch${state.editingIndex === index ? ' color-swatch--editing' : ''}" data-index="${index}">
+      <div class="color-swatch__color" data-index="${index}" style="background: ${hex}" title="Click to edit">
         <button class="color-swatch__delete" data-index="${index}">x</button>
       </div>
       <span class="color-swatch__name">${escapeHtml(color.name)}</span>
@@ -182,6 +225,149 @@ function renderSwatch(color, index) {
   `;
 }
 
+/** Upper end of the chroma slider (beyond any sRGB or P3 color) */
+const EDIT_MAX_CHROMA = 0.4;
+
+/**
+ * Render the panel editing an existing color
+ * @param {import('../components/palette-bar.js').Palette} palette
+ * @param {number} index
+ * @param {Color} draft - Unsaved values
+ */
+function renderEditPanel(palette, index, draft) {
+  const [L, C, H] = draft.oklch;
+  const original = palette.colors[index];
+
+  return `
+    <h2>Edit Color</h2>
+    <div class="editor-form edit-color">
+      <div class="edit-color__preview">
+        <span style="background: ${rgbToString(original.rgb)}" title="Saved"></span>
+        <span id="edit-preview" style="background: ${rgbToString(draft.rgb)}" title="Edited"></span>
+      </div>
+      <label>
+        Color Name
+        <input type="text" id="edit-name" value="${escapeHtml(draft.name)}">
+      </label>
+      <label>
+        Hex
+        <input type="text" id="edit-hex" class="edit-color__value" value="${rgbToHex(draft.rgb)}">
+      </label>
+      <label>
+        RGB
+        <input type="text" id="edit-rgb" class="edit-color__value" value="${rgbToString(draft.rgb)}">
+      </label>
+      <label>
+        OKLCH
+        <input type="text" id="edit-oklch" class="edit-color__value" value="${oklchToString(draft.oklch)}">
+      </label>
+      <span id="edit-parse-error" class="color-input-error"></span>
+      <label>
+        Lightness <output id="edit-l-value">${L}</output>
+        <input type="range" id="edit-l" class="edit-color__slider" min="0" max="1" step="0.001" value="${L}">
+      </label>
+      <label>
+        Chroma <output id="edit-c-value">${C}</output>
+        <input type="range" id="edit-c" class="edit-color__slider" min="0" max="${EDIT_MAX_CHROMA}" step="0.001" value="${C}">
+      </label>
+      <label>
+        Hue <output id="edit-h-value">${H}</output>
+        <input type="range" id="edit-h" class="edit-color__slider" min="0" max="360" step="1" value="${H}">
+      </label>
+      <div id="edit-feedback" class="edit-color__feedback">
+        ${renderColorChangeFeedback(previewColorChange(palette, index, draft))}
+      </div>
+      <div class="edit-color__actions">
+        <button id="edit-save" class="btn btn--accent">Save</button>
+        <button id="edit-cancel" class="btn btn--subtle">Cancel</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render colors proposed from an image, marked where they were sampled
+ * @param {import('./state.js').ImageImport} imageImport
+ */
+function renderImageImport({ url, width, height, colors, complete }) {
+  const accepted = colors.filter(c => c.accepted).length;
+  const position = ({ x, y }) => `left: ${((x + 0.5) / width * 100).toFixed(2)}%; top: ${((y + 0.5) / height * 100).toFixed(2)}%`;
+  const source = ({ share, adjusted }) => `${adjusted ? 'adjusted from ' : ''}${Math.max(1, Math.round(share * 100))}% of the image`;
+
+  return `
+    <div class="image-import">
+      <div class="image-import__preview">
+        <img src="${url}" alt="Imported image">
+        ${colors.map(({ color, sample, accepted }, i) => `
+          <span class="image-import__marker${accepted ? '' : ' image-import__marker--rejected'}" style="${position(sample)}; background: ${rgbToHex(color.rgb)}" title="${escapeHtml(color.name)}">${i + 1}</span>
+        `).join('')}
+      </div>
+      ${complete ? '' : '<p class="repair-note">The image has too few distinct colors to fill every bucket.</p>'}
+      <ul class="repair-list">
+        ${colors.map((c, i) => `
+          <li class="repair-item${c.accepted ? '' : ' image-import__item--rejected'}">
+            <span class="repair-item__swatch image-import__number" style="background: ${rgbToHex(c.color.rgb)}">${i + 1}</span>
+            <span class="repair-item__text">
+              <input type="text" class="image-import__name" data-image-index="${i}" value="${escapeHtml(c.color.name)}" aria-label="Color name">
+              <span class="repair-item__reason">${VALIDATION_BUCKETS[c.bucket]}, ${source(c)} <code>${rgbToHex(c.color.rgb)}</code></span>
+            </span>
+            <input type="checkbox" class="image-import__accept" data-image-index="${i}" title="Accept" ${c.accepted ? 'checked' : ''}>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="edit-color__actions">
+        <button id="image-add" class="btn btn--accent"${accepted === 0 ? ' disabled' : ''}>Add ${accepted} ${accepted === 1 ? 'Color' : 'Colors'}</button>
+        <button id="image-discard" class="btn btn--subtle">Discard</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the outcome of a swatch file import
+ * @param {import('./state.js').SwatchReport} report
+ */
+function renderSwatchReport({ file, format, added, messages }) {
+  return `
+    <div class="swatch-report">
+      <p class="repair-note">Added ${added} ${added === 1 ? 'color' : 'colors'} from ${escapeHtml(file)} (${SWATCH_FORMAT_LABELS[format]})</p>
+      ${messages.length > 0 ? `
+        <ul class="swatch-report__messages">
+          ${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+        </ul>
+      ` : ''}
+      <button id="swatch-report-dismiss" class="btn btn--subtle">Dismiss</button>
+    </div>
+  `;
+}
+
+/**
+ * Render how an edit moves the color between validation buckets
+ * @param {import('../lib/validate.js').ColorChangePreview} preview
+ * @returns {string}
+ */
+export function renderColorChangeFeedback(preview) {
+  const label = (bucket) => bucket ? VALIDATION_BUCKETS[bucket] : 'no bucket';
+  const lines = preview.buckets.length === 0
+    ? [`<li>Stays in ${label(preview.to).toLowerCase()}</li>`]
+    : [
+      `<li>Moves from ${label(preview.from).toLowerCase()} to ${label(preview.to).toLowerCase()}</li>`,
+      ...preview.buckets.map(({ label, need, before, after }) => {
+        const status = after < need && before >= need ? ' edit-color__change--lost'
+          : after >= need && before < need ? ' edit-color__change--met' : '';
+        return `<li class="edit-color__change${status}">${label}: ${before} → ${after} (need ${need})</li>`;
+      })
+    ];
+
+  if (preview.valid.before && !preview.valid.after) {
+    lines.push('<li class="edit-color__change edit-color__change--lost">Palette becomes incomplete</li>');
+  } else if (!preview.valid.before && preview.valid.after) {
+    lines.push('<li class="edit-color__change edit-color__change--met">Palette becomes complete</li>');
+  }
+
+  return `<ul>${lines.join('')}</ul>`;
+}
+
 /**
  * Render validation summary table
  */
@@ -241,6 +427,70 @@ function renderValidationSummary(summary) {
   `;
 }
 
+/**
+ * Render canonical scheme status per mode, explaining dead ends
+ * @param {ModeDiagnoses} diagnoses
+ */
+function renderSchemeDiagnostics(diagnoses) {
+  const renderMode = (mode) => {
+    const diagnosis = diagnoses[mode];
+    const label = mode === 'light' ? 'Light' : 'Dark';
+
+    if (diagnosis.configCount > 0) {
+      return `<li class="scheme-diagnostic">
+        <strong>${label}</strong> ${diagnosis.configCount.toLocaleString()} canonical schemes
+      </li>`;
+    }
+
+    const dead = diagnosis.tokens.find(t => t.token === diagnosis.deadEnd);
+    const blocking = findBlockingStage(dead);
+    const { suggestion } = diagnosis;
+    return `<li class="scheme-diagnostic scheme-diagnostic--blocked">
+      <strong>${label}</strong> No canonical schemes: stuck at ${diagnosis.deadEnd}${blocking ? ` (${escapeHtml(blocking.label)})` : ''}
+      ${suggestion ? `
+        <span class="scheme-diagnostic__suggestion">
+          <span class="scheme-diagnostic__swatch" style="background: rgb(${suggestion.color.rgb.join(', ')})"></span>
+          ${escapeHtml(suggestion.message)}
+        </span>
+      ` : ''}
+    </li>`;
+  };
+
+  return `
+    <h2>Schemes</h2>
+    <ul class="scheme-diagnostics">
+      ${renderMode('light')}
+      ${renderMode('dark')}
+    </ul>
+  `;
+}
+
+/**
+ * Render suggested colors with one-click add buttons
+ * @param {import('../lib/repair.js').RepairPlan} plan
+ */
+function renderRepairSuggestions(plan) {
+  if (plan.suggestions.length === 0) return '';
+
+  return `
+    <h2>Suggested Colors</h2>
+    ${plan.complete ? '' : '<p class="repair-note">Adding these helps, but is not enough for a complete palette.</p>'}
+    <ul class="repair-list">
+      ${plan.suggestions.map(({ color, reason }, i) => `
+        <li class="repair-item">
+          <span class="repair-item__swatch" style="background: rgb(${color.rgb.join(', ')})"></span>
+          <span class="repair-item__text">
+            <span class="repair-item__name">${escapeHtml(color.name)} <code>${rgbToHex(color.rgb)}</code></span>
+            <span class="repair-item__reason">${escapeHtml(reason)}</span>
+          </span>
+          <button class="btn repair-add" data-repair-index="${i}">Add</button>
+        </li>
+      `).join('')}
+    </ul>
+    ${plan.suggestions.length > 1 ? '<button id="repair-add-all" class="btn btn--accent">Add All</button>' : ''}
+  `;
+}
+
 /**
  * Format palette as JSON
  */
@@ -248,7 +498,8 @@ function formatPaletteJson(p) {
   const colorLines = p.colors.map(c => {
     const rgb = `[${c.rgb.join(', ')}]`;
     const oklch = `[${c.oklch.join(', ')}]`;
-    return `    { "name": ${JSON.stringify(c.name)}, "rgb": ${rgb}, "oklch": ${oklch} }`;
+    const p3 = c.p3 ? `, "p3": [${c.p3.join(', ')}]` : '';
+    return `    { "name": ${JSON.stringify(c.name)}, "rgb": ${rgb}, "oklch": ${oklch}${p3} }`;
   });
 
   return `{
@@ -266,44 +517,43 @@ ${colorLines.join(',\n')}
  * Format palette as CSS hex variables
  */
 function formatCssHex(p) {
-  const varName = (name) => '--' + name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-  return p.colors.map(c => `${varName(c.name)}: ${rgbToHex(c.rgb)};`).join('\n');
+  return p.colors.map(c => `--${kebabName(c.name)}: ${rgbToHex(c.rgb)};`).join('\n');
 }
 
 /**
  * Format palette as CSS rgb variables
  */
 function formatCssRgb(p) {
-  const varName = (name) => '--' + name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-  return p.colors.map(c => `${varName(c.name)}: rgb(${c.rgb.join(', ')});`).join('\n');
+  return p.colors.map(c => `--${kebabName(c.name)}: rgb(${c.rgb.join(', ')});`).join('\n');
 }
 
 /**
  * Format palette as CSS oklch variables
  */
 function formatCssOklch(p) {
-  const varName = (name) => '--' + name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-  return p.colors.map(c => `${varName(c.name)}: oklch(${c.oklch[0]} ${c.oklch[1]} ${c.oklch[2]});`).join('\n');
+  return p.colors.map(c => `--${kebabName(c.name)}: oklch(${c.oklch[0]} ${c.oklch[1]} ${c.oklch[2]});`).join('\n');
 }
 
+/** Export tabs, in display order */
+const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', format: formatPaletteJson },
+  { id: 'css-hex', label: 'CSS-HEX', format: formatCssHex },
+  { id: 'css-rgb', label: 'CSS-RGB', format: formatCssRgb },
+  { id: 'css-oklch', label: 'CSS-OKLCH', format: formatCssOklch },
+  { id: 'tailwind', label: 'TAILWIND', format: formatTailwind },
+  { id: 'scss', label: 'SCSS', format: formatScss },
+  { id: 'ts', label: 'TS', format: formatTypeScript },
+  { id: 'android', label: 'ANDROID', format: formatAndroidXml },
+  { id: 'ios', label: 'IOS', format: formatIosAssetCatalog },
+  { id: 'ramps', label: 'RAMPS', format: formatRampsCss },
+  { id: 'dtcg', label: 'DTCG', format: p => formatDtcgTokens(p.colors, resolveThemeSchemes(p.colors)) },
+  { id: 'style-dictionary', label: 'STYLE-DICT', format: p => formatStyleDictionary(p.colors, resolveThemeSchemes(p.colors)) }
+];
+
 /**
  * Format palette in current export format
  */
 export function formatExport(p) {
-  const { exportFormat } = state;
-  if (exportFormat === 'css-hex') return formatCssHex(p);
-  if (exportFormat === 'css-rgb') return formatCssRgb(p);
-  if (exportFormat === 'css-oklch') return formatCssOklch(p);
-  return formatPaletteJson(p);
-}
-
-/**
- * Escape HTML special characters
- */
-export function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+  const format = EXPORT_FORMATS.find(f => f.id === state.exportFormat) || EXPORT_FORMATS[0];
+  return format.format(p);
 }
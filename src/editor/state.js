@@ -2,25 +2,64 @@
  * Editor state management and domain operations
  */
 
-import { rgbToOklch } from '../lib/convert.js';
+import { rgbToOklch, p3ToOklch } from '../lib/convert.js';
+import { createHistory, isHistory, applyCommand, recordCommand, undoCommand, redoCommand } from '../lib/history.js';
+import { extractPalette } from '../lib/extract.js';
+import { readSwatchFile } from '../lib/swatches.js';
 
 /** @typedef {import('../components/palette-bar.js').Color} Color */
 /** @typedef {import('../components/palette-bar.js').Palette} Palette */
 
 const STORAGE_KEY = 'colorstory_draft';
 
+/** Undo/redo stacks, saved whenever the draft is */
+const HISTORY_KEY = 'colorstory_draft_history';
+
+/** Longest side images are scaled down to before clustering */
+const IMAGE_MAX_SIZE = 160;
+
+/** @type {import('../lib/history.js').PaletteCommand[] | null} - Commands collected by batch() */
+let pendingBatch = null;
+
 /** Shared editor state */
 export const state = {
   /** @type {Palette} */
   palette: null,
+  /** @type {import('../lib/history.js').History} */
+  history: createHistory(),
   /** @type {{id: string, name: string}[]} */
   existingPalettes: [],
-  /** @type {'json' | 'css-hex' | 'css-rgb' | 'css-oklch'} */
+  /** @type {'json' | 'css-hex' | 'css-rgb' | 'css-oklch' | 'tailwind' | 'scss' | 'ts' | 'android' | 'ios' | 'ramps' | 'dtcg' | 'style-dictionary'} */
   exportFormat: 'json',
   /** @type {'light' | 'dark'} */
-  mode: 'dark'
+  mode: 'dark',
+  /** @type {number | null} - Index of the color open in the edit panel */
+  editingIndex: null,
+  /** @type {{ name: string, rgb: number[], p3?: number[] } | null} - Unsaved values of the edited color */
+  editDraft: null,
+  /** @type {ImageImport | null} - Colors proposed from an image, not yet added */
+  imageImport: null,
+  /** @type {SwatchReport | null} - Outcome of the latest swatch file import */
+  swatchReport: null
 };
 
+/**
+ * @typedef {Object} SwatchReport
+ * @property {string} file - File name
+ * @property {import('../lib/swatches.js').SwatchFormat} format
+ * @property {number} added - Colors added to the palette
+ * @property {string[]} messages - Conversions, skipped colors and duplicates
+ */
+
+/**
+ * @typedef {Object} ImageImport
+ * @property {string} url - Object URL of the image file
+ * @property {number} width - Size the image was sampled at
+ * @property {number} height
+ * @property {(import('../lib/extract.js').ExtractedColor & { accepted: boolean })[]} colors
+ * @property {boolean} complete - The proposal meets every bucket minimum
+ */
+
 /**
  * Apply mode to document root
  */
@@ -56,10 +95,11 @@ export function createEmptyPalette() {
 /**
  * Check if a color with the same RGB values already exists in the palette
  * @param {number[]} rgb - RGB values to check
+ * @param {number} [exceptIndex] - Color to leave out (the one being edited)
  * @returns {{ exists: boolean, name?: string }}
  */
-export function findDuplicateColor(rgb) {
-  const existing = state.palette.colors.find(c =>
+export function findDuplicateColor(rgb, exceptIndex) {
+  const existing = state.palette.colors.find((c, i) => i !== exceptIndex &&
     c.rgb[0] === rgb[0] && c.rgb[1] === rgb[1] && c.rgb[2] === rgb[2]
   );
   return existing
@@ -88,6 +128,94 @@ export function findAllDuplicates(colors) {
   return duplicates;
 }
 
+/**
+ * Apply a palette command, record it for undo and save the draft
+ * @param {import('../lib/history.js').PaletteCommand} command
+ */
+export function execute(command) {
+  state.palette = applyCommand(state.palette, command);
+  if (pendingBatch) {
+    pendingBatch.push(command);
+    return;
+  }
+  state.history = recordCommand(state.history, command);
+  saveDraft();
+}
+
+/**
+ * Run several mutations as one undo step
+ * @param {() => void} fn - Calls mutations that execute commands
+ */
+export function batch(fn) {
+  pendingBatch = [];
+  try {
+    fn();
+  } finally {
+    const commands = pendingBatch;
+    pendingBatch = null;
+    if (commands.length > 0) {
+      state.history = recordCommand(state.history, commands.length === 1 ? commands[0] : { type: 'batch', commands });
+      saveDraft();
+    }
+  }
+}
+
+/**
+ * Undo the latest palette command
+ * @returns {boolean} Whether anything was undone
+ */
+export function undo() {
+  const result = undoCommand(state.history, state.palette);
+  if (!result) return false;
+  ({ history: state.history, palette: state.palette } = result);
+  saveDraft();
+  return true;
+}
+
+/**
+ * Redo the latest undone palette command
+ * @returns {boolean} Whether anything was redone
+ */
+export function redo() {
+  const result = redoCommand(state.history, state.palette);
+  if (!result) return false;
+  ({ history: state.history, palette: state.palette } = result);
+  saveDraft();
+  return true;
+}
+
+/**
+ * Replace the whole palette (load, new, clear) as one undoable step
+ * @param {Palette} palette
+ */
+export function replacePalette(palette) {
+  execute({ type: 'replace', before: state.palette, after: palette });
+}
+
+/**
+ * Rename the palette. The id is always derived from the name: for loaded
+ * palettes this overwrites the original id on any name change. This is
+ * intentional: the editor is for creating new palettes, not editing deployed
+ * ones in-place.
+ * @param {string} name
+ */
+export function renamePalette(name) {
+  const id = name.toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+  execute({
+    type: 'rename',
+    before: { name: state.palette.name, id: state.palette.id },
+    after: { name, id }
+  });
+}
+
+/**
+ * Remove a color
+ * @param {number} index
+ */
+export function deleteColor(index) {
+  execute({ type: 'delete', index, color: state.palette.colors[index] });
+}
+
 /**
  * Load list of existing palettes from server
  */
@@ -132,7 +260,7 @@ export async function loadPaletteById(id, onSuccess) {
   try {
     const res = await fetch(`/palettes/${id}.json`);
     const data = await res.json();
-    state.palette = data;
+    replacePalette(data);
 
     const duplicates = findAllDuplicates(state.palette.colors);
     if (duplicates.length > 0) {
@@ -140,20 +268,95 @@ export async function loadPaletteById(id, onSuccess) {
       alert(`Warning: This palette contains duplicate colors:\n${duplicates.join('\n')}`);
     }
 
-    saveDraft();
     if (onSuccess) onSuccess();
   } catch (err) {
     alert(`Failed to load palette: ${id}`);
   }
 }
 
+/**
+ * Propose colors from a local image file, replacing any earlier proposal
+ * @param {File} file
+ * @returns {Promise<boolean>} Whether the image could be read
+ */
+export async function importImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const width = Math.max(1, Math.round(image.naturalWidth * scale));
+    const height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, width, height);
+
+    const { colors, complete } = extractPalette(context.getImageData(0, 0, width, height));
+    clearImageImport();
+    state.imageImport = { url, width, height, colors: colors.map(c => ({ ...c, accepted: true })), complete };
+    return true;
+  } catch (err) {
+    URL.revokeObjectURL(url);
+    alert(`Could not read image: ${file.name}`);
+    return false;
+  }
+}
+
+/**
+ * Drop the image proposal
+ */
+export function clearImageImport() {
+  if (state.imageImport) URL.revokeObjectURL(state.imageImport.url);
+  state.imageImport = null;
+}
+
+/**
+ * Add the colors of a swatch file as one undoable step. Colors that duplicate
+ * one already in the palette (or earlier in the file) are skipped; a palette
+ * without a name takes the file's.
+ * @param {File} file
+ * @returns {Promise<boolean>} Whether the file could be read
+ */
+export async function importSwatchFile(file) {
+  let result;
+  try {
+    result = await readSwatchFile(file.name, new Uint8Array(await file.arrayBuffer()));
+  } catch (err) {
+    alert(err.message);
+    return false;
+  }
+
+  const duplicates = [];
+  const existing = findAllDuplicates(state.palette.colors).length;
+  let added = 0;
+  batch(() => {
+    if (!state.palette.name && result.name) renamePalette(result.name);
+    for (const { name, rgb } of result.colors) {
+      const found = findAllDuplicates([...state.palette.colors, { name, rgb }]);
+      if (found.length > existing) {
+        duplicates.push(`Skipped ${found[found.length - 1]}`);
+      } else if (addColor(name, rgb)) {
+        added++;
+      }
+    }
+  });
+
+  state.swatchReport = { file: file.name, format: result.format, added, messages: [...result.warnings, ...duplicates] };
+  return true;
+}
+
 /**
  * Add a color to the current palette
  * @param {string} name
- * @param {number[]} rgb
+ * @param {number[]} rgb - sRGB value (the fallback when p3 is given)
+ * @param {number[]} [p3] - Original Display P3 value, stored alongside rgb
  * @returns {boolean} Whether the color was added
  */
-export function addColor(name, rgb) {
+export function addColor(name, rgb, p3) {
   if (!name) {
     alert('Please enter a color name');
     return false;
@@ -170,17 +373,83 @@ export function addColor(name, rgb) {
     return false;
   }
 
-  const oklch = rgbToOklch(rgb);
-  state.palette.colors.push({ name, rgb, oklch });
-  saveDraft();
+  // Classify by the original color when it is wider than sRGB
+  const oklch = p3 ? p3ToOklch(p3) : rgbToOklch(rgb);
+  const color = p3 ? { name, rgb, oklch, p3 } : { name, rgb, oklch };
+  execute({ type: 'add', index: state.palette.colors.length, color });
   return true;
 }
 
 /**
- * Save current palette to localStorage
+ * Open a palette color in the edit panel
+ * @param {number} index
+ */
+export function startEditing(index) {
+  const { name, rgb, p3 } = state.palette.colors[index];
+  state.editingIndex = index;
+  state.editDraft = p3 ? { name, rgb, p3 } : { name, rgb };
+}
+
+/**
+ * Close the edit panel, dropping unsaved values
+ */
+export function stopEditing() {
+  state.editingIndex = null;
+  state.editDraft = null;
+}
+
+/**
+ * The edit draft as a palette color, oklch computed as addColor does
+ * @returns {Color | null}
+ */
+export function getDraftColor() {
+  const draft = state.editDraft;
+  if (!draft) return null;
+  return { ...draft, oklch: draft.p3 ? p3ToOklch(draft.p3) : rgbToOklch(draft.rgb) };
+}
+
+/**
+ * Replace a color in place, keeping its position
+ * @param {number} index
+ * @param {string} name
+ * @param {number[]} rgb - sRGB value (the fallback when p3 is given)
+ * @param {number[]} [p3] - Original Display P3 value, stored alongside rgb
+ * @returns {boolean} Whether the color was updated
+ */
+export function updateColor(index, name, rgb, p3) {
+  if (!name) {
+    alert('Please enter a color name');
+    return false;
+  }
+
+  if (!rgb) {
+    alert('Invalid color value');
+    return false;
+  }
+
+  const duplicate = findDuplicateColor(rgb, index);
+  if (duplicate.exists) {
+    alert(`This color already exists in the palette as "${duplicate.name}"`);
+    return false;
+  }
+
+  const oklch = p3 ? p3ToOklch(p3) : rgbToOklch(rgb);
+  const after = p3 ? { name, rgb, oklch, p3 } : { name, rgb, oklch };
+  execute({ type: 'update', index, before: state.palette.colors[index], after });
+  return true;
+}
+
+/**
+ * Save current palette and its undo/redo history to localStorage
  */
 export function saveDraft() {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(state.palette));
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(state.history));
+  } catch (err) {
+    // The draft matters more than its history
+    console.warn('[ColorStory] Could not save edit history:', err);
+  }
 }
 
 /**
@@ -200,8 +469,14 @@ export function loadDraft() {
 }
 
 /**
- * Clear localStorage draft
+ * Load the draft's undo/redo history from localStorage
+ * @returns {import('../lib/history.js').History} Empty when none is stored
  */
-export function clearDraft() {
-  localStorage.removeItem(STORAGE_KEY);
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return isHistory(saved) ? saved : createHistory();
+  } catch {
+    return createHistory();
+  }
 }
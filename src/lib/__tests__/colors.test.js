@@ -5,7 +5,17 @@ import {
   getTone,
   getChromaClass,
   hueInRange,
-  DESTRUCTIVE_HUE
+  DESTRUCTIVE_HUE,
+  SUCCESS_HUE,
+  WARNING_HUE,
+  INFO_HUE,
+  classifyPalette,
+  pickStatusColor,
+  pickStatusText,
+  createRandom,
+  randomSeed,
+  pickRandom,
+  shuffle
 } from '../colors.js';
 
 describe('getTone', () => {
@@ -91,3 +101,88 @@ describe('hueInRange', () => {
     });
   });
 });
+
+describe('status hue ranges', () => {
+  it('separates greens, ambers and blues', () => {
+    expect(hueInRange(145, SUCCESS_HUE)).toBe(true);
+    expect(hueInRange(75, WARNING_HUE)).toBe(true);
+    expect(hueInRange(245, INFO_HUE)).toBe(true);
+    for (const h of [0, 75, 245]) expect(hueInRange(h, SUCCESS_HUE)).toBe(false);
+    for (const h of [20, 145, 245]) expect(hueInRange(h, WARNING_HUE)).toBe(false);
+  });
+
+  it('classifies chromatic colors into status candidates', () => {
+    const green = { name: 'green', rgb: [66, 130, 82], oklch: [0.55, 0.1, 150] };
+    const grayish = { name: 'gray', rgb: [128, 128, 128], oklch: [0.6, 0.01, 150] };
+    const p = classifyPalette([green, grayish]);
+    expect(p.successCandidates).toEqual([green]);
+    expect(p.warningCandidates).toEqual([]);
+  });
+});
+
+describe('pickStatusColor', () => {
+  it('returns null without candidates', () => {
+    expect(pickStatusColor([])).toBeNull();
+  });
+
+  it('prefers the more muted half', () => {
+    const muted = { name: 'muted', rgb: [0, 0, 0], oklch: [0.5, 0.05, 150] };
+    const vivid = { name: 'vivid', rgb: [0, 0, 0], oklch: [0.5, 0.2, 150] };
+    for (const seed of [1, 2, 3]) {
+      expect(pickStatusColor([vivid, muted], createRandom(seed))).toBe(muted);
+    }
+  });
+});
+
+describe('pickStatusText', () => {
+  const white = { name: 'white', rgb: [255, 255, 255], oklch: [1, 0, 0] };
+  const black = { name: 'black', rgb: [0, 0, 0], oklch: [0, 0, 0] };
+
+  it('picks the most readable candidate', () => {
+    const amber = { name: 'amber', rgb: [222, 161, 67], oklch: [0.75, 0.13, 75] };
+    expect(pickStatusText(amber, [white, black])).toBe(black);
+  });
+
+  it('returns null when nothing reaches 4.5:1', () => {
+    const gray = { name: 'gray', rgb: [119, 119, 119], oklch: [0.57, 0, 0] };
+    expect(pickStatusText(gray, [gray, { ...gray, rgb: [150, 150, 150] }])).toBeNull();
+  });
+});
+
+describe('createRandom', () => {
+  it('produces an exact sequence for a numeric seed', () => {
+    const random = createRandom(42);
+    expect(random()).toBe(0.6011037519201636);
+    expect(random()).toBe(0.44829055899754167);
+    expect(random()).toBe(0.8524657934904099);
+  });
+
+  it('accepts string seeds', () => {
+    expect(createRandom('autumn')()).toBe(createRandom('autumn')());
+    expect(createRandom('autumn')()).not.toBe(createRandom('winter')());
+  });
+
+  it('treats numeric strings like numbers (URL params)', () => {
+    expect(createRandom('42')()).toBe(createRandom(42)());
+  });
+
+  it('stays within [0, 1)', () => {
+    const random = createRandom(randomSeed());
+    for (let i = 0; i < 1000; i++) {
+      const v = random();
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    }
+  });
+});
+
+describe('seeded selection helpers', () => {
+  it('shuffles deterministically', () => {
+    expect(shuffle([1, 2, 3, 4, 5, 6], createRandom(7))).toEqual([5, 2, 3, 4, 6, 1]);
+  });
+
+  it('picks deterministically', () => {
+    const items = ['a', 'b', 'c', 'd'];
+    expect(pickRandom(items, createRandom(3))).toBe(pickRandom(items, createRandom(3)));
+  });
+});
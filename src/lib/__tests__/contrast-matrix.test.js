@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildContrastMatrix,
+  getWcagLevels,
+  MATRIX_FOREGROUNDS,
+  MATRIX_BACKGROUNDS,
+  getRequiredPairs
+} from '../contrast-matrix.js';
+import { enumerateAllConfigurations } from '../enumerate.js';
+import { contrastRatio } from '../math.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+const cellFor = (matrix, fg, bg) =>
+  matrix.rows[matrix.foregrounds.indexOf(fg)][matrix.backgrounds.indexOf(bg)];
+
+describe('getWcagLevels', () => {
+  it('applies the AA, AAA and large-text thresholds', () => {
+    expect(getWcagLevels(2.9)).toEqual({ aa: false, aaa: false, large: false });
+    expect(getWcagLevels(3)).toEqual({ aa: false, aaa: false, large: true });
+    expect(getWcagLevels(4.5)).toEqual({ aa: true, aaa: false, large: true });
+    expect(getWcagLevels(7)).toEqual({ aa: true, aaa: true, large: true });
+  });
+});
+
+describe('getRequiredPairs', () => {
+  it('follows the WCAG requirements of each mode', () => {
+    const dark = getRequiredPairs('dark');
+    expect(dark).toContainEqual({ fg: 'textPrimary', bg: 'bgApp', min: 7 });
+    expect(dark).toContainEqual({ fg: 'borderSubtle', bg: 'bgSurface', min: 1.2, max: 3 });
+    expect(dark).toContainEqual({ fg: 'textOnAccent', bg: 'accentSolid', min: 4.5 });
+    expect(dark.filter(p => p.fg === 'textPrimary' && p.bg === 'bgApp')).toHaveLength(1);
+  });
+
+  it('only lists pairs shown in the matrix', () => {
+    for (const mode of ['light', 'dark']) {
+      for (const { fg, bg } of getRequiredPairs(mode)) {
+        expect(MATRIX_FOREGROUNDS).toContain(fg);
+        expect(MATRIX_BACKGROUNDS).toContain(bg);
+      }
+    }
+  });
+});
+
+describe('buildContrastMatrix', () => {
+  const [config] = enumerateAllConfigurations(solvableColors, 'dark').configurations;
+  const destructive = { name: 'brick', rgb: [140, 82, 72], oklch: [0.45, 0.08, 25] };
+  const matrix = buildContrastMatrix({ ...config.tokens, destructive }, 'dark');
+
+  it('covers every foreground and background pair', () => {
+    expect(matrix.foregrounds).toEqual(MATRIX_FOREGROUNDS);
+    expect(matrix.backgrounds).toEqual(MATRIX_BACKGROUNDS);
+    const cell = cellFor(matrix, 'textMuted', 'bgSurface');
+    expect(cell.ratio).toBeCloseTo(contrastRatio(config.tokens.textMuted.rgb, config.tokens.bgSurface.rgb), 10);
+  });
+
+  it('leaves a token against itself empty', () => {
+    expect(cellFor(matrix, 'accentSolid', 'accentSolid')).toBeNull();
+  });
+
+  it('marks the required pairs, which a canonical configuration meets', () => {
+    const required = matrix.rows.flat().filter(cell => cell?.required);
+    expect(required).toHaveLength(getRequiredPairs('dark').length);
+    expect(cellFor(matrix, 'textPrimary', 'bgApp').required).toEqual({ min: 7 });
+    expect(cellFor(matrix, 'borderSubtle', 'bgApp').required).toEqual({ min: 1.2, max: 3 });
+    expect(cellFor(matrix, 'textMuted', 'bgElevated').required).toBeNull();
+    expect(cellFor(matrix, 'textMuted', 'bgElevated').meetsRequired).toBeNull();
+    expect(required.every(cell => cell.meetsRequired)).toBe(true);
+  });
+
+  it('flags a contract pair that fails', () => {
+    const broken = buildContrastMatrix({ ...config.tokens, textPrimary: config.tokens.bgSurface }, 'dark');
+    expect(cellFor(broken, 'textPrimary', 'bgApp').meetsRequired).toBe(false);
+  });
+
+  it('skips tokens the scheme lacks', () => {
+    expect(matrix.foregrounds).toContain('destructive');
+    expect(buildContrastMatrix(config.tokens, 'dark').foregrounds).not.toContain('destructive');
+  });
+});
@@ -4,7 +4,17 @@ import {
   oklchToRgb,
   hexToRgb,
   rgbToHex,
-  parseColorString
+  parseColorString,
+  parseColor,
+  isInGamut,
+  getGamut,
+  gamutMapOklch,
+  deltaEOK,
+  oklchToP3,
+  p3ToOklch,
+  p3ToRgb,
+  oklchToRec2020,
+  rec2020ToOklch
 } from '../convert.js';
 
 describe('rgbToOklch / oklchToRgb roundtrip', () => {
@@ -86,3 +96,166 @@ describe('parseColorString', () => {
     expect(parseColorString('garbage')).toBe(null);
   });
 });
+
+describe('gamut checks', () => {
+  it('reports sRGB colors as in sRGB', () => {
+    expect(isInGamut(rgbToOklch([128, 64, 192]))).toBe(true);
+    expect(getGamut(rgbToOklch([200, 100, 50]))).toBe('srgb');
+  });
+
+  it('reports P3-only colors', () => {
+    const p3Green = p3ToOklch([0.1, 0.85, 0.3]);
+    expect(isInGamut(p3Green, 'srgb')).toBe(false);
+    expect(isInGamut(p3Green, 'p3')).toBe(true);
+    expect(getGamut([0.7, 0.2, 150])).toBe('p3');
+  });
+
+  it('returns null outside Rec.2020', () => {
+    expect(getGamut([0.7, 0.4, 150])).toBe(null);
+  });
+});
+
+describe('gamutMapOklch', () => {
+  it('returns in-gamut colors unchanged', () => {
+    const oklch = [0.6, 0.1, 200];
+    expect(gamutMapOklch(oklch)).toEqual(oklch);
+  });
+
+  it('reduces chroma while keeping lightness and hue', () => {
+    const mapped = gamutMapOklch([0.7, 0.4, 150], 'srgb');
+    expect(mapped[1]).toBeLessThan(0.4);
+    expect(mapped[0]).toBeCloseTo(0.7, 1);
+    expect(Math.abs(mapped[2] - 150)).toBeLessThan(3);
+    expect(isInGamut(mapped, 'srgb')).toBe(true);
+  });
+
+  it('maps lightness extremes to white and black', () => {
+    expect(gamutMapOklch([1.2, 0.2, 40])).toEqual([1, 0, 40]);
+    expect(gamutMapOklch([-0.1, 0.2, 40])).toEqual([0, 0, 40]);
+  });
+
+  it('keeps hue instead of clamping channels in oklchToRgb', () => {
+    const rgb = oklchToRgb([0.7, 0.4, 150]);
+    const hue = rgbToOklch(rgb)[2];
+    expect(Math.abs(hue - 150)).toBeLessThan(5);
+  });
+});
+
+describe('deltaEOK', () => {
+  it('is zero for identical colors', () => {
+    expect(deltaEOK([0.5, 0.1, 30], [0.5, 0.1, 30])).toBe(0);
+  });
+
+  it('measures lightness differences directly', () => {
+    expect(deltaEOK([0.5, 0, 0], [0.6, 0, 0])).toBeCloseTo(0.1, 6);
+  });
+});
+
+describe('Display P3 / Rec.2020', () => {
+  it('roundtrips OKLCH through P3', () => {
+    expect(p3ToOklch(oklchToP3([0.6, 0.15, 30]))).toEqual([0.6, 0.15, 30]);
+  });
+
+  it('roundtrips OKLCH through Rec.2020', () => {
+    expect(rec2020ToOklch(oklchToRec2020([0.6, 0.15, 30]))).toEqual([0.6, 0.15, 30]);
+  });
+
+  it('maps P3 white to sRGB white', () => {
+    expect(p3ToRgb([1, 1, 1])).toEqual([255, 255, 255]);
+  });
+
+  it('produces an sRGB fallback for P3 primaries', () => {
+    const rgb = p3ToRgb([0, 1, 0]);
+    rgb.forEach((v) => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThanOrEqual(255);
+    });
+    expect(rgb[1]).toBeGreaterThan(rgb[0]);
+    expect(rgb[1]).toBeGreaterThan(rgb[2]);
+  });
+});
+
+describe('parseColor', () => {
+  const rgbOf = (str) => {
+    const result = parseColor(str);
+    expect(result.ok).toBe(true);
+    return result.color.rgb;
+  };
+
+  it('parses hex with alpha', () => {
+    expect(parseColor('#f008').color).toEqual({ rgb: [255, 0, 0], alpha: 0x88 / 255, format: 'hex' });
+    expect(parseColor('#ff000080').color.alpha).toBeCloseTo(0.5, 2);
+  });
+
+  it('parses rgb()/rgba() with percentages and slash alpha', () => {
+    expect(parseColor('rgba(255, 0, 0, 0.5)').color.alpha).toBe(0.5);
+    const result = parseColor('rgb(100% 50% 0% / 25%)');
+    expect(result.color.rgb).toEqual([255, 128, 0]);
+    expect(result.color.alpha).toBe(0.25);
+  });
+
+  it('parses hsl() and hwb()', () => {
+    expect(rgbOf('hsl(120 100% 50%)')).toEqual([0, 255, 0]);
+    expect(rgbOf('hsl(120deg, 100%, 25%)')).toEqual([0, 128, 0]);
+    expect(rgbOf('hsla(0.5turn 100% 50% / .3)')).toEqual([0, 255, 255]);
+    expect(rgbOf('hwb(0 0% 0%)')).toEqual([255, 0, 0]);
+    expect(rgbOf('hwb(0 60% 60%)')).toEqual([128, 128, 128]);
+  });
+
+  it('parses lab(), lch() and oklab()', () => {
+    expect(rgbOf('lab(54.29 80.8 69.89)')).toEqual([255, 0, 0]);
+    expect(rgbOf('lch(54.29 106.84 40.85)')).toEqual([255, 0, 0]);
+    expect(rgbOf('oklab(0.628 0.225 0.126)')).toEqual([255, 0, 0]);
+  });
+
+  it('parses oklch() with % lightness and angle units', () => {
+    expect(rgbOf('oklch(62.8% 0.258 29.2deg)')).toEqual([255, 0, 0]);
+    expect(rgbOf('oklch(0.628 0.258 0.0811turn)')).toEqual([255, 0, 0]);
+  });
+
+  it('keeps the original value for color(display-p3)', () => {
+    const result = parseColor('color(display-p3 0 1 0)');
+    expect(result.ok).toBe(true);
+    expect(result.color.p3).toEqual([0, 1, 0]);
+    expect(result.color.rgb[1]).toBeGreaterThan(200);
+  });
+
+  it('clamps color(display-p3) channels to 0-1', () => {
+    expect(parseColor('color(display-p3 1.2 -0.1 50%)').color.p3).toEqual([1, 0, 0.5]);
+  });
+
+  it('allows whitespace before the argument list', () => {
+    expect(rgbOf('rgb (255, 0, 0)')).toEqual([255, 0, 0]);
+    expect(rgbOf('oklch  (62.8% 0.258 29.2deg)')).toEqual([255, 0, 0]);
+  });
+
+  it('warns when alpha is dropped', () => {
+    expect(parseColor('rgb(255 0 0 / 50%)').warning).toBe('Alpha 0.5 is ignored; the color is used fully opaque');
+    expect(parseColor('#ff000080').warning).toMatch(/^Alpha 0\.502 is ignored/);
+    expect(parseColor('transparent').warning).toMatch(/^Alpha 0 is ignored/);
+    expect(parseColor('rgb(255 0 0 / 1)').warning).toBeUndefined();
+    expect(parseColor('#ff0000').warning).toBeUndefined();
+  });
+
+  it('parses named colors case-insensitively', () => {
+    expect(rgbOf('rebeccapurple')).toEqual([102, 51, 153]);
+    expect(rgbOf('Tomato')).toEqual([255, 99, 71]);
+    expect(parseColor('transparent').color.alpha).toBe(0);
+  });
+
+  it('explains why input was rejected', () => {
+    expect(parseColor('').error.code).toBe('empty');
+    expect(parseColor('#12345').error.code).toBe('bad-hex');
+    expect(parseColor('notacolor').error.code).toBe('unknown-name');
+    expect(parseColor('cmyk(0 0 0 1)').error.code).toBe('unknown-function');
+    expect(parseColor('color(a98-rgb 1 0 0)').error.code).toBe('unsupported-space');
+    expect(parseColor('rgb(1, 2)').error.code).toBe('bad-arguments');
+    expect(parseColor('rgb(a b c)').error.code).toBe('bad-value');
+    expect(parseColor('rgb(1, 2)').error.message).toContain('3 channels');
+  });
+
+  it('keeps parseColorString compatible', () => {
+    expect(parseColorString('oklch(0.5, 0.1, 180)')).toEqual(parseColorString('oklch(0.5 0.1 180)'));
+    expect(parseColorString('hsl(0 100% 50%)')).toEqual([255, 0, 0]);
+  });
+});
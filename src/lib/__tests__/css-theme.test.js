@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getSchemeVariables,
+  formatCssTheme,
+  DESTRUCTIVE_FALLBACK,
+  STATUS_FALLBACKS
+} from '../css-theme.js';
+import { resolveThemeSchemes } from '../tokens.js';
+import { generateScheme } from '../scheme/index.js';
+import { CONSTRAINTS_SPEC_VERSION, STATE_ORDER } from '../constraints.js';
+import { rgbToOklch } from '../convert.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+const schemes = resolveThemeSchemes(solvableColors, { seed: 1 });
+const color = (name, rgb) => ({ name, rgb, oklch: rgbToOklch(rgb) });
+
+describe('getSchemeVariables', () => {
+  it('names every variable with the --scheme- prefix', () => {
+    const names = getSchemeVariables(schemes.dark).map(v => v.name);
+    expect(names).toContain('--scheme-bg-app');
+    expect(names).toContain('--scheme-text-on-elevated');
+    expect(names).toContain('--scheme-text-on-success');
+    for (const token of STATE_ORDER) {
+      expect(names).toContain(`--scheme-${token.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase())}`);
+    }
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  it('falls back to textPrimary on elevated when textMuted is too faint', () => {
+    const base = {
+      ...schemes.light,
+      bgElevated: color('paper', [250, 250, 250]),
+      textPrimary: color('ink', [20, 20, 20])
+    };
+    const find = (scheme) => getSchemeVariables(scheme).find(v => v.name === '--scheme-text-on-elevated');
+
+    expect(find({ ...base, textMuted: color('pewter', [110, 110, 110]) }).source).toBe('pewter');
+    expect(find({ ...base, textMuted: color('fog', [200, 200, 200]) }).source).toBe('ink');
+  });
+
+  it('uses the default colors for missing destructive and status tokens', () => {
+    const { destructive, success, textOnWarning, ...rest } = schemes.dark;
+    const variables = getSchemeVariables(rest);
+    const find = (name) => variables.find(v => v.name === name);
+    expect(find('--scheme-destructive')).toEqual({ name: '--scheme-destructive', rgb: DESTRUCTIVE_FALLBACK });
+    expect(find('--scheme-success').rgb).toEqual(STATUS_FALLBACKS.success);
+    expect(find('--scheme-text-on-warning').rgb).toEqual(STATUS_FALLBACKS.textOnWarning);
+  });
+
+  it('falls back to the colors generation defaults to', () => {
+    // Only neutrals: every status token is a generation default
+    const scheme = generateScheme(solvableColors.filter(c => c.oklch[1] < 0.03), 'dark', { seed: 1 });
+    expect(scheme.destructive.rgb).toEqual(DESTRUCTIVE_FALLBACK);
+    for (const token of ['success', 'warning', 'info']) {
+      expect(scheme[token].rgb).toEqual(STATUS_FALLBACKS[token]);
+    }
+  });
+});
+
+describe('formatCssTheme', () => {
+  const css = formatCssTheme(schemes, {
+    paletteId: 'solvable',
+    configIds: { light: 'light-id', dark: 'dark-id' }
+  });
+
+  it('records palette, configs and constraints version in the header', () => {
+    expect(css.startsWith('/*\n * Palette: solvable\n * Light config: light-id\n * Dark config: dark-id\n')).toBe(true);
+    expect(css).toContain(` * Constraints: ${CONSTRAINTS_SPEC_VERSION}\n */`);
+  });
+
+  it('writes light on :root and dark for data-mode and the system preference', () => {
+    const root = css.indexOf(':root {');
+    const media = css.indexOf('@media (prefers-color-scheme: dark) {\n  :root:not([data-mode="light"]) {');
+    const dark = css.indexOf('[data-mode="dark"] {');
+    expect(root).toBeGreaterThan(0);
+    expect(media).toBeGreaterThan(root);
+    expect(dark).toBeGreaterThan(media);
+
+    const hex = (rgb) => '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
+    expect(css.slice(root, media)).toContain(`--scheme-bg-app: ${hex(schemes.light.bgApp.rgb)}; /* ${schemes.light.bgApp.name} */`);
+    expect(css.slice(dark)).toContain(`--scheme-bg-app: ${hex(schemes.dark.bgApp.rgb)};`);
+  });
+
+  it('writes the selected color format', () => {
+    const { bgApp } = schemes.dark;
+    const rgb = formatCssTheme(schemes, { format: 'rgb' });
+    const oklch = formatCssTheme(schemes, { format: 'oklch' });
+    expect(rgb).toContain(`--scheme-bg-app: rgb(${bgApp.rgb.join(', ')});`);
+    const [L, C, H] = rgbToOklch(bgApp.rgb);
+    expect(oklch).toContain(`--scheme-bg-app: oklch(${L} ${C} ${H});`);
+  });
+
+  it('writes a single mode to :root only', () => {
+    const single = formatCssTheme({ dark: schemes.dark });
+    expect(single).toContain(':root {');
+    expect(single).not.toContain('[data-mode="dark"]');
+    expect(single).not.toContain('Light config');
+  });
+
+  it('keeps names from closing the comments', () => {
+    const dark = { ...schemes.dark, bgApp: color('evil */ name', schemes.dark.bgApp.rgb) };
+    const single = formatCssTheme({ dark }, { paletteId: 'a*/b' });
+    expect(single).not.toMatch(/evil \*\//);
+    expect(single).toContain('Palette: a* /b');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { CVD_TYPES, CVD_MATRICES, simulateCvd, simulateScheme, findCvdConfusions } from '../cvd.js';
+import { rgbToOklch } from '../convert.js';
+
+const color = (name, rgb) => ({ name, rgb, oklch: rgbToOklch(rgb) });
+
+describe('simulateCvd', () => {
+  it('has a matrix for every deficiency', () => {
+    expect(Object.keys(CVD_MATRICES)).toEqual(CVD_TYPES);
+  });
+
+  it('keeps white and black', () => {
+    for (const type of CVD_TYPES) {
+      expect(simulateCvd([255, 255, 255], type)).toEqual([255, 255, 255]);
+      expect(simulateCvd([0, 0, 0], type)).toEqual([0, 0, 0]);
+    }
+  });
+
+  it('collapses red and green for red-green deficiencies', () => {
+    const red = simulateCvd([200, 60, 50], 'deuteranopia');
+    const green = simulateCvd([110, 140, 40], 'deuteranopia');
+    for (let i = 0; i < 3; i++) {
+      expect(Math.abs(red[i] - green[i])).toBeLessThan(15);
+    }
+  });
+
+  it('reduces colors to gray for achromatopsia', () => {
+    const [r, g, b] = simulateCvd([40, 100, 220], 'achromatopsia');
+    expect(r).toBe(g);
+    expect(g).toBe(b);
+  });
+});
+
+describe('simulateScheme', () => {
+  it('simulates every color token and keeps the rest', () => {
+    const scheme = { accentSolid: color('grass', [110, 140, 40]), score: { total: 50 } };
+    const simulated = simulateScheme(scheme, 'protanopia');
+    expect(simulated.accentSolid.name).toBe('grass');
+    expect(simulated.accentSolid.rgb).toEqual(simulateCvd([110, 140, 40], 'protanopia'));
+    expect(simulated.score).toBe(scheme.score);
+    expect(scheme.accentSolid.rgb).toEqual([110, 140, 40]);
+  });
+});
+
+describe('findCvdConfusions', () => {
+  const destructive = color('brick', [200, 60, 50]);
+
+  it('warns when accent and destructive collapse', () => {
+    const scheme = { accentSolid: color('grass', [110, 140, 40]), destructive };
+    const types = findCvdConfusions(scheme).map(c => c.type);
+    expect(types).toContain('deuteranopia');
+    expect(types).not.toContain('tritanopia');
+  });
+
+  it('accepts a blue accent next to a red destructive for dichromacies', () => {
+    const scheme = { accentSolid: color('cobalt', [40, 100, 220]), destructive };
+    expect(findCvdConfusions(scheme, ['protanopia', 'deuteranopia', 'tritanopia'])).toEqual([]);
+  });
+
+  it('ignores schemes without both tokens', () => {
+    expect(findCvdConfusions({ destructive })).toEqual([]);
+  });
+});
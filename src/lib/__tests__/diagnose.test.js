@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { diagnoseConfigurations, getDiagnosis, findBlockingStage } from '../diagnose.js';
+import { enumerateAllConfigurations } from '../enumerate.js';
+import { TOKEN_ORDER } from '../constraints.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+// Drop every neutral light enough to be a light-mode bgApp
+const noLightBackground = solvableColors.filter((c) => c.oklch[0] < 0.92);
+
+describe('diagnoseConfigurations', () => {
+  it('counts configurations for a solvable palette', () => {
+    for (const mode of ['light', 'dark']) {
+      const diagnosis = diagnoseConfigurations(solvableColors, mode);
+      expect(diagnosis.configCount).toBe(enumerateAllConfigurations(solvableColors, mode).total);
+      expect(diagnosis.deadEnd).toBeNull();
+      expect(diagnosis.suggestion).toBeNull();
+      expect(diagnosis.tokens.every((t) => t.reached && t.survivors > 0)).toBe(true);
+    }
+  });
+
+  it('reports survivors after each check', () => {
+    const { tokens } = diagnoseConfigurations(solvableColors, 'light');
+    const textPrimary = tokens.find((t) => t.token === 'textPrimary');
+    expect(textPrimary.funnel[0]).toEqual({ stage: 'palette', label: 'palette colors', remaining: solvableColors.length });
+    expect(textPrimary.funnel.map((s) => s.stage)).toEqual(['palette', 'chroma', 'lightness', 'contrast', 'contrast', 'contrast']);
+    const counts = textPrimary.funnel.map((s) => s.remaining);
+    expect(counts).toEqual([...counts].sort((a, b) => b - a));
+  });
+
+  it('keeps same-named colors apart', () => {
+    const colors = solvableColors.map((c) => (c.name === 'bone' ? { ...c, name: 'paper' } : c));
+    for (const mode of ['light', 'dark']) {
+      expect(diagnoseConfigurations(colors, mode).configCount).toBe(enumerateAllConfigurations(colors, mode).total);
+    }
+  });
+
+  it('finds where the search dead-ends', () => {
+    const diagnosis = diagnoseConfigurations(noLightBackground, 'light');
+    expect(diagnosis.configCount).toBe(0);
+    expect(diagnosis.deadEnd).toBe('bgApp');
+    expect(diagnosis.tokens.map((t) => t.token)).toEqual(TOKEN_ORDER);
+
+    const bgApp = diagnosis.tokens[0];
+    expect(bgApp.deadEnds).toBe(1);
+    expect(findBlockingStage(bgApp).stage).toBe('lightness');
+    expect(diagnosis.tokens.slice(1).every((t) => !t.reached)).toBe(true);
+  });
+
+  it('suggests a color that unlocks the dead-end token', () => {
+    const { suggestion } = diagnoseConfigurations(noLightBackground, 'light');
+    expect(suggestion.token).toBe('bgApp');
+    expect(suggestion.message).toMatch(/^A neutral at L≈0\.9\d would unlock bgApp in light mode/);
+
+    const repaired = diagnoseConfigurations([...noLightBackground, suggestion.color], 'light');
+    expect(repaired.tokens[0].survivors).toBe(1);
+    expect(repaired.deadEnd).not.toBe('bgApp');
+  });
+
+  it('handles an empty palette', () => {
+    const diagnosis = diagnoseConfigurations([], 'dark');
+    expect(diagnosis.deadEnd).toBe('bgApp');
+    expect(diagnosis.suggestion.message).toMatch(/would unlock bgApp in dark mode/);
+  });
+});
+
+describe('getDiagnosis', () => {
+  it('reuses the diagnosis until a color value changes', () => {
+    const colors = solvableColors.map((c) => ({ ...c }));
+    const first = getDiagnosis(colors, 'light');
+    expect(getDiagnosis([...colors], 'light')).toBe(first);
+    expect(getDiagnosis(colors, 'dark')).not.toBe(first);
+
+    colors[0] = { ...colors[0], rgb: [40, 40, 40] };
+    expect(getDiagnosis(colors, 'light')).not.toBe(first);
+  });
+});
@@ -1,6 +1,15 @@
 import { describe, it, expect } from 'vitest';
 import { readFileSync } from 'fs';
-import { enumerateConfigurations, validateConfiguration } from '../enumerate.js';
+import {
+  enumerateConfigurations,
+  enumerateAllConfigurations,
+  validateConfiguration,
+  findViolations,
+  isLegalAssignment
+} from '../enumerate.js';
+import { apcaContrast } from '../math.js';
+import { deriveStateTokens } from '../scheme/index.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
 
 // Load test palette
 const testPalette = JSON.parse(
@@ -76,3 +85,167 @@ describe('validateConfiguration', () => {
     });
   });
 });
+
+describe('locked tokens', () => {
+  it('searches only around locked colors', () => {
+    const [best] = enumerateAllConfigurations(solvableColors, 'light').configurations;
+    const locked = { bgApp: best.tokens.bgApp, textPrimary: best.tokens.textPrimary };
+    const sampled = enumerateConfigurations(solvableColors, 'light', { seed: 4, locked });
+    expect(sampled.length).toBeGreaterThan(0);
+    for (const config of sampled) {
+      expect(config.tokens.bgApp).toBe(locked.bgApp);
+      expect(config.tokens.textPrimary).toBe(locked.textPrimary);
+    }
+  });
+
+  it('finds nothing when a locked color breaks its constraints', () => {
+    const darkest = [...solvableColors].sort((a, b) => a.oklch[0] - b.oklch[0])[0];
+    const result = enumerateAllConfigurations(solvableColors, 'light', { locked: { bgApp: darkest } });
+    expect(result.total).toBe(0);
+  });
+});
+
+describe('findViolations', () => {
+  const [config] = enumerateAllConfigurations(solvableColors, 'dark').configurations;
+
+  it('passes a valid configuration', () => {
+    expect(findViolations(config.tokens, 'dark')).toEqual({ valid: true, failing: {}, contrast: [] });
+  });
+
+  it('reports failing slots and contrast pairs with actual ratios', () => {
+    const tokens = { ...config.tokens, textPrimary: config.tokens.bgSurface };
+    const violations = findViolations(tokens, 'dark');
+    expect(violations.valid).toBe(false);
+    expect(violations.failing.textPrimary).toContain('contrast vs bgApp ≥ 7');
+    const pair = violations.contrast.find((c) => c.token === 'textPrimary' && c.against === 'bgApp');
+    expect(pair.algorithm).toBe('wcag');
+    expect(pair.value).toBeLessThan(pair.min);
+    expect(pair.value).toBeGreaterThanOrEqual(1);
+  });
+
+  it('reports state tokens that miss contrast', () => {
+    const tokens = { ...config.tokens, ...deriveStateTokens(config.tokens) };
+    expect(findViolations(tokens, 'dark').valid).toBe(true);
+
+    const violations = findViolations({ ...tokens, accentSolidHover: tokens.textOnAccent }, 'dark');
+    expect(violations.failing).toEqual({ accentSolidHover: ['contrast vs textOnAccent ≥ 4.5'] });
+    expect(violations.contrast).toEqual([
+      expect.objectContaining({ token: 'accentSolidHover', against: 'textOnAccent', value: 1 })
+    ]);
+  });
+});
+
+describe('isLegalAssignment', () => {
+  const [config] = enumerateAllConfigurations(solvableColors, 'light').configurations;
+
+  it('accepts the color already in the slot', () => {
+    for (const [token, color] of Object.entries(config.tokens)) {
+      expect(isLegalAssignment(config.tokens, 'light', token, color)).toBe(true);
+    }
+  });
+
+  it('rejects a color that fails the slot', () => {
+    expect(isLegalAssignment(config.tokens, 'light', 'textPrimary', config.tokens.bgApp)).toBe(false);
+  });
+
+  it('rejects a color that passes the slot but breaks slots depending on it', () => {
+    // bone passes as a light bgApp, but the slots measured against bgApp then fail more checks
+    const bone = solvableColors.find((c) => c.name === 'bone');
+    expect(config.tokens.bgApp.name).not.toBe('bone');
+    expect(isLegalAssignment(config.tokens, 'light', 'bgApp', bone)).toBe(false);
+  });
+
+  it('accepts anything for unconstrained slots', () => {
+    expect(isLegalAssignment(config.tokens, 'light', 'destructive', solvableColors[0])).toBe(true);
+  });
+});
+
+describe('APCA requirements', () => {
+  const darkConfigs = enumerateConfigurations(solvableColors, 'dark');
+
+  it('finds dark configurations for the solvable fixture', () => {
+    expect(darkConfigs.length).toBeGreaterThan(0);
+  });
+
+  it('enforces Lc thresholds for dark-mode text', () => {
+    darkConfigs.forEach(({ tokens }) => {
+      expect(Math.abs(apcaContrast(tokens.textPrimary.rgb, tokens.bgApp.rgb))).toBeGreaterThanOrEqual(75);
+      expect(Math.abs(apcaContrast(tokens.textMuted.rgb, tokens.bgApp.rgb))).toBeGreaterThanOrEqual(60);
+    });
+  });
+
+  it('rejects a dark config whose muted text fails Lc', () => {
+    const config = { ...darkConfigs[0], tokens: { ...darkConfigs[0].tokens } };
+    // Passes WCAG 4.5:1 against bgApp but sits well below Lc 45 on the surface
+    config.tokens.textMuted = { name: 'dim', rgb: [120, 120, 120], oklch: [0.58, 0, 0] };
+    expect(validateConfiguration(config, 'dark')).toBe(false);
+  });
+});
+
+describe('seeded enumeration', () => {
+  it('returns identical configurations for the same seed', () => {
+    const a = enumerateConfigurations(solvableColors, 'dark', { seed: 123 });
+    const b = enumerateConfigurations(solvableColors, 'dark', { seed: 123 });
+    expect(a.map((c) => c.id)).toEqual(b.map((c) => c.id));
+  });
+
+  it('produces an exact first configuration for a given seed', () => {
+    const [first] = enumerateConfigurations(solvableColors, 'dark', { seed: 123 });
+    expect(first.id).toBe(
+      'bgApp:ink|bgSurface:coal|bgElevated:slate|textPrimary:bone|textMuted:putty|' +
+      'borderSubtle:pewter|borderStrong:stone|accentSolid:cobalt|accentSoft:haze|textOnAccent:ink'
+    );
+  });
+});
+
+describe('enumerateAllConfigurations', () => {
+  for (const mode of ['dark', 'light']) {
+    describe(`${mode} mode`, () => {
+      const result = enumerateAllConfigurations(solvableColors, mode);
+
+      it('counts every valid configuration, including all sampled ones', () => {
+        const ids = new Set(result.configurations.map((c) => c.id));
+        expect(ids.size).toBe(result.total);
+        expect(result.truncated).toBe(false);
+        for (const config of enumerateConfigurations(solvableColors, mode, { seed: 9 })) {
+          expect(ids.has(config.id)).toBe(true);
+        }
+      });
+
+      it('only returns configurations that pass validation', () => {
+        for (const config of result.configurations) {
+          expect(validateConfiguration(config, mode)).toBe(true);
+        }
+      });
+
+      it('ranks configurations best first', () => {
+        const scores = result.configurations.map((c) => c.score);
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+        expect(scores[0]).toBeLessThanOrEqual(100);
+        expect(scores[scores.length - 1]).toBeGreaterThanOrEqual(0);
+      });
+    });
+  }
+
+  it('keeps only the best configurations when limited', () => {
+    const full = enumerateAllConfigurations(solvableColors, 'dark');
+    const limited = enumerateAllConfigurations(solvableColors, 'dark', { limit: 5 });
+    expect(limited.total).toBe(full.total);
+    expect(limited.truncated).toBe(true);
+    expect(limited.configurations.map((c) => c.score))
+      .toEqual(full.configurations.slice(0, 5).map((c) => c.score));
+  });
+
+  it('tells same-named colors apart', () => {
+    const full = enumerateAllConfigurations(solvableColors, 'dark');
+    const unnamed = enumerateAllConfigurations(solvableColors.map((c) => ({ ...c, name: 'color' })), 'dark');
+    expect(unnamed.total).toBe(full.total);
+    expect(unnamed.configurations.map((c) => c.score)).toEqual(full.configurations.map((c) => c.score));
+  });
+
+  it('returns nothing when a token has no candidates', () => {
+    const noAccents = solvableColors.filter((c) => c.oklch[1] < 0.05);
+    expect(enumerateAllConfigurations(noAccents, 'dark'))
+      .toEqual({ total: 0, configurations: [], truncated: false });
+  });
+});
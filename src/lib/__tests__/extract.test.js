@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { clusterPixels, extractPalette } from '../extract.js';
+import { getValidationBucket } from '../validate.js';
+import { deltaEOK } from '../convert.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+/**
+ * Image of vertical stripes, one per color, each `stripe` pixels wide
+ * @param {number[][]} colors - RGB
+ * @param {Object} [options]
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function stripes(colors, { stripe = 10, height = 10, alpha = 255 } = {}) {
+  const width = colors.length * stripe;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const [r, g, b] = colors[Math.floor((i % width) / stripe)];
+    data.set([r, g, b, alpha], i * 4);
+  }
+  return { data, width, height };
+}
+
+const BUCKET_MINIMUMS = { darkNeutrals: 2, midNeutrals: 2, lightNeutrals: 2, strongAccents: 1, mutedAccents: 1 };
+
+describe('clusterPixels', () => {
+  it('finds each flat color with its share and where it was sampled', () => {
+    const image = stripes([[20, 20, 20], [20, 20, 20], [39, 132, 213]]);
+    const clusters = clusterPixels(image);
+    expect(clusters).toHaveLength(2);
+    expect(clusters[0].color.rgb).toEqual([20, 20, 20]);
+    expect(clusters[0].share).toBeCloseTo(2 / 3);
+    expect(clusters[1].color.rgb).toEqual([39, 132, 213]);
+    expect(clusters[1].sample.x).toBeGreaterThanOrEqual(20);
+    expect(clusters[1].bucket).toBe('strongAccents');
+  });
+
+  it('ignores transparent pixels', () => {
+    expect(clusterPixels(stripes([[20, 20, 20]], { alpha: 0 }))).toEqual([]);
+    expect(extractPalette(stripes([[20, 20, 20]], { alpha: 0 })).colors).toEqual([]);
+  });
+
+  it('is reproducible for a seed', () => {
+    const image = stripes(solvableColors.map(c => c.rgb));
+    expect(clusterPixels(image, { seed: 3 })).toEqual(clusterPixels(image, { seed: 3 }));
+  });
+});
+
+describe('extractPalette', () => {
+  it('proposes a valid palette from a varied image', () => {
+    const { colors, validation } = extractPalette(stripes(solvableColors.map(c => c.rgb)));
+    expect(validation.valid).toBe(true);
+    expect(colors).toHaveLength(12);
+    // The fixture has no muted accent; everything else is taken as sampled
+    expect(colors.filter(c => c.adjusted).map(c => c.bucket)).toEqual(['mutedAccents']);
+    for (const { color, bucket } of colors) {
+      expect(getValidationBucket(color)).toBe(bucket);
+    }
+  });
+
+  it('moves clusters into buckets the image lacks', () => {
+    // Only mid grays and one dull blue: every other bucket needs an adjusted color
+    const { colors, validation, complete } = extractPalette(stripes([[110, 110, 110], [150, 150, 150], [90, 110, 140]]));
+    expect(complete).toBe(true);
+    for (const [bucket, need] of Object.entries(BUCKET_MINIMUMS)) {
+      expect(validation.counts[bucket]).toBeGreaterThanOrEqual(need);
+    }
+    expect(colors.some(c => c.adjusted)).toBe(true);
+    expect(colors.filter(c => !c.adjusted).map(c => c.color.rgb)).toContainEqual([110, 110, 110]);
+
+    // The accents keep the blue's hue
+    const strong = colors.find(c => c.bucket === 'strongAccents');
+    expect(strong.adjusted).toBe(true);
+    expect(Math.abs(strong.color.oklch[2] - 258)).toBeLessThan(10);
+  });
+
+  it('keeps proposals apart and names them by bucket', () => {
+    const { colors } = extractPalette(stripes(solvableColors.map(c => c.rgb)));
+    for (let i = 0; i < colors.length; i++) {
+      for (let j = i + 1; j < colors.length; j++) {
+        expect(deltaEOK(colors[i].color.oklch, colors[j].color.oklch)).toBeGreaterThanOrEqual(0.03);
+      }
+    }
+    const names = colors.map(c => c.color.name);
+    expect(new Set(names).size).toBe(names.length);
+    expect(names).toContain('dark neutral');
+    expect(names).toContain('dark neutral 2');
+  });
+});
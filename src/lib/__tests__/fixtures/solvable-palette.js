@@ -0,0 +1,40 @@
+/**
+ * Synthetic palette that satisfies every constraint in both modes.
+ * Built from OKLCH so the intent of each color is readable.
+ */
+
+import { oklchToRgb, rgbToOklch } from '../../convert.js';
+
+/** @typedef {import('../../../components/palette-bar.js').Color} Color */
+
+/**
+ * @param {string} name
+ * @param {number} L
+ * @param {number} [C]
+ * @param {number} [H]
+ * @returns {Color}
+ */
+function makeColor(name, L, C = 0, H = 0) {
+  const rgb = oklchToRgb([L, C, H]);
+  return { name, rgb, oklch: rgbToOklch(rgb) };
+}
+
+/** @type {Color[]} */
+export const solvableColors = [
+  makeColor('ink', 0.12),
+  makeColor('charcoal', 0.17),
+  makeColor('coal', 0.20),
+  makeColor('slate', 0.27),
+  makeColor('pewter', 0.40),
+  makeColor('stone', 0.52),
+  makeColor('graphite', 0.58),
+  makeColor('ash', 0.70),
+  makeColor('fog', 0.82),
+  makeColor('putty', 0.84),
+  makeColor('linen', 0.91),
+  makeColor('bone', 0.95),
+  makeColor('paper', 0.99),
+  makeColor('cobalt', 0.6, 0.15, 250),
+  makeColor('haze', 0.33, 0.09, 250),
+  makeColor('mist', 0.80, 0.09, 250)
+];
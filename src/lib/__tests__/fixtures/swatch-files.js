@@ -0,0 +1,23 @@
+/**
+ * Swatch files written by an independent encoder, base64 encoded.
+ * Each lists its colors in file order.
+ */
+
+/**
+ * Adobe ASE: group "Neutrals" with paper (RGB 245 245 240) and ink (Gray 0.1),
+ * then cobalt (RGB 39 132 213), press red (CMYK 0 1 1 0) and lab gray (LAB 0.5 0 0)
+ */
+export const ASE_FILE = 'QVNFRgABAAAAAAAHwAEAAAAUAAkATgBlAHUAdAByAGEAbABzAAAAAQAAACAABgBwAGEAcABlAHIAAFJHQiA/dfX2P3X19j9w8PEAAgABAAAAFAAEAGkAbgBrAABHcmF5PczMzQACwAIAAAAAAAEAAAAiAAcAYwBvAGIAYQBsAHQAAFJHQiA+HJydPwSEhT9V1dYAAAABAAAALAAKAHAAcgBlAHMAcwAgAHIAZQBkAABDTVlLAAAAAD+AAAA/gAAAAAAAAAABAAEAAAAmAAkAbABhAGIAIABnAHIAYQB5AABMQUIgPwAAAAAAAAAAAAAAAAI=';
+
+/**
+ * Photoshop ACO, version 1 and 2 sections: paper (RGB 245 245 240), press red
+ * (CMYK 0 100 100 0), lab gray (Lab 50 0 0), ink (Grayscale 90%) and a
+ * Pantone book color
+ */
+export const ACO_FILE = 'AAEABQAA9fX19fDwAAAAAv//AAAAAP//AAcTiAAAAAAAAAAIIygAAAAAAAAAAwABAAIAAwAEAAIABQAA9fX19fDwAAAAAAAGAHAAYQBwAGUAcgAAAAL//wAAAAD//wAAAAoAcAByAGUAcwBzACAAcgBlAGQAAAAHE4gAAAAAAAAAAAAJAGwAYQBiACAAZwByAGEAeQAAAAgjKAAAAAAAAAAAAAQAaQBuAGsAAAADAAEAAgADAAQAAAAIAHAAYQBuAHQAbwBuAGUAAA==';
+
+/**
+ * Procreate swatches (deflated zip), palette "Sea Glass": white (HSB 0 0 1),
+ * an empty slot, then HSB 0.5833 0.8169 0.8353 (RGB 39 126 213)
+ */
+export const PROCREATE_FILE = 'UEsDBBQAAAAIAGSOUl2cQZsbfgAAANkAAAANAAAAU3dhdGNoZXMuanNvbouuVspLzE1VslJQCk5NVHDPSSwuVtJRUCouTyxJzkgtBkpEVytllIJUGOgZgGQSS0qLEksy8/PgQklFmekZJXmpxSDlhmChxJyCjEQQD8hOzs/JLwouSEwGG1Kro5BXmpOjo4Aw1tTCGAQwDbcwNLNENx8oamxqjN+K2NpYAFBLAQIUAxQAAAAIAGSOUl2cQZsbfgAAANkAAAANAAAAAAAAAAAAAACAAQAAAABTd2F0Y2hlcy5qc29uUEsFBgAAAAABAAEAOwAAAKkAAAAAAA==';
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createHistory,
+  isHistory,
+  applyCommand,
+  revertCommand,
+  recordCommand,
+  undoCommand,
+  redoCommand,
+  describeCommand,
+  HISTORY_LIMIT
+} from '../history.js';
+
+const color = (name, rgb) => ({ name, rgb, oklch: [0.5, 0, 0] });
+const ink = color('ink', [20, 20, 20]);
+const paper = color('paper', [245, 245, 245]);
+const cobalt = color('cobalt', [39, 132, 213]);
+const palette = { id: 'draft', name: 'Draft', created: '2026-01-01', tags: null, colors: [ink, paper] };
+
+describe('applyCommand / revertCommand', () => {
+  const commands = [
+    { type: 'add', index: 1, color: cobalt },
+    { type: 'delete', index: 0, color: ink },
+    { type: 'update', index: 1, before: paper, after: color('bone', [240, 235, 225]) },
+    { type: 'rename', before: { name: 'Draft', id: 'draft' }, after: { name: 'Sea Glass', id: 'sea_glass' } },
+    { type: 'replace', before: palette, after: { ...palette, colors: [] } },
+    { type: 'batch', commands: [{ type: 'add', index: 2, color: cobalt }, { type: 'delete', index: 0, color: ink }] }
+  ];
+
+  it('reverts every command back to the original palette', () => {
+    for (const command of commands) {
+      const applied = applyCommand(palette, command);
+      expect(applied).not.toEqual(palette);
+      expect(revertCommand(applied, command)).toEqual(palette);
+    }
+  });
+
+  it('keeps positions', () => {
+    expect(applyCommand(palette, commands[0]).colors.map(c => c.name)).toEqual(['ink', 'cobalt', 'paper']);
+    expect(applyCommand(palette, commands[2]).colors.map(c => c.name)).toEqual(['ink', 'bone']);
+    expect(applyCommand(palette, commands[5]).colors.map(c => c.name)).toEqual(['paper', 'cobalt']);
+  });
+
+  it('leaves the given palette untouched', () => {
+    const snapshot = structuredClone(palette);
+    for (const command of commands) applyCommand(palette, command);
+    expect(palette).toEqual(snapshot);
+  });
+
+  it('rejects unknown commands', () => {
+    expect(() => applyCommand(palette, { type: 'paint' })).toThrow('Unknown palette command');
+  });
+});
+
+describe('history stacks', () => {
+  const add = { type: 'add', index: 2, color: cobalt };
+  const remove = { type: 'delete', index: 0, color: ink };
+
+  it('undoes and redoes in order', () => {
+    let history = createHistory();
+    let current = palette;
+    for (const command of [add, remove]) {
+      current = applyCommand(current, command);
+      history = recordCommand(history, command);
+    }
+
+    const undone = undoCommand(history, current);
+    expect(undone.palette.colors.map(c => c.name)).toEqual(['ink', 'paper', 'cobalt']);
+    const undoneTwice = undoCommand(undone.history, undone.palette);
+    expect(undoneTwice.palette).toEqual(palette);
+    expect(undoCommand(undoneTwice.history, undoneTwice.palette)).toBeNull();
+
+    const redone = redoCommand(undoneTwice.history, undoneTwice.palette);
+    expect(redone.palette.colors.map(c => c.name)).toEqual(['ink', 'paper', 'cobalt']);
+    expect(redone.history.redo).toEqual([remove]);
+  });
+
+  it('clears redo on a new command', () => {
+    const history = { undo: [], redo: [add] };
+    expect(recordCommand(history, remove)).toEqual({ undo: [remove], redo: [] });
+    expect(redoCommand(createHistory(), palette)).toBeNull();
+  });
+
+  it('merges consecutive renames', () => {
+    const rename = (from, to) => ({ type: 'rename', before: { name: from, id: from }, after: { name: to, id: to } });
+    let history = recordCommand(createHistory(), rename('', 's'));
+    history = recordCommand(history, rename('s', 'se'));
+    history = recordCommand(history, rename('se', 'sea'));
+    expect(history.undo).toEqual([rename('', 'sea')]);
+  });
+
+  it(`keeps the latest ${HISTORY_LIMIT} commands`, () => {
+    let history = createHistory();
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+      history = recordCommand(history, { type: 'add', index: i, color: cobalt });
+    }
+    expect(history.undo).toHaveLength(HISTORY_LIMIT);
+    expect(history.undo[0].index).toBe(5);
+  });
+
+  it('survives a JSON round trip', () => {
+    const history = recordCommand(createHistory(), add);
+    const restored = JSON.parse(JSON.stringify(history));
+    expect(isHistory(restored)).toBe(true);
+    expect(undoCommand(restored, applyCommand(palette, add)).palette).toEqual(palette);
+    expect(isHistory(null)).toBe(false);
+    expect(isHistory({ undo: [] })).toBe(false);
+  });
+});
+
+describe('describeCommand', () => {
+  it('names the change', () => {
+    expect(describeCommand({ type: 'add', index: 0, color: cobalt })).toBe('Add "cobalt"');
+    expect(describeCommand({ type: 'replace', before: palette, after: { ...palette, colors: [] } })).toBe('Clear palette');
+    expect(describeCommand({ type: 'replace', before: palette, after: palette })).toBe('Load "Draft"');
+    expect(describeCommand({ type: 'batch', commands: [{ type: 'add' }, { type: 'add' }] })).toBe('Add 2 colors');
+  });
+});
@@ -3,7 +3,9 @@ import {
   relativeLuminance,
   contrastRatio,
   meetsContrast,
-  hueDifference
+  hueDifference,
+  apcaContrast,
+  measureContrast
 } from '../math.js';
 
 describe('relativeLuminance', () => {
@@ -63,3 +65,37 @@ describe('hueDifference', () => {
     expect(hueDifference(0, 270)).toBe(90);
   });
 });
+
+describe('apcaContrast', () => {
+  it('matches reference values for black and white', () => {
+    expect(apcaContrast([0, 0, 0], [255, 255, 255])).toBeCloseTo(106.04, 1);
+    expect(apcaContrast([255, 255, 255], [0, 0, 0])).toBeCloseTo(-107.88, 1);
+  });
+
+  it('matches reference value for #888 on #fff', () => {
+    expect(apcaContrast([136, 136, 136], [255, 255, 255])).toBeCloseTo(63.06, 1);
+  });
+
+  it('is polarity-aware (not symmetric)', () => {
+    const a = [40, 40, 40];
+    const b = [230, 230, 230];
+    expect(apcaContrast(a, b)).toBeGreaterThan(0);
+    expect(apcaContrast(b, a)).toBeLessThan(0);
+    expect(Math.abs(apcaContrast(a, b))).not.toBeCloseTo(Math.abs(apcaContrast(b, a)), 1);
+  });
+
+  it('returns 0 for same color and very low contrast', () => {
+    expect(apcaContrast([128, 128, 128], [128, 128, 128])).toBe(0);
+    expect(apcaContrast([128, 128, 128], [134, 134, 134])).toBe(0);
+  });
+});
+
+describe('measureContrast', () => {
+  it('defaults to WCAG ratio', () => {
+    expect(measureContrast([0, 0, 0], [255, 255, 255])).toBe(21);
+  });
+
+  it('returns absolute Lc for apca', () => {
+    expect(measureContrast([255, 255, 255], [0, 0, 0], 'apca')).toBeCloseTo(107.88, 1);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  kebabName,
+  uniqueIdentifiers,
+  formatTailwind,
+  formatScss,
+  formatTypeScript,
+  formatAndroidXml,
+  formatIosAssetCatalog
+} from '../platform-export.js';
+import { parseColor, rgbToOklch } from '../convert.js';
+
+const color = (name, rgb, oklch, p3) => ({ name, rgb, oklch, ...(p3 ? { p3 } : {}) });
+
+const palette = {
+  id: 'Test Palette',
+  name: 'Test "Palette"',
+  colors: [
+    color('Deep Blue', [0, 0, 128], [0.3, 0.2, 264]),
+    color('deep-blue', [0, 0, 140], [0.32, 0.2, 264]),
+    color('9 Grey', [128, 128, 128], [0.6, 0, 0]),
+    color('Rose -- "pink" <b>', [255, 0, 128], [0.64, 0.25, 0], [0.95, 0.1, 0.5])
+  ]
+};
+
+describe('kebabName', () => {
+  it('lowercases and dashes anything outside a-z and 0-9', () => {
+    expect(kebabName('Deep  Blue!')).toBe('deep-blue');
+    expect(kebabName('"Rose" <b>')).toBe('rose-b');
+  });
+});
+
+describe('uniqueIdentifiers', () => {
+  it('suffixes repeats and names empty identifiers', () => {
+    const colors = [{ name: 'A' }, { name: 'a' }, { name: '!!' }];
+    expect(uniqueIdentifiers(colors, kebabName)).toEqual(['a', 'a-2', 'color']);
+    expect(uniqueIdentifiers(colors, kebabName, '_')).toEqual(['a', 'a_2', 'color']);
+  });
+});
+
+describe('formatTailwind', () => {
+  it('nests unique names under the palette id', () => {
+    const out = formatTailwind(palette);
+    expect(out).toContain("'test-palette': {");
+    expect(out).toContain("'deep-blue': '#000080',");
+    expect(out).toContain("'deep-blue-2': '#00008c',");
+    expect(out).toContain("'rose-pink-b': '#ff0080',");
+    expect(out).not.toMatch(/["<>]/);
+  });
+});
+
+describe('formatScss', () => {
+  it('keeps identifiers valid and splits neutrals from accents', () => {
+    const out = formatScss(palette);
+    expect(out).toContain('$color-9-grey: #808080;');
+    expect(out).toMatch(/\$palette-neutrals: \(\n {2}'color-9-grey': \$color-9-grey,\n\);/);
+    expect(out).not.toMatch(/\$palette-accents: \([^)]*grey/);
+  });
+
+  it('writes empty maps for an empty palette', () => {
+    expect(formatScss({ ...palette, colors: [] })).toContain('$palette: ();');
+  });
+});
+
+describe('formatTypeScript', () => {
+  it('uses camelCase keys and escapes names as string literals', () => {
+    const out = formatTypeScript(palette);
+    expect(out).toContain('    deepBlue: { name: "Deep Blue",');
+    expect(out).toContain('    deepBlue2: {');
+    expect(out).toContain('    _9Grey: {');
+    expect(out).toContain('name: "Rose -- \\"pink\\" <b>"');
+    expect(out).toContain('p3: [0.95, 0.1, 0.5]');
+    expect(out).toContain('name: "Test \\"Palette\\""');
+  });
+});
+
+describe('formatAndroidXml', () => {
+  it('follows Android resource name rules', () => {
+    const out = formatAndroidXml(palette);
+    const names = [...out.matchAll(/<color name="([^"]+)">/g)].map(m => m[1]);
+    expect(names).toEqual(['deep_blue', 'deep_blue_2', 'color_9_grey', 'rose_pink_b']);
+    for (const name of names) expect(name).toMatch(/^[a-z_][a-z0-9_]*$/);
+    expect(out).toContain('<color name="deep_blue">#000080</color>');
+  });
+
+  it('keeps color names from closing their comment', () => {
+    const out = formatAndroidXml(palette);
+    expect(out).toContain('<!-- Rose - - "pink" <b> -->');
+    expect(out.match(/--/g)).toHaveLength(2 * palette.colors.length);
+  });
+
+  it('splits runs of three or more hyphens', () => {
+    const out = formatAndroidXml({ ...palette, colors: [color('a---b', [0, 0, 0], [0, 0, 0])] });
+    expect(out).toContain('<!-- a- - -b -->');
+    expect(out.match(/--/g)).toHaveLength(2);
+  });
+});
+
+describe('formatIosAssetCatalog', () => {
+  const files = JSON.parse(formatIosAssetCatalog(palette));
+
+  it('writes one Contents.json per colorset plus the catalog root', () => {
+    expect(Object.keys(files)).toEqual([
+      'Colors.xcassets/Contents.json',
+      'Colors.xcassets/DeepBlue.colorset/Contents.json',
+      'Colors.xcassets/DeepBlue2.colorset/Contents.json',
+      'Colors.xcassets/9Grey.colorset/Contents.json',
+      'Colors.xcassets/RosePinkB.colorset/Contents.json'
+    ]);
+    expect(files['Colors.xcassets/Contents.json']).toEqual({ info: { author: 'xcode', version: 1 } });
+  });
+
+  it('describes sRGB colors with hex components', () => {
+    expect(files['Colors.xcassets/DeepBlue2.colorset/Contents.json']).toEqual({
+      colors: [{
+        idiom: 'universal',
+        color: { 'color-space': 'srgb', components: { red: '0x00', green: '0x00', blue: '0x8C', alpha: '1.000' } }
+      }],
+      info: { author: 'xcode', version: 1 }
+    });
+  });
+
+  it('keeps the Display P3 value of wide-gamut colors', () => {
+    const [{ color }] = files['Colors.xcassets/RosePinkB.colorset/Contents.json'].colors;
+    expect(color).toEqual({ 'color-space': 'display-p3', components: { red: '0.950', green: '0.100', blue: '0.500', alpha: '1.000' } });
+  });
+
+  it('keeps parsed Display P3 components within 0-1', () => {
+    const { rgb, p3 } = parseColor('color(display-p3 1.2 -0.1 0.5)').color;
+    const out = JSON.parse(formatIosAssetCatalog({ ...palette, colors: [color('Hot', rgb, rgbToOklch(rgb), p3)] }));
+    const [{ color: hot }] = out['Colors.xcassets/Hot.colorset/Contents.json'].colors;
+    expect(hot.components).toEqual({ red: '1.000', green: '0.000', blue: '0.500', alpha: '1.000' });
+  });
+});
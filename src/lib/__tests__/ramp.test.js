@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { generateRamp, formatRampsCss, wcagLabel, RAMP_STEPS, RAMP_LIGHTNESS } from '../ramp.js';
+import { oklchToRgb, rgbToOklch, isInGamut } from '../convert.js';
+import { contrastRatio } from '../math.js';
+import { rgbToHex } from '../format.js';
+
+const fromOklch = (name, oklch) => {
+  const rgb = oklchToRgb(oklch);
+  return { name, rgb, oklch: rgbToOklch(rgb) };
+};
+
+describe('wcagLabel', () => {
+  it('names the highest level reached', () => {
+    expect(wcagLabel(7.2)).toBe('AAA');
+    expect(wcagLabel(4.5)).toBe('AA');
+    expect(wcagLabel(3.1)).toBe('AA Large');
+    expect(wcagLabel(2.9)).toBe('Fail');
+  });
+});
+
+describe('generateRamp', () => {
+  const cobalt = fromOklch('cobalt', [0.6, 0.15, 250]);
+  const ramp = generateRamp(cobalt);
+
+  it('produces 11 steps from light to dark', () => {
+    expect(ramp.steps.map(s => s.step)).toEqual(RAMP_STEPS);
+    expect(RAMP_STEPS).toHaveLength(11);
+    for (let i = 1; i < ramp.steps.length; i++) {
+      expect(ramp.steps[i].color.oklch[0]).toBeLessThan(ramp.steps[i - 1].color.oklch[0]);
+    }
+  });
+
+  it('hits the step lightness and keeps the hue', () => {
+    for (const { step, color } of ramp.steps) {
+      expect(color.oklch[0]).toBeCloseTo(RAMP_LIGHTNESS[step], 1);
+      if (color.oklch[1] > 0.02) expect(Math.abs(color.oklch[2] - 250)).toBeLessThanOrEqual(3);
+      expect(color.name).toBe(`cobalt ${step}`);
+    }
+  });
+
+  it('keeps chroma where sRGB allows and reduces it where it does not', () => {
+    const step500 = ramp.steps.find(s => s.step === 500);
+    expect(step500.chromaReduced).toBe(false);
+    expect(step500.color.oklch[1]).toBeCloseTo(0.15, 2);
+
+    const step50 = ramp.steps.find(s => s.step === 50);
+    expect(step50.chromaReduced).toBe(true);
+    expect(step50.color.oklch[1]).toBeLessThan(0.15);
+    expect(isInGamut(step50.color.oklch, 'srgb')).toBe(true);
+  });
+
+  it('labels contrast against white and black', () => {
+    for (const { color, contrast, wcag } of ramp.steps) {
+      expect(contrast.white).toBeCloseTo(contrastRatio(color.rgb, [255, 255, 255]), 10);
+      expect(wcag.black).toBe(wcagLabel(contrast.black));
+    }
+    expect(ramp.steps[0].wcag.black).toBe('AAA');
+    expect(ramp.steps[ramp.steps.length - 1].wcag.white).toBe('AAA');
+  });
+
+  it('anchors on the step nearest the source lightness', () => {
+    expect(ramp.anchor).toBe(500);
+  });
+
+  it('ramps neutrals without adding chroma', () => {
+    const gray = generateRamp(fromOklch('stone', [0.52, 0, 90]));
+    expect(gray.steps.every(s => s.color.oklch[1] < 0.005)).toBe(true);
+  });
+});
+
+describe('formatRampsCss', () => {
+  const colors = [fromOklch('Cobalt', [0.6, 0.15, 250]), fromOklch('cobalt */', [0.5, 0.1, 30])];
+  const css = formatRampsCss({ colors });
+
+  it('writes every step of every color as a hex variable with its contrast', () => {
+    const [first, second] = css.split('\n\n');
+    expect(first.split('\n')).toHaveLength(RAMP_STEPS.length + 1);
+    const { steps } = generateRamp(colors[0]);
+    expect(first).toContain(`--cobalt-500: ${rgbToHex(steps[5].color.rgb)}; /* white ${steps[5].contrast.white.toFixed(2)} ${steps[5].wcag.white}, black `);
+    expect(second).toContain('--cobalt-2-50: #');
+  });
+
+  it('keeps color names from closing their comment', () => {
+    expect(css).toContain('/* cobalt * / */');
+  });
+});
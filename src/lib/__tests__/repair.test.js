@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { suggestRepairs } from '../repair.js';
+import { validatePalette } from '../validate.js';
+import { enumerateAllConfigurations } from '../enumerate.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+function repair(colors) {
+  const palette = { id: 'test', name: 'Test', colors };
+  const plan = suggestRepairs(palette, validatePalette(palette));
+  return { plan, repaired: [...colors, ...plan.suggestions.map((s) => s.color)] };
+}
+
+describe('suggestRepairs', () => {
+  it('only recommends a muted accent for a complete palette', () => {
+    const { plan } = repair(solvableColors);
+    expect(plan.suggestions.map((s) => s.bucket)).toEqual(['mutedAccents']);
+    expect(plan.complete).toBe(true);
+  });
+
+  it('fills every validation bucket of an empty palette', () => {
+    const { plan, repaired } = repair([]);
+    const buckets = new Set(plan.suggestions.map((s) => s.bucket));
+    for (const bucket of ['darkNeutrals', 'midNeutrals', 'lightNeutrals', 'strongAccents', 'mutedAccents']) {
+      expect(buckets.has(bucket)).toBe(true);
+    }
+    expect(plan.complete).toBe(true);
+    expect(validatePalette({ id: 'test', name: 'Test', colors: repaired }).valid).toBe(true);
+  });
+
+  it('makes canonical configurations possible in both modes', () => {
+    const noLightBackground = solvableColors.filter((c) => c.oklch[0] < 0.92);
+    expect(enumerateAllConfigurations(noLightBackground, 'light').total).toBe(0);
+
+    const { plan, repaired } = repair(noLightBackground);
+    expect(plan.suggestions.some((s) => s.bucket === 'scheme')).toBe(true);
+    expect(plan.complete).toBe(true);
+    for (const mode of ['light', 'dark']) {
+      expect(enumerateAllConfigurations(repaired, mode).total).toBeGreaterThan(0);
+    }
+  });
+
+  it('harmonizes suggested accents with the palette hue', () => {
+    const accent = solvableColors.find((c) => c.oklch[1] >= 0.08);
+    const { plan } = repair([accent]);
+    const strong = plan.suggestions.find((s) => s.bucket === 'strongAccents');
+    // The palette already has its strong accent
+    expect(strong).toBeUndefined();
+    const muted = plan.suggestions.find((s) => s.bucket === 'mutedAccents');
+    const diff = Math.abs(((muted.color.oklch[2] - accent.oklch[2] + 540) % 360) - 180);
+    expect(diff).toBeLessThan(45);
+  });
+
+  it('suggests unique names and colors', () => {
+    const { repaired } = repair(solvableColors.slice(0, 3));
+    expect(new Set(repaired.map((c) => c.name)).size).toBe(repaired.length);
+    expect(new Set(repaired.map((c) => c.rgb.join(','))).size).toBe(repaired.length);
+  });
+});
@@ -0,0 +1,246 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateScheme,
+  getValidConfigurations,
+  getRankedConfigurations,
+  applyConfiguration,
+  clearConfigCache,
+  deriveStateTokens,
+  findStateViolations
+} from '../scheme/index.js';
+import { STATE_ORDER } from '../constraints.js';
+import { contrastRatio } from '../math.js';
+import { oklchToRgb, rgbToOklch } from '../convert.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+const names = (scheme) => Object.fromEntries(
+  Object.entries(scheme).map(([token, color]) => [token, color.name])
+);
+
+describe('generateScheme', () => {
+  it('reproduces the same scheme for the same seed', () => {
+    const a = generateScheme(solvableColors, 'dark', { seed: 99 });
+    const b = generateScheme(solvableColors, 'dark', { seed: 99 });
+    expect(names(a)).toEqual(names(b));
+  });
+
+  it('produces an exact scheme for a given seed', () => {
+    expect(names(generateScheme(solvableColors, 'light', { seed: 123 }))).toEqual({
+      bgApp: 'paper',
+      bgSurface: 'putty',
+      bgElevated: 'ash',
+      textPrimary: 'ink',
+      textMuted: 'stone',
+      borderSubtle: 'ink',
+      borderStrong: 'stone',
+      accentSolid: 'mist',
+      accentSoft: 'stone',
+      textOnAccent: 'coal',
+      destructive: 'default-destructive',
+      success: 'default-success',
+      warning: 'default-warning',
+      info: 'mist',
+      textOnSuccess: 'paper',
+      textOnWarning: 'ink',
+      textOnInfo: 'ink',
+      accentSolidHover: 'mist (accentSolidHover)',
+      accentSolidActive: 'mist (accentSolidActive)',
+      accentSoftHover: 'stone (accentSoftHover)',
+      destructiveHover: 'default-destructive (destructiveHover)',
+      destructiveActive: 'default-destructive (destructiveActive)',
+      focusRing: 'mist (focusRing)',
+      disabledBg: 'putty (disabledBg)',
+      disabledText: 'stone (disabledText)'
+    });
+  });
+});
+
+describe('getValidConfigurations', () => {
+  it('re-enumerates when the seed changes', () => {
+    clearConfigCache();
+    const first = getValidConfigurations(solvableColors, 'light', { seed: 1 });
+    expect(getValidConfigurations(solvableColors, 'light', { seed: 1 })).toBe(first);
+    expect(getValidConfigurations(solvableColors, 'light', { seed: 2 })).not.toBe(first);
+  });
+
+  it('applies a configuration deterministically', () => {
+    clearConfigCache();
+    const [config] = getValidConfigurations(solvableColors, 'light', { seed: 5 });
+    const a = applyConfiguration(config, solvableColors, { seed: 5 });
+    const b = applyConfiguration(config, solvableColors, { seed: 5 });
+    expect(names(a)).toEqual(names(b));
+  });
+});
+
+describe('getRankedConfigurations', () => {
+  it('pages through the ranking without gaps or overlap', () => {
+    clearConfigCache();
+    const first = getRankedConfigurations(solvableColors, 'dark', { pageSize: 4 });
+    const ids = [];
+    for (let page = 0; page < first.pageCount; page++) {
+      const result = getRankedConfigurations(solvableColors, 'dark', { page, pageSize: 4 });
+      expect(result.offset).toBe(page * 4);
+      ids.push(...result.configurations.map((c) => c.id));
+    }
+    expect(first.pageCount).toBe(Math.ceil(first.total / 4));
+    expect(new Set(ids).size).toBe(first.total);
+  });
+
+  it('clamps out-of-range pages', () => {
+    clearConfigCache();
+    const last = getRankedConfigurations(solvableColors, 'light', { page: 999 });
+    expect(last.page).toBe(last.pageCount - 1);
+    expect(getRankedConfigurations(solvableColors, 'light', { page: -3 }).page).toBe(0);
+  });
+
+  it('keeps both modes cached when callers alternate', () => {
+    clearConfigCache();
+    const [dark] = getRankedConfigurations(solvableColors, 'dark').configurations;
+    const [light] = getRankedConfigurations(solvableColors, 'light').configurations;
+    expect(getRankedConfigurations(solvableColors, 'dark').configurations[0]).toBe(dark);
+    expect(getRankedConfigurations(solvableColors, 'light').configurations[0]).toBe(light);
+  });
+
+  it('re-ranks when a color value changes under the same name', () => {
+    clearConfigCache();
+    const colors = solvableColors.map((c) => ({ ...c }));
+    const before = getRankedConfigurations(colors, 'dark', { pageSize: 100 });
+    const rgb = oklchToRgb([0.95, 0, 0]);
+    colors[0] = { ...colors[0], rgb, oklch: rgbToOklch(rgb) };
+    const after = getRankedConfigurations(colors, 'dark', { pageSize: 100 });
+    expect(after.total).not.toBe(before.total);
+    for (const config of after.configurations) {
+      expect(Object.values(config.tokens).every((color) => colors.includes(color))).toBe(true);
+    }
+  });
+});
+
+describe('scheme scores', () => {
+  it('attaches a score to playful schemes', () => {
+    const scheme = generateScheme(solvableColors, 'dark', { seed: 3 });
+    expect(scheme.score.total).toBeGreaterThanOrEqual(0);
+    expect(Object.keys(scheme.score.criteria)).toEqual(['contrast', 'spacing', 'hueSeparation', 'chromaBalance']);
+  });
+
+  it('keeps the score out of the token map', () => {
+    const scheme = generateScheme(solvableColors, 'dark', { seed: 3 });
+    expect(Object.keys(scheme)).not.toContain('score');
+    expect(Object.values(scheme).every((color) => color.rgb)).toBe(true);
+  });
+
+  it('attaches the ranking score to canonical schemes', () => {
+    clearConfigCache();
+    const [best] = getRankedConfigurations(solvableColors, 'light').configurations;
+    const scheme = applyConfiguration(best, solvableColors, { seed: 1 });
+    expect(scheme.score.total).toBeCloseTo(best.score, 1);
+  });
+});
+
+describe('locked tokens', () => {
+  const byName = (name) => solvableColors.find((c) => c.name === name);
+
+  it('keeps locked tokens in playful schemes', () => {
+    const locked = { bgApp: byName('bone'), accentSolid: byName('mist') };
+    for (const seed of [1, 2, 3]) {
+      const scheme = generateScheme(solvableColors, 'light', { seed, locked });
+      expect(scheme.bgApp).toBe(locked.bgApp);
+      expect(scheme.accentSolid).toBe(locked.accentSolid);
+    }
+  });
+
+  it('only ranks configurations that use the locked colors', () => {
+    clearConfigCache();
+    const all = getRankedConfigurations(solvableColors, 'dark', { pageSize: 100 });
+    const borderStrong = all.configurations[all.configurations.length - 1].tokens.borderStrong;
+    const locked = getRankedConfigurations(solvableColors, 'dark', { pageSize: 100, locked: { borderStrong } });
+    expect(locked.total).toBeGreaterThan(0);
+    expect(locked.total).toBeLessThan(all.total);
+    expect(locked.configurations.every((c) => c.tokens.borderStrong === borderStrong)).toBe(true);
+    expect(locked.total).toBe(all.configurations.filter((c) => c.tokens.borderStrong === borderStrong).length);
+  });
+
+  it('tells locks on same-named colors apart', () => {
+    clearConfigCache();
+    const colors = solvableColors.map((c) => ({ ...c, name: 'color' }));
+    const all = getRankedConfigurations(colors, 'dark', { pageSize: 100 }).configurations;
+    const choices = [...new Set(all.map((c) => c.tokens.borderStrong))];
+    expect(choices.length).toBeGreaterThan(1);
+    for (const borderStrong of choices) {
+      const [config] = getRankedConfigurations(colors, 'dark', { locked: { borderStrong } }).configurations;
+      expect(config.tokens.borderStrong).toBe(borderStrong);
+    }
+  });
+
+  it('keeps a locked destructive color when applying a configuration', () => {
+    clearConfigCache();
+    const [config] = getRankedConfigurations(solvableColors, 'light').configurations;
+    const destructive = byName('mist');
+    expect(applyConfiguration(config, solvableColors, { seed: 1, locked: { destructive } }).destructive).toBe(destructive);
+  });
+});
+
+describe('state tokens', () => {
+  it('derives every state for canonical configurations and meets their contrast', () => {
+    for (const mode of ['light', 'dark']) {
+      clearConfigCache();
+      for (const config of getRankedConfigurations(solvableColors, mode, { pageSize: 100 }).configurations) {
+        const scheme = applyConfiguration(config, solvableColors, { seed: 1 });
+        for (const token of STATE_ORDER) expect(scheme[token]).toBeDefined();
+        expect(findStateViolations(scheme)).toEqual([]);
+      }
+    }
+  });
+
+  it('keeps the source hue and moves hover away from the button text', () => {
+    clearConfigCache();
+    const [config] = getRankedConfigurations(solvableColors, 'dark').configurations;
+    const scheme = applyConfiguration(config, solvableColors, { seed: 1 });
+    const { accentSolid, accentSolidHover, textOnAccent } = scheme;
+    expect(Math.abs(accentSolidHover.oklch[2] - accentSolid.oklch[2])).toBeLessThan(2);
+    expect(contrastRatio(accentSolidHover.rgb, textOnAccent.rgb))
+      .toBeGreaterThan(contrastRatio(accentSolid.rgb, textOnAccent.rgb));
+  });
+
+  it('searches past the preferred shift when it misses contrast', () => {
+    // White text on a light blue: 0.06 darker is not enough for 4.5:1
+    const accentRgb = oklchToRgb([0.66, 0.1, 250]);
+    const base = {
+      accentSolid: { name: 'sky', rgb: accentRgb, oklch: rgbToOklch(accentRgb) },
+      textOnAccent: { name: 'white', rgb: [255, 255, 255], oklch: [1, 0, 0] }
+    };
+    const states = deriveStateTokens(base);
+    expect(contrastRatio(states.accentSolidHover.rgb, base.textOnAccent.rgb)).toBeGreaterThanOrEqual(4.5);
+    expect(states.accentSolidHover.oklch[0]).toBeLessThan(base.accentSolid.oklch[0] - 0.07);
+    // Sources that are missing leave their states out
+    expect(states.focusRing).toBeUndefined();
+  });
+
+  it('follows a generated scheme in playful mode', () => {
+    const scheme = generateScheme(solvableColors, 'light', { seed: 5 });
+    expect(scheme.destructiveHover.name).toBe(`${scheme.destructive.name} (destructiveHover)`);
+  });
+});
+
+describe('status tokens', () => {
+  it('pairs every status color with readable text', () => {
+    clearConfigCache();
+    const [config] = getRankedConfigurations(solvableColors, 'dark').configurations;
+    const schemes = [
+      applyConfiguration(config, solvableColors, { seed: 1 }),
+      generateScheme(solvableColors, 'light', { seed: 2 })
+    ];
+    for (const scheme of schemes) {
+      for (const [status, text] of [['success', 'textOnSuccess'], ['warning', 'textOnWarning'], ['info', 'textOnInfo']]) {
+        expect(contrastRatio(scheme[status].rgb, scheme[text].rgb)).toBeGreaterThanOrEqual(4.5);
+      }
+    }
+  });
+
+  it('picks status colors from the palette by hue', () => {
+    const rgb = oklchToRgb([0.6, 0.1, 145]);
+    const sage = { name: 'sage', rgb, oklch: rgbToOklch(rgb) };
+    const scheme = generateScheme([...solvableColors, sage], 'dark', { seed: 1 });
+    expect(scheme.success).toBe(sage);
+    expect(scheme.warning.name).toBe('default-warning');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { scoreScheme, getScoreItems, SCORE_WEIGHTS } from '../score.js';
+import { enumerateAllConfigurations } from '../enumerate.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+const byName = Object.fromEntries(solvableColors.map((c) => [c.name, c]));
+
+const darkTokens = {
+  bgApp: byName.ink,
+  bgSurface: byName.coal,
+  bgElevated: byName.slate,
+  textPrimary: byName.bone,
+  textMuted: byName.putty,
+  borderSubtle: byName.pewter,
+  borderStrong: byName.stone,
+  accentSolid: byName.cobalt,
+  accentSoft: byName.haze,
+  textOnAccent: byName.ink
+};
+
+describe('SCORE_WEIGHTS', () => {
+  it('sums to 1', () => {
+    const sum = Object.values(SCORE_WEIGHTS).reduce((a, b) => a + b, 0);
+    expect(sum).toBeCloseTo(1, 10);
+  });
+
+  it('spreads each criterion weight across its items', () => {
+    for (const mode of ['light', 'dark']) {
+      const total = getScoreItems(mode).reduce((sum, item) => sum + item.weight, 0);
+      expect(total).toBeCloseTo(1, 10);
+    }
+  });
+});
+
+describe('scoreScheme', () => {
+  it('returns a per-criterion breakdown', () => {
+    const { total, criteria } = scoreScheme(darkTokens, 'dark');
+    expect(total).toBeGreaterThan(0);
+    expect(total).toBeLessThanOrEqual(100);
+    for (const criterion of Object.keys(SCORE_WEIGHTS)) {
+      expect(criteria[criterion].weight).toBe(SCORE_WEIGHTS[criterion]);
+      expect(criteria[criterion].items.length).toBeGreaterThan(0);
+    }
+  });
+
+  it('reports contrast headroom per pair', () => {
+    const { criteria } = scoreScheme(darkTokens, 'dark');
+    const pair = criteria.contrast.items.find((item) => item.label === 'textPrimary / bgApp');
+    expect(pair.value).toBeGreaterThan(14);
+    expect(pair.score).toBe(100);
+  });
+
+  it('scores a failing contrast pair as 0', () => {
+    const tokens = { ...darkTokens, textPrimary: byName.stone };
+    const pair = scoreScheme(tokens, 'dark').criteria.contrast.items
+      .find((item) => item.label === 'textPrimary / bgApp');
+    expect(pair.score).toBe(0);
+  });
+
+  it('rewards even background spacing in the mode direction', () => {
+    const even = scoreScheme(darkTokens, 'dark').criteria.spacing.score;
+    const inverted = scoreScheme({ ...darkTokens, bgSurface: byName.ink, bgApp: byName.coal }, 'dark')
+      .criteria.spacing.score;
+    expect(even).toBeGreaterThan(inverted);
+  });
+
+  it('ignores hue of neutral backgrounds', () => {
+    const { criteria } = scoreScheme(darkTokens, 'dark');
+    expect(criteria.hueSeparation.score).toBe(100);
+  });
+
+  it('penalizes an accent that matches a tinted background', () => {
+    const tinted = { ...darkTokens, bgSurface: { ...byName.coal, oklch: [0.20, 0.035, 250] } };
+    expect(scoreScheme(tinted, 'dark').criteria.hueSeparation.score).toBeLessThan(100);
+  });
+
+  it('matches the score used to rank enumerated configurations', () => {
+    const { configurations } = enumerateAllConfigurations(solvableColors, 'dark');
+    for (const config of configurations) {
+      expect(scoreScheme(config.tokens, 'dark').total).toBeCloseTo(config.score, 1);
+    }
+  });
+});
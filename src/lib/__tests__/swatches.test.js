@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  readSwatchFile,
+  detectSwatchFormat,
+  writeSwatchFile,
+  groupSwatchColors,
+  SWATCH_EXPORT_FORMATS
+} from '../swatches.js';
+import { ASE_FILE, ACO_FILE, PROCREATE_FILE } from './fixtures/swatch-files.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+const fromText = (text) => new TextEncoder().encode(text);
+
+describe('readSwatchFile', () => {
+  it('reads ASE names, groups and color models', async () => {
+    const { format, colors, warnings } = await readSwatchFile('brand.ase', fromBase64(ASE_FILE));
+    expect(format).toBe('ase');
+    expect(colors.map(c => c.name)).toEqual(['paper', 'ink', 'cobalt', 'press red', 'lab gray']);
+    expect(colors[0]).toEqual({ name: 'paper', rgb: [245, 245, 240], group: 'Neutrals' });
+    expect(colors[1].rgb).toEqual([26, 26, 26]);
+    expect(colors[2]).toEqual({ name: 'cobalt', rgb: [39, 132, 213] });
+    expect(colors[3].rgb).toEqual([255, 0, 0]);
+    expect(colors[4].rgb).toEqual([119, 119, 119]);
+    expect(warnings).toEqual(['"press red" is CMYK, converted without a color profile']);
+  });
+
+  it('reads ACO version 2 names and reports book colors', async () => {
+    const { colors, warnings } = await readSwatchFile('brand.aco', fromBase64(ACO_FILE));
+    expect(colors).toEqual([
+      { name: 'paper', rgb: [245, 245, 240] },
+      { name: 'press red', rgb: [255, 0, 0] },
+      { name: 'lab gray', rgb: [119, 119, 119] },
+      { name: 'ink', rgb: [26, 26, 26] }
+    ]);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[1]).toBe('"pantone" skipped: unsupported color space 3');
+  });
+
+  it('reads Procreate swatches, skipping empty slots', async () => {
+    const result = await readSwatchFile('sea.swatches', fromBase64(PROCREATE_FILE));
+    expect(result.name).toBe('Sea Glass');
+    expect(result.colors).toEqual([
+      { name: 'color 1', rgb: [255, 255, 255] },
+      { name: 'color 2', rgb: [39, 126, 213] }
+    ]);
+  });
+
+  it('reads GPL palettes', async () => {
+    const gpl = 'GIMP Palette\nName: Sea Glass\nColumns: 4\n#\n 20  20  20\tink\n245 245 240 paper\n39 132 213\nnot a color\n';
+    const result = await readSwatchFile('sea.gpl', fromText(gpl));
+    expect(result.name).toBe('Sea Glass');
+    expect(result.colors).toEqual([
+      { name: 'ink', rgb: [20, 20, 20] },
+      { name: 'paper', rgb: [245, 245, 240] },
+      { name: 'color 3', rgb: [39, 132, 213] }
+    ]);
+    expect(result.warnings).toEqual(['Line 8 skipped: "not a color" is not a color']);
+  });
+
+  it('reads Sketch palettes', async () => {
+    const sketch = JSON.stringify({
+      compatibleVersion: '2.0',
+      pluginVersion: '2.22',
+      colors: [{ red: 1, green: 1, blue: 1, alpha: 1 }, { name: 'cobalt', red: 39 / 255, green: 132 / 255, blue: 213 / 255, alpha: 1 }, '#141414']
+    });
+    const { format, colors } = await readSwatchFile('sea.sketchpalette', fromText(sketch));
+    expect(format).toBe('sketch');
+    expect(colors.map(c => c.name)).toEqual(['color 1', 'cobalt', 'color 3']);
+    expect(colors.map(c => c.rgb)).toEqual([[255, 255, 255], [39, 132, 213], [20, 20, 20]]);
+  });
+
+  it('reads CSS and text lists, named from the rest of the line', async () => {
+    const css = [
+      ':root {',
+      '  --deep-blue: #1e3a8a;',
+      '  /* --commented: #ffffff; */',
+      '  $muted_gold: oklch(0.7 0.08 85);',
+      '  background: white;',
+      '  --bad: #12345;',
+      '}',
+      'rgb(20 20 20) ink black',
+      '#f00 #0f0'
+    ].join('\n');
+    const { colors, warnings } = await readSwatchFile('theme.css', fromText(css));
+    expect(colors.map(c => c.name)).toEqual(['deep blue', 'muted gold', 'background', 'ink black', 'color 5', 'color 6']);
+    expect(colors[0].rgb).toEqual([30, 58, 138]);
+    expect(colors[2].rgb).toEqual([255, 255, 255]);
+    expect(colors[5].rgb).toEqual([0, 255, 0]);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(/^Line 6 skipped: "#12345" is not a valid hex color/);
+  });
+
+  it('reports dropped alpha in text lists', async () => {
+    const { colors, warnings } = await readSwatchFile('overlay.txt', fromText('--scrim: rgba(0, 0, 0, 0.4);'));
+    expect(colors).toEqual([{ name: 'scrim', rgb: [0, 0, 0] }]);
+    expect(warnings).toEqual(['Line 1: Alpha 0.4 is ignored; the color is used fully opaque']);
+  });
+
+  it('reports damaged files', async () => {
+    const truncated = fromBase64(ASE_FILE).subarray(0, 40);
+    await expect(readSwatchFile('brand.ase', truncated)).rejects.toThrow('Could not read brand.ase as Adobe ASE: the file is truncated or damaged');
+    await expect(readSwatchFile('sea.swatches', fromText('PK\x03\x04'))).rejects.toThrow('Not a zip archive');
+  });
+});
+
+describe('detectSwatchFormat', () => {
+  it('prefers content over the extension', () => {
+    expect(detectSwatchFormat('export.bin', fromBase64(ASE_FILE))).toBe('ase');
+    expect(detectSwatchFormat('palette.txt', fromText('GIMP Palette\n'))).toBe('gpl');
+    expect(detectSwatchFormat('palette.json', fromText('{"compatibleVersion":"2.0","colors":[]}'))).toBe('sketch');
+    expect(detectSwatchFormat('palette.aco', fromBase64(ACO_FILE))).toBe('aco');
+    expect(detectSwatchFormat('notes.md', fromText('#fff'))).toBe('text');
+  });
+});
+
+describe('writeSwatchFile', () => {
+  const palette = {
+    id: 'sea_glass',
+    name: 'Sea Glass',
+    colors: solvableColors.map((c, i) => (i === 2 ? { ...c, name: 'charcoal – äöü' } : c))
+  };
+  const grouped = groupSwatchColors(palette.colors);
+  const ordered = grouped.flatMap(group => group.colors);
+
+  it('groups neutrals dark to light, then strong and muted accents', () => {
+    expect(grouped.map(g => g.name)).toEqual(['Neutrals', 'Accents']);
+    const lightness = grouped[0].colors.map(c => c.oklch[0]);
+    expect(lightness).toEqual([...lightness].sort((a, b) => a - b));
+    expect(grouped[1].colors.map(c => c.name)).toEqual(['cobalt', 'haze', 'mist']);
+    expect(groupSwatchColors(palette.colors.slice(0, 2)).map(g => g.name)).toEqual(['Neutrals']);
+  });
+
+  for (const format of SWATCH_EXPORT_FORMATS) {
+    it(`round-trips ${format} through the importer`, async () => {
+      const { filename, bytes } = writeSwatchFile(palette, format);
+      expect(filename).toBe(`sea_glass${format === 'procreate' ? '.swatches' : `.${format}`}`);
+
+      const result = await readSwatchFile(filename, bytes);
+      expect(result.format).toBe(format);
+      expect(result.warnings).toEqual([]);
+      expect(result.colors.map(c => c.rgb)).toEqual(ordered.map(c => c.rgb));
+      // Procreate does not store color names
+      if (format !== 'procreate') expect(result.colors.map(c => c.name)).toEqual(ordered.map(c => c.name));
+      if (format === 'gpl' || format === 'procreate') expect(result.name).toBe('Sea Glass');
+    });
+  }
+
+  it('writes ASE groups', async () => {
+    const { colors } = await readSwatchFile('sea.ase', writeSwatchFile(palette, 'ase').bytes);
+    expect(colors.filter(c => c.group === 'Neutrals')).toHaveLength(grouped[0].colors.length);
+    expect(colors.filter(c => c.group === 'Accents')).toHaveLength(grouped[1].colors.length);
+  });
+
+  it('writes GPL categories as comments', () => {
+    const text = new TextDecoder().decode(writeSwatchFile(palette, 'gpl').bytes);
+    expect(text.startsWith('GIMP Palette\nName: Sea Glass\n#\n# Neutrals\n  6   6   6\tink\n')).toBe(true);
+    expect(text).toContain('# Accents\n');
+  });
+
+  it('starts Procreate accents on a new row while they fit', () => {
+    const swatchesOf = (colors) => {
+      const text = new TextDecoder().decode(writeSwatchFile({ ...palette, colors }, 'procreate').bytes);
+      return JSON.parse(text.slice(text.indexOf('['), text.lastIndexOf(']') + 1))[0].swatches;
+    };
+
+    // 13 neutrals, then accents from the third row
+    const swatches = swatchesOf(palette.colors);
+    expect(swatches.slice(13, 20)).toEqual(Array(7).fill(null));
+    expect(swatches[20]).not.toBeNull();
+
+    // Padding would push the last accents past the 30 slots Procreate shows
+    const crowded = [...palette.colors, ...palette.colors.slice(0, 13).map(c => ({ ...c, rgb: c.rgb.map(v => v + 1) }))];
+    expect(swatchesOf(crowded)).not.toContain(null);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SCHEME_TOKEN_DESCRIPTIONS,
+  schemeTokenName,
+  resolveThemeSchemes,
+  formatDtcgTokens,
+  formatStyleDictionary
+} from '../tokens.js';
+import { TOKEN_ORDER, STATE_ORDER } from '../constraints.js';
+import { rgbToHex } from '../format.js';
+import { rgbToOklch } from '../convert.js';
+import { solvableColors } from './fixtures/solvable-palette.js';
+
+const schemes = resolveThemeSchemes(solvableColors, { seed: 1 });
+
+describe('schemeTokenName', () => {
+  it('matches the --scheme-* variable names', () => {
+    expect(schemeTokenName('bgApp')).toBe('bg-app');
+    expect(schemeTokenName('textOnAccent')).toBe('text-on-accent');
+    expect(schemeTokenName('destructive')).toBe('destructive');
+  });
+});
+
+describe('SCHEME_TOKEN_DESCRIPTIONS', () => {
+  it('describes every base and state token', () => {
+    for (const token of [...TOKEN_ORDER, ...STATE_ORDER]) {
+      expect(SCHEME_TOKEN_DESCRIPTIONS[token]).toEqual(expect.any(String));
+    }
+    expect(Object.keys(SCHEME_TOKEN_DESCRIPTIONS).slice(-STATE_ORDER.length)).toEqual(STATE_ORDER);
+  });
+});
+
+describe('resolveThemeSchemes', () => {
+  it('resolves both modes', () => {
+    expect(schemes.light.bgApp.oklch[0]).toBeGreaterThan(schemes.dark.bgApp.oklch[0]);
+  });
+
+  it('follows a value edit that keeps the color name', () => {
+    const colors = [...solvableColors];
+    const index = colors.indexOf(schemes.dark.bgApp);
+    const rgb = schemes.dark.bgApp.rgb.map((v) => v + 1);
+    colors[index] = { ...colors[index], rgb, oklch: rgbToOklch(rgb) };
+    const edited = resolveThemeSchemes(colors, { seed: 1 });
+    for (const token of TOKEN_ORDER) {
+      expect(colors).toContain(edited.dark[token]);
+    }
+    expect(edited.dark.bgApp.rgb).toEqual(rgb);
+  });
+
+  it('returns nothing for an empty palette', () => {
+    expect(resolveThemeSchemes([])).toEqual({});
+  });
+});
+
+describe('formatDtcgTokens', () => {
+  const tokens = JSON.parse(formatDtcgTokens(solvableColors, schemes));
+
+  it('emits every scheme token for both modes', () => {
+    for (const mode of ['light', 'dark']) {
+      const names = Object.keys(tokens.scheme[mode]);
+      expect(names).toEqual(Object.keys(SCHEME_TOKEN_DESCRIPTIONS).map(schemeTokenName));
+      for (const [token, description] of Object.entries(SCHEME_TOKEN_DESCRIPTIONS)) {
+        const entry = tokens.scheme[mode][schemeTokenName(token)];
+        expect(entry.$type).toBe('color');
+        expect(entry.$description).toBe(description);
+      }
+    }
+  });
+
+  it('writes derived state tokens as literal values', () => {
+    const entry = tokens.scheme.dark['accent-solid-hover'];
+    expect(entry.$value).toBe(rgbToHex(schemes.dark.accentSolidHover.rgb));
+    expect(entry.$description).toBe(SCHEME_TOKEN_DESCRIPTIONS.accentSolidHover);
+  });
+
+  it('references palette colors by name', () => {
+    const ref = tokens.scheme.dark['bg-app'].$value;
+    expect(ref).toMatch(/^\{palette\.[a-z0-9-]+\}$/);
+    const target = tokens.palette[ref.slice('{palette.'.length, -1)];
+    expect(target.$value).toMatch(/^#[0-9a-f]{6}$/);
+    expect(target.$description).toBe(schemes.dark.bgApp.name);
+  });
+
+  it('writes literal values for colors outside the palette', () => {
+    const dark = { ...schemes.dark, destructive: { name: 'default', rgb: [140, 82, 72], oklch: [0.5, 0.06, 30] } };
+    const { scheme } = JSON.parse(formatDtcgTokens(solvableColors, { dark }));
+    expect(scheme.light).toBeUndefined();
+    expect(scheme.dark.destructive.$value).toBe('#8c5248');
+  });
+
+  it('keeps palette token names unique', () => {
+    const colors = [
+      { name: 'Deep Blue', rgb: [0, 0, 128], oklch: [0.3, 0.2, 264] },
+      { name: 'deep-blue', rgb: [0, 0, 140], oklch: [0.32, 0.2, 264] }
+    ];
+    const { palette } = JSON.parse(formatDtcgTokens(colors, {}));
+    expect(Object.keys(palette)).toEqual(['deep-blue', 'deep-blue-2']);
+  });
+});
+
+describe('formatStyleDictionary', () => {
+  it('uses value/type/comment with value references', () => {
+    const { color } = JSON.parse(formatStyleDictionary(solvableColors, schemes));
+    const entry = color.scheme.light['accent-solid'];
+    expect(entry.type).toBe('color');
+    expect(entry.comment).toBe(SCHEME_TOKEN_DESCRIPTIONS.accentSolid);
+    expect(entry.value).toMatch(/^\{color\.palette\.[a-z0-9-]+\.value\}$/);
+  });
+
+  it('includes the derived state tokens', () => {
+    const { color } = JSON.parse(formatStyleDictionary(solvableColors, schemes));
+    for (const token of STATE_ORDER) {
+      expect(color.scheme.dark[schemeTokenName(token)].comment).toBe(SCHEME_TOKEN_DESCRIPTIONS[token]);
+    }
+  });
+});
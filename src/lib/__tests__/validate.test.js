@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { validatePalette, getValidationSummary } from '../validate.js';
+import { validatePalette, getValidationSummary, getValidationBucket, previewColorChange } from '../validate.js';
 
 // Helper to create a minimal color
 const color = (L, C, H = 0) => ({ name: 'test', rgb: [128, 128, 128], oklch: [L, C, H] });
@@ -173,3 +173,51 @@ describe('getValidationSummary', () => {
     expect(summary.total.ok).toBe(true);
   });
 });
+
+describe('getValidationBucket', () => {
+  it('names the bucket a color counts toward', () => {
+    expect(getValidationBucket(color(0.2, 0.02))).toBe('darkNeutrals');
+    expect(getValidationBucket(color(0.5, 0.02))).toBe('midNeutrals');
+    expect(getValidationBucket(color(0.8, 0.02))).toBe('lightNeutrals');
+    expect(getValidationBucket(color(0.5, 0.06))).toBe('mutedAccents');
+    expect(getValidationBucket(color(0.5, 0.12))).toBe('strongAccents');
+    expect(getValidationBucket({ name: 'broken', rgb: [0, 0, 0] })).toBeNull();
+  });
+});
+
+describe('previewColorChange', () => {
+  const palette = {
+    colors: [
+      color(0.2, 0.02), color(0.3, 0.03),
+      color(0.5, 0.02), color(0.6, 0.03),
+      color(0.8, 0.02), color(0.9, 0.01),
+      color(0.5, 0.15), color(0.5, 0.06),
+      color(0.25, 0.01), color(0.55, 0.01), color(0.85, 0.01), color(0.6, 0.12)
+    ]
+  };
+
+  it('reports nothing when the color stays in its bucket', () => {
+    const preview = previewColorChange(palette, 2, color(0.55, 0.03));
+    expect(preview.from).toBe('midNeutrals');
+    expect(preview.to).toBe('midNeutrals');
+    expect(preview.buckets).toEqual([]);
+    expect(preview.valid).toEqual({ before: true, after: true });
+  });
+
+  it('reports the counts of the buckets left and entered', () => {
+    const preview = previewColorChange(palette, 6, color(0.5, 0.06));
+    expect(preview.from).toBe('strongAccents');
+    expect(preview.to).toBe('mutedAccents');
+    expect(preview.buckets).toEqual([
+      { bucket: 'strongAccents', label: 'Strong accents', need: 1, before: 2, after: 1 },
+      { bucket: 'mutedAccents', label: 'Muted accents', need: 1, before: 1, after: 2 }
+    ]);
+  });
+
+  it('flags a change that breaks a minimum', () => {
+    const minimal = { colors: palette.colors.filter((_, i) => i !== 11).concat(color(0.4, 0.06)) };
+    const preview = previewColorChange(minimal, 6, color(0.5, 0.02));
+    expect(preview.buckets[0]).toMatchObject({ bucket: 'strongAccents', before: 1, after: 0 });
+    expect(preview.valid).toEqual({ before: true, after: false });
+  });
+});
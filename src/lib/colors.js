@@ -56,6 +56,29 @@ export function getAccentMidpointC(chromaClass) {
 /** Destructive color hue range (reds/bricks) */
 export const DESTRUCTIVE_HUE = { min: 350, max: 40, wrap: true };
 
+/** Success color hue range (greens) */
+export const SUCCESS_HUE = { min: 120, max: 170, wrap: false };
+
+/** Warning color hue range (ambers/ochres) */
+export const WARNING_HUE = { min: 55, max: 100, wrap: false };
+
+/** Info color hue range (blues) */
+export const INFO_HUE = { min: 215, max: 270, wrap: false };
+
+/** Status tokens and the hue range their candidates come from */
+export const STATUS_HUES = {
+  destructive: DESTRUCTIVE_HUE,
+  success: SUCCESS_HUE,
+  warning: WARNING_HUE,
+  info: INFO_HUE
+};
+
+/** Minimum chroma for a status candidate; below it hue is meaningless */
+export const STATUS_MIN_CHROMA = 0.02;
+
+/** WCAG ratio required of text on a status color */
+export const STATUS_TEXT_CONTRAST = 4.5;
+
 // =============================================================================
 // CLASSIFICATION
 // =============================================================================
@@ -117,6 +140,9 @@ export function hueInRange(h, range) {
  * @property {Color[]} midVivid
  * @property {Color[]} lightVivid
  * @property {Color[]} destructiveCandidates
+ * @property {Color[]} successCandidates
+ * @property {Color[]} warningCandidates
+ * @property {Color[]} infoCandidates
  * @property {Color[]} all
  */
 
@@ -137,6 +163,9 @@ export function classifyPalette(colors) {
     midVivid: [],
     lightVivid: [],
     destructiveCandidates: [],
+    successCandidates: [],
+    warningCandidates: [],
+    infoCandidates: [],
     all: colors
   };
 
@@ -157,16 +186,78 @@ export function classifyPalette(colors) {
     else if (bucketName === 'midVivids') result.midVivid.push(color);
     else if (bucketName === 'lightVivids') result.lightVivid.push(color);
 
-    // Destructive candidates (red/brick hues, minimum chroma required)
+    // Status candidates (destructive reds, success greens, warning ambers,
+    // info blues), minimum chroma required
     // Achromatic colors (C < 0.02) have meaningless hue, exclude them
-    if (C >= 0.02 && hueInRange(h, DESTRUCTIVE_HUE)) {
-      result.destructiveCandidates.push(color);
+    if (C >= STATUS_MIN_CHROMA) {
+      for (const [status, range] of Object.entries(STATUS_HUES)) {
+        if (hueInRange(h, range)) result[`${status}Candidates`].push(color);
+      }
     }
   }
 
   return result;
 }
 
+/**
+ * Hash palette colors by name and value for cache invalidation, so an edit
+ * that keeps a color's name still invalidates
+ * @param {Color[]} colors
+ * @returns {string}
+ */
+export function hashPalette(colors) {
+  return colors.map(c => `${c.name}:${c.rgb.join(',')}:${c.oklch.join(',')}`).join('|');
+}
+
+// =============================================================================
+// RANDOMNESS
+// =============================================================================
+
+/**
+ * Random number source returning values in [0, 1), like Math.random
+ * @typedef {() => number} RandomFn
+ */
+
+/**
+ * Hash a string seed to a 32-bit integer (FNV-1a)
+ * @param {string} str
+ * @returns {number}
+ */
+function hashSeed(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number source (mulberry32).
+ * The same seed always yields the same sequence, so schemes can be shared.
+ * @param {number | string} seed - Integer, or any string (hashed)
+ * @returns {RandomFn}
+ */
+export function createRandom(seed) {
+  const numeric = Number(seed);
+  let state = Number.isInteger(numeric) ? numeric >>> 0 : hashSeed(String(seed));
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh seed for createRandom
+ * @returns {number} Non-negative 31-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x80000000);
+}
+
 // =============================================================================
 // SELECTION HELPERS
 // =============================================================================
@@ -175,22 +266,24 @@ export function classifyPalette(colors) {
  * Pick a random item from an array
  * @template T
  * @param {T[]} arr
+ * @param {RandomFn} [random]
  * @returns {T | undefined}
  */
-export function pickRandom(arr) {
+export function pickRandom(arr, random = Math.random) {
   if (arr.length === 0) return undefined;
-  return arr[Math.floor(Math.random() * arr.length)];
+  return arr[Math.floor(random() * arr.length)];
 }
 
 /**
  * Shuffle array in place (Fisher-Yates)
  * @template T
  * @param {T[]} arr
+ * @param {RandomFn} [random]
  * @returns {T[]}
  */
-export function shuffle(arr) {
+export function shuffle(arr, random = Math.random) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -282,9 +375,10 @@ export function sortByChroma(colors, direction = 'desc') {
  * @param {number} options.minRatio - Minimum contrast ratio (e.g. 1.5)
  * @param {number} options.maxRatio - Maximum contrast ratio (e.g. 3.0)
  * @param {number} options.targetRatio - Ideal contrast ratio to get closest to
+ * @param {RandomFn} [options.random] - Random source for picking among the closest
  * @returns {Color | undefined}
  */
-export function pickBorderColor(bg, candidates, { minRatio, maxRatio, targetRatio }) {
+export function pickBorderColor(bg, candidates, { minRatio, maxRatio, targetRatio, random = Math.random }) {
   if (candidates.length === 0) return undefined;
 
   const withContrast = candidates.map(c => ({
@@ -302,10 +396,51 @@ export function pickBorderColor(bg, candidates, { minRatio, maxRatio, targetRati
     );
     // Take top 3 closest and pick randomly for variety
     const topCandidates = sorted.slice(0, Math.min(3, sorted.length));
-    return pickRandom(topCandidates.map(c => c.color));
+    return pickRandom(topCandidates.map(c => c.color), random);
   }
 
   // Fallback: pick the one with highest contrast
   const best = withContrast.reduce((a, b) => a.ratio > b.ratio ? a : b);
   return best.color;
 }
+
+/**
+ * Pick a status color (destructive, success, ...) from its hue candidates.
+ * Prefers lower chroma (more muted) for a desaturated look.
+ * @param {Color[]} candidates - Colors in the status hue range
+ * @param {RandomFn} [random]
+ * @returns {Color | null} Null when there is no usable candidate
+ */
+export function pickStatusColor(candidates, random = Math.random) {
+  if (!candidates || candidates.length === 0) return null;
+
+  const sorted = sortByChroma(candidates, 'asc');
+  // Pick from the more muted half
+  const mutedHalf = sorted.slice(0, Math.max(1, Math.ceil(sorted.length / 2)));
+  const picked = pickRandom(mutedHalf, random) || candidates[0];
+
+  // Ensure we return a valid color with rgb array
+  if (!picked || !picked.rgb || !Array.isArray(picked.rgb)) return null;
+  return picked;
+}
+
+/**
+ * Pick text for a status color: the highest-contrast candidate, if it
+ * reaches STATUS_TEXT_CONTRAST
+ * @param {Color} status
+ * @param {Color[]} candidates - E.g. the scheme's text and background colors
+ * @returns {Color | null} Null when no candidate is readable on the status color
+ */
+export function pickStatusText(status, candidates) {
+  let best = null;
+  let bestRatio = 0;
+  for (const color of candidates) {
+    if (!color) continue;
+    const ratio = contrastRatio(status.rgb, color.rgb);
+    if (ratio > bestRatio) {
+      best = color;
+      bestRatio = ratio;
+    }
+  }
+  return bestRatio >= STATUS_TEXT_CONTRAST ? best : null;
+}
@@ -8,13 +8,13 @@
  * Each token has constraints for:
  * - maxChroma / minChroma: chroma bounds
  * - lightness: static range or function of dependencies
- * - contrast: required ratios against other tokens
+ * - contrast: required ratios against other tokens (WCAG 2 or APCA Lc)
  * - hueSameAs: tokens that should have similar hue (within 30 degrees)
  * - chromaRange: for derived tokens like accentSoft
  * - contrastRatioToPrimary: for textMuted relative to textPrimary
  */
 
-export const CONSTRAINTS_SPEC_VERSION = 'randomizer-constraints-v1';
+export const CONSTRAINTS_SPEC_VERSION = 'randomizer-constraints-v3';
 
 /**
  * @typedef {Object} LightnessRange
@@ -25,8 +25,10 @@ export const CONSTRAINTS_SPEC_VERSION = 'randomizer-constraints-v1';
 /**
  * @typedef {Object} ContrastRequirement
  * @property {string} against - Token name
- * @property {number} min - Minimum contrast ratio
- * @property {number} [max] - Maximum contrast ratio
+ * @property {number} min - Minimum contrast ratio (or |Lc| for APCA)
+ * @property {number} [max] - Maximum contrast ratio (or |Lc| for APCA)
+ * @property {'wcag' | 'apca'} [algorithm] - Defaults to 'wcag'. APCA treats the
+ *   constrained token as text and `against` as its background.
  */
 
 /**
@@ -86,7 +88,11 @@ export const DARK_MODE_CONSTRAINTS = {
     contrast: [
       { against: 'bgApp', min: 7 },
       { against: 'bgSurface', min: 7 },
-      { against: 'bgElevated', min: 4.5 }
+      { against: 'bgElevated', min: 4.5 },
+      // WCAG 2 overstates light-on-dark contrast; APCA keeps dark mode honest
+      { against: 'bgApp', min: 75, algorithm: 'apca' },
+      { against: 'bgSurface', min: 75, algorithm: 'apca' },
+      { against: 'bgElevated', min: 60, algorithm: 'apca' }
     ]
   },
 
@@ -99,7 +105,9 @@ export const DARK_MODE_CONSTRAINTS = {
     }),
     contrast: [
       { against: 'bgApp', min: 4.5 },
-      { against: 'bgSurface', min: 3 }
+      { against: 'bgSurface', min: 3 },
+      { against: 'bgApp', min: 60, algorithm: 'apca' },
+      { against: 'bgSurface', min: 45, algorithm: 'apca' }
     ],
     contrastRatioToPrimary: { min: 0.6, max: 0.85, against: 'bgApp' }
   },
@@ -271,3 +279,109 @@ export const LIGHT_MODE_CONSTRAINTS = {
     ]
   }
 };
+
+/**
+ * @typedef {Object} LightnessShift
+ * @property {number} amount - Preferred OKLCH lightness offset
+ * @property {string} [awayFrom] - Shift away from this token's lightness (raises contrast against it)
+ * @property {string} [toward] - Shift toward this token's lightness (lowers contrast against it)
+ */
+
+/**
+ * @typedef {Object} StateConstraint
+ * @property {string} from - Token the state is derived from (hue kept)
+ * @property {LightnessShift} lightnessShift
+ * @property {number} [chromaScale] - Multiplier on the source chroma, defaults to 1
+ * @property {ContrastRequirement[]} contrast - Against base tokens or earlier states
+ */
+
+/**
+ * Interactive state tokens, derived in order. Shifts are relative to other
+ * tokens, so one set serves both modes: hover on a light-text button darkens,
+ * on a dark-text button lightens. When the preferred shift misses a contrast
+ * requirement, the nearest shift that meets it is used.
+ */
+export const STATE_ORDER = [
+  'accentSolidHover',
+  'accentSolidActive',
+  'accentSoftHover',
+  'destructiveHover',
+  'destructiveActive',
+  'focusRing',
+  'disabledBg',
+  'disabledText'
+];
+
+/** @type {Object.<string, StateConstraint>} */
+export const STATE_CONSTRAINTS = {
+  accentSolidHover: {
+    from: 'accentSolid',
+    lightnessShift: { amount: 0.06, awayFrom: 'textOnAccent' },
+    contrast: [
+      { against: 'textOnAccent', min: 4.5 }
+    ]
+  },
+
+  accentSolidActive: {
+    from: 'accentSolid',
+    lightnessShift: { amount: 0.12, awayFrom: 'textOnAccent' },
+    contrast: [
+      { against: 'textOnAccent', min: 4.5 }
+    ]
+  },
+
+  // Hover fill behind primary text (outline buttons, selected rows)
+  accentSoftHover: {
+    from: 'accentSoft',
+    lightnessShift: { amount: 0.04, awayFrom: 'bgApp' },
+    contrast: [
+      { against: 'bgApp', min: 1.5 },
+      { against: 'textPrimary', min: 4.5 }
+    ]
+  },
+
+  destructiveHover: {
+    from: 'destructive',
+    lightnessShift: { amount: 0.06, awayFrom: 'textOnAccent' },
+    contrast: [
+      { against: 'textOnAccent', min: 4.5 }
+    ]
+  },
+
+  destructiveActive: {
+    from: 'destructive',
+    lightnessShift: { amount: 0.12, awayFrom: 'textOnAccent' },
+    contrast: [
+      { against: 'textOnAccent', min: 4.5 }
+    ]
+  },
+
+  // Non-text UI: 3:1 against whatever it is drawn on
+  focusRing: {
+    from: 'accentSolid',
+    lightnessShift: { amount: 0, awayFrom: 'bgApp' },
+    contrast: [
+      { against: 'bgApp', min: 3 },
+      { against: 'bgSurface', min: 3 }
+    ]
+  },
+
+  disabledBg: {
+    from: 'bgSurface',
+    lightnessShift: { amount: 0.03, awayFrom: 'bgApp' },
+    chromaScale: 0.5,
+    contrast: [
+      { against: 'bgApp', min: 1.1 }
+    ]
+  },
+
+  // Readable but clearly inactive (WCAG exempts disabled controls)
+  disabledText: {
+    from: 'textMuted',
+    lightnessShift: { amount: 0.15, toward: 'disabledBg' },
+    chromaScale: 0.5,
+    contrast: [
+      { against: 'disabledBg', min: 2, max: 4.5 }
+    ]
+  }
+};
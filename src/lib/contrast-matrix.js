@@ -0,0 +1,110 @@
+/**
+ * Contrast matrix
+ *
+ * WCAG 2 ratio of every foreground token on every background token of a
+ * scheme, with the levels each pair reaches. Pairs the mode's constraints
+ * require carry their required range.
+ */
+
+import { contrastRatio } from './math.js';
+import { DARK_MODE_CONSTRAINTS, LIGHT_MODE_CONSTRAINTS, TOKEN_ORDER } from './constraints.js';
+
+/** @typedef {import('./scheme/index.js').ColorScheme} ColorScheme */
+
+/** Tokens drawn on top of others (text, links, borders, error text) */
+export const MATRIX_FOREGROUNDS = [
+  'textPrimary',
+  'textMuted',
+  'textOnAccent',
+  'accentSolid',
+  'destructive',
+  'borderStrong',
+  'borderSubtle'
+];
+
+/** Tokens that others are drawn on */
+export const MATRIX_BACKGROUNDS = ['bgApp', 'bgSurface', 'bgElevated', 'accentSolid', 'accentSoft'];
+
+/** WCAG 2 minimum ratios: normal text AA/AAA, large text (and UI components) AA */
+export const WCAG_LEVELS = {
+  aa: 4.5,
+  aaa: 7,
+  large: 3
+};
+
+/**
+ * @typedef {Object} RequiredPair
+ * @property {string} fg
+ * @property {string} bg
+ * @property {number} min
+ * @property {number} [max]
+ */
+
+/**
+ * Matrix pairs the mode's constraints require, with their WCAG range. APCA
+ * requirements are left out since the matrix shows WCAG ratios.
+ * @param {'light' | 'dark'} mode
+ * @returns {RequiredPair[]}
+ */
+export function getRequiredPairs(mode) {
+  const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+  return TOKEN_ORDER.filter(fg => MATRIX_FOREGROUNDS.includes(fg)).flatMap(fg =>
+    (constraints[fg].contrast || [])
+      .filter(req => req.algorithm !== 'apca' && MATRIX_BACKGROUNDS.includes(req.against))
+      .map(req => ({ fg, bg: req.against, min: req.min, ...(req.max !== undefined && { max: req.max }) })));
+}
+
+/**
+ * @typedef {Object} ContrastCell
+ * @property {string} fg
+ * @property {string} bg
+ * @property {number} ratio - WCAG 2 contrast ratio
+ * @property {{ aa: boolean, aaa: boolean, large: boolean }} levels - Levels the ratio reaches
+ * @property {{ min: number, max?: number } | null} required - Constraint range, null when not required
+ * @property {boolean | null} meetsRequired - Whether the constraint range holds, null when not required
+ */
+
+/**
+ * @typedef {Object} ContrastMatrix
+ * @property {string[]} foregrounds - Row tokens present in the scheme
+ * @property {string[]} backgrounds - Column tokens present in the scheme
+ * @property {(ContrastCell | null)[][]} rows - One row per foreground, null where fg and bg are the same token
+ */
+
+/**
+ * Levels a contrast ratio reaches
+ * @param {number} ratio
+ * @returns {{ aa: boolean, aaa: boolean, large: boolean }}
+ */
+export function getWcagLevels(ratio) {
+  return {
+    aa: ratio >= WCAG_LEVELS.aa,
+    aaa: ratio >= WCAG_LEVELS.aaa,
+    large: ratio >= WCAG_LEVELS.large
+  };
+}
+
+/**
+ * Compute the contrast of every foreground/background token pair
+ * @param {ColorScheme} scheme
+ * @param {'light' | 'dark'} mode - Constraints that mark the required pairs
+ * @returns {ContrastMatrix}
+ */
+export function buildContrastMatrix(scheme, mode) {
+  const foregrounds = MATRIX_FOREGROUNDS.filter(token => scheme[token]);
+  const backgrounds = MATRIX_BACKGROUNDS.filter(token => scheme[token]);
+  const requiredPairs = getRequiredPairs(mode);
+
+  const rows = foregrounds.map(fg => backgrounds.map(bg => {
+    if (fg === bg) return null;
+    const ratio = contrastRatio(scheme[fg].rgb, scheme[bg].rgb);
+    const pair = requiredPairs.find(p => p.fg === fg && p.bg === bg);
+    const required = pair ? { min: pair.min, ...(pair.max !== undefined && { max: pair.max }) } : null;
+    const meetsRequired = required
+      ? ratio >= required.min && (required.max === undefined || ratio <= required.max)
+      : null;
+    return { fg, bg, ratio, levels: getWcagLevels(ratio), required, meetsRequired };
+  }));
+
+  return { foregrounds, backgrounds, rows };
+}
@@ -1,19 +1,163 @@
 /**
  * Color space conversion utilities
- * RGB <-> OKLCH conversions
+ * RGB <-> OKLCH conversions, plus Display P3 / Rec.2020 and CSS Color 4 gamut mapping
  */
 
 import { srgbToLinear, linearToSrgb } from './math.js';
+import { NAMED_COLORS } from './named-colors.js';
+
+// =============================================================================
+// WIDE-GAMUT MATRICES (CSS Color 4, D65)
+// =============================================================================
+
+const LIN_SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+
+const XYZ_TO_LIN_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+const LIN_P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+
+const XYZ_TO_LIN_P3 = [
+  [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+  [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+  [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+];
+
+const LIN_REC2020_TO_XYZ = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791]
+];
+
+const XYZ_TO_LIN_REC2020 = [
+  [1.7166511879712674, -0.35567078377639233, -0.25336628137365974],
+  [-0.6666843518324892, 1.6164812366349395, 0.01576854581391113],
+  [0.017639857445310783, -0.042770613257808524, 0.9421031212354738]
+];
+
+/** Bradford chromatic adaptation, used for CIE Lab/LCH (D50) */
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+/** D50 reference white (XYZ) */
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+/** Rec.2020 transfer function constants */
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
 
 /**
- * Convert RGB to Oklab
- * @param {number[]} rgb - [R, G, B] 0-255
+ * Tolerance for gamut checks on encoded (0-1) channels. Half an 8-bit step,
+ * so colors stored with rounded OKLCH values still count as in gamut.
+ */
+const GAMUT_EPSILON = 0.5 / 255;
+
+/** CSS Color 4 gamut mapping: just-noticeable difference and search precision */
+const GAMUT_MAP_JND = 0.02;
+const GAMUT_MAP_EPSILON = 0.0001;
+
+/**
+ * Multiply a 3x3 matrix by a 3-vector
+ * @param {number[][]} m
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+function multiply(m, v) {
+  return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+/**
+ * sRGB transfer function on a 0-1 channel (sign-preserving, unclamped)
+ * @param {number} val
+ * @returns {number}
+ */
+function srgbEncode(val) {
+  const abs = Math.abs(val);
+  const v = abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055;
+  return Math.sign(val) * v;
+}
+
+/**
+ * Inverse sRGB transfer function on a 0-1 channel (sign-preserving)
+ * @param {number} val
+ * @returns {number}
+ */
+function srgbDecode(val) {
+  const abs = Math.abs(val);
+  const v = abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4);
+  return Math.sign(val) * v;
+}
+
+/**
+ * Rec.2020 transfer function on a 0-1 channel (sign-preserving)
+ * @param {number} val
+ * @returns {number}
+ */
+function rec2020Encode(val) {
+  const abs = Math.abs(val);
+  const v = abs > REC2020_BETA ? REC2020_ALPHA * Math.pow(abs, 0.45) - (REC2020_ALPHA - 1) : 4.5 * abs;
+  return Math.sign(val) * v;
+}
+
+/**
+ * Inverse Rec.2020 transfer function on a 0-1 channel (sign-preserving)
+ * @param {number} val
+ * @returns {number}
+ */
+function rec2020Decode(val) {
+  const abs = Math.abs(val);
+  const v = abs < REC2020_BETA * 4.5 ? abs / 4.5 : Math.pow((abs + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45);
+  return Math.sign(val) * v;
+}
+
+/**
+ * @typedef {'srgb' | 'p3' | 'rec2020'} Gamut
+ */
+
+/**
+ * RGB spaces keyed by gamut. Each converts between its encoded 0-1 channels
+ * and linear sRGB, which is the hub for the Oklab math below.
+ */
+const GAMUTS = {
+  srgb: {
+    fromLinearSrgb: (lin) => lin.map(srgbEncode),
+    toLinearSrgb: (rgb) => rgb.map(srgbDecode)
+  },
+  p3: {
+    fromLinearSrgb: (lin) => multiply(XYZ_TO_LIN_P3, multiply(LIN_SRGB_TO_XYZ, lin)).map(srgbEncode),
+    toLinearSrgb: (rgb) => multiply(XYZ_TO_LIN_SRGB, multiply(LIN_P3_TO_XYZ, rgb.map(srgbDecode)))
+  },
+  rec2020: {
+    fromLinearSrgb: (lin) => multiply(XYZ_TO_LIN_REC2020, multiply(LIN_SRGB_TO_XYZ, lin)).map(rec2020Encode),
+    toLinearSrgb: (rgb) => multiply(XYZ_TO_LIN_SRGB, multiply(LIN_REC2020_TO_XYZ, rgb.map(rec2020Decode)))
+  }
+};
+
+// =============================================================================
+// OKLAB
+// =============================================================================
+
+/**
+ * Convert linear sRGB (0-1, may exceed range for wide-gamut colors) to Oklab
+ * @param {number[]} lin - [r, g, b] linear
  * @returns {number[]} [L, a, b]
  */
-function rgbToOklab(rgb) {
-  const r = srgbToLinear(rgb[0]);
-  const g = srgbToLinear(rgb[1]);
-  const b = srgbToLinear(rgb[2]);
+function linearSrgbToOklab(lin) {
+  const [r, g, b] = lin;
 
   const l = 0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b;
   const m = 0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b;
@@ -31,11 +175,20 @@ function rgbToOklab(rgb) {
 }
 
 /**
- * Convert Oklab to RGB
+ * Convert RGB to Oklab
+ * @param {number[]} rgb - [R, G, B] 0-255
+ * @returns {number[]} [L, a, b]
+ */
+export function rgbToOklab(rgb) {
+  return linearSrgbToOklab(rgb.map(srgbToLinear));
+}
+
+/**
+ * Convert Oklab to linear sRGB without clamping
  * @param {number[]} lab - [L, a, b]
- * @returns {number[]} [R, G, B] 0-255
+ * @returns {number[]} [r, g, b] linear, may fall outside 0-1
  */
-function oklabToRgb(lab) {
+function oklabToLinearSrgb(lab) {
   const [L, a, b] = lab;
 
   const l_ = L + 0.3963377774 * a + 0.2158037573 * b;
@@ -46,11 +199,48 @@ function oklabToRgb(lab) {
   const m = m_ * m_ * m_;
   const s = s_ * s_ * s_;
 
-  const r = +4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s;
-  const g = -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s;
-  const bl = -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s;
+  return [
+    +4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
 
-  return [linearToSrgb(r), linearToSrgb(g), linearToSrgb(bl)];
+/**
+ * Convert OKLCH to Oklab
+ * @param {number[]} oklch - [L, C, H]
+ * @returns {number[]} [L, a, b]
+ */
+function oklchToOklab(oklch) {
+  const [L, C, H] = oklch;
+  const hRad = H * Math.PI / 180;
+  return [L, C * Math.cos(hRad), C * Math.sin(hRad)];
+}
+
+/**
+ * Convert Oklab to unrounded OKLCH
+ * @param {number[]} lab - [L, a, b]
+ * @returns {number[]} [L, C, H]
+ */
+export function oklabToOklch(lab) {
+  const [L, a, b] = lab;
+  const C = Math.sqrt(a * a + b * b);
+  let H = Math.atan2(b, a) * 180 / Math.PI;
+  if (H < 0) H += 360;
+  return [L, C, H];
+}
+
+/**
+ * Round OKLCH the way palette files store it
+ * @param {number[]} oklch
+ * @returns {number[]}
+ */
+function roundOklch(oklch) {
+  return [
+    Math.round(oklch[0] * 1000) / 1000,
+    Math.round(oklch[1] * 1000) / 1000,
+    Math.round(oklch[2]) % 360
+  ];
 }
 
 /**
@@ -59,10 +249,7 @@ function oklabToRgb(lab) {
  * @returns {number[]} [L, C, H] where L is 0-1, C is 0-0.4ish, H is 0-360
  */
 export function rgbToOklch(rgb) {
-  const [L, a, b] = rgbToOklab(rgb);
-  const C = Math.sqrt(a * a + b * b);
-  let H = Math.atan2(b, a) * 180 / Math.PI;
-  if (H < 0) H += 360;
+  const [L, C, H] = oklabToOklch(rgbToOklab(rgb));
 
   return [
     Math.round(L * 1000) / 1000,
@@ -72,16 +259,166 @@ export function rgbToOklch(rgb) {
 }
 
 /**
- * Convert OKLCH to RGB
+ * Convert OKLCH to RGB. Out-of-gamut colors are gamut mapped (chroma
+ * reduction per CSS Color 4) rather than clamped per channel.
  * @param {number[]} oklch - [L, C, H]
  * @returns {number[]} [R, G, B] 0-255
  */
 export function oklchToRgb(oklch) {
+  const [r, g, b] = oklabToLinearSrgb(oklchToOklab(gamutMapOklch(oklch, 'srgb')));
+  return [linearToSrgb(r), linearToSrgb(g), linearToSrgb(b)];
+}
+
+// =============================================================================
+// WIDE GAMUT
+// =============================================================================
+
+/**
+ * Convert OKLCH to encoded channels of a gamut without mapping or clamping
+ * @param {number[]} oklch
+ * @param {Gamut} gamut
+ * @returns {number[]} [r, g, b] nominally 0-1
+ */
+function oklchToGamutChannels(oklch, gamut) {
+  return GAMUTS[gamut].fromLinearSrgb(oklabToLinearSrgb(oklchToOklab(oklch)));
+}
+
+/**
+ * Check whether an OKLCH color is displayable in a gamut
+ * @param {number[]} oklch - [L, C, H]
+ * @param {Gamut} [gamut]
+ * @returns {boolean}
+ */
+export function isInGamut(oklch, gamut = 'srgb') {
+  return oklchToGamutChannels(oklch, gamut)
+    .every(v => v >= -GAMUT_EPSILON && v <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Report the smallest gamut that contains an OKLCH color
+ * @param {number[]} oklch - [L, C, H]
+ * @returns {Gamut | null} null if outside Rec.2020
+ */
+export function getGamut(oklch) {
+  if (isInGamut(oklch, 'srgb')) return 'srgb';
+  if (isInGamut(oklch, 'p3')) return 'p3';
+  if (isInGamut(oklch, 'rec2020')) return 'rec2020';
+  return null;
+}
+
+/**
+ * Perceptual distance between two OKLCH colors (Euclidean in Oklab)
+ * @param {number[]} oklch1
+ * @param {number[]} oklch2
+ * @returns {number}
+ */
+export function deltaEOK(oklch1, oklch2) {
+  const [L1, a1, b1] = oklchToOklab(oklch1);
+  const [L2, a2, b2] = oklchToOklab(oklch2);
+  return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+/**
+ * Clip an OKLCH color's channels into a gamut
+ * @param {number[]} oklch
+ * @param {Gamut} gamut
+ * @returns {number[]} Unrounded OKLCH
+ */
+function clipToGamut(oklch, gamut) {
+  const channels = oklchToGamutChannels(oklch, gamut).map(v => Math.max(0, Math.min(1, v)));
+  return oklabToOklch(linearSrgbToOklab(GAMUTS[gamut].toLinearSrgb(channels)));
+}
+
+/**
+ * Map an OKLCH color into a gamut using the CSS Color 4 algorithm: keep
+ * lightness and hue, binary-search chroma until clipping the result is
+ * within a just-noticeable difference.
+ * @param {number[]} oklch - [L, C, H]
+ * @param {Gamut} [gamut]
+ * @returns {number[]} Unrounded OKLCH inside the gamut
+ */
+export function gamutMapOklch(oklch, gamut = 'srgb') {
   const [L, C, H] = oklch;
-  const hRad = H * Math.PI / 180;
-  const a = C * Math.cos(hRad);
-  const b = C * Math.sin(hRad);
-  return oklabToRgb([L, a, b]);
+
+  if (L >= 1) return [1, 0, H];
+  if (L <= 0) return [0, 0, H];
+  if (isInGamut(oklch, gamut)) return oklch;
+
+  let clipped = clipToGamut(oklch, gamut);
+  if (deltaEOK(clipped, oklch) < GAMUT_MAP_JND) return clipped;
+
+  let min = 0;
+  let max = C;
+  let minInGamut = true;
+
+  while (max - min > GAMUT_MAP_EPSILON) {
+    const chroma = (min + max) / 2;
+    const current = [L, chroma, H];
+
+    if (minInGamut && isInGamut(current, gamut)) {
+      min = chroma;
+      continue;
+    }
+
+    clipped = clipToGamut(current, gamut);
+    const error = deltaEOK(clipped, current);
+    if (error < GAMUT_MAP_JND) {
+      if (GAMUT_MAP_JND - error < GAMUT_MAP_EPSILON) return clipped;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+
+  return clipped;
+}
+
+/**
+ * Convert OKLCH to Display P3, gamut mapped into P3
+ * @param {number[]} oklch - [L, C, H]
+ * @returns {number[]} [r, g, b] 0-1
+ */
+export function oklchToP3(oklch) {
+  return oklchToGamutChannels(gamutMapOklch(oklch, 'p3'), 'p3')
+    .map(v => Math.round(Math.max(0, Math.min(1, v)) * 10000) / 10000);
+}
+
+/**
+ * Convert Display P3 to OKLCH
+ * @param {number[]} p3 - [r, g, b] 0-1
+ * @returns {number[]} [L, C, H]
+ */
+export function p3ToOklch(p3) {
+  return roundOklch(oklabToOklch(linearSrgbToOklab(GAMUTS.p3.toLinearSrgb(p3))));
+}
+
+/**
+ * Convert Display P3 to an sRGB fallback (gamut mapped, not clamped)
+ * @param {number[]} p3 - [r, g, b] 0-1
+ * @returns {number[]} [R, G, B] 0-255
+ */
+export function p3ToRgb(p3) {
+  return oklchToRgb(oklabToOklch(linearSrgbToOklab(GAMUTS.p3.toLinearSrgb(p3))));
+}
+
+/**
+ * Convert OKLCH to Rec.2020, gamut mapped into Rec.2020
+ * @param {number[]} oklch - [L, C, H]
+ * @returns {number[]} [r, g, b] 0-1
+ */
+export function oklchToRec2020(oklch) {
+  return oklchToGamutChannels(gamutMapOklch(oklch, 'rec2020'), 'rec2020')
+    .map(v => Math.round(Math.max(0, Math.min(1, v)) * 10000) / 10000);
+}
+
+/**
+ * Convert Rec.2020 to OKLCH
+ * @param {number[]} rec2020 - [r, g, b] 0-1
+ * @returns {number[]} [L, C, H]
+ */
+export function rec2020ToOklch(rec2020) {
+  return roundOklch(oklabToOklch(linearSrgbToOklab(GAMUTS.rec2020.toLinearSrgb(rec2020))));
 }
 
 /**
@@ -121,38 +458,325 @@ export function rgbToHex(rgb) {
   return `#${toHex(rgb[0])}${toHex(rgb[1])}${toHex(rgb[2])}`;
 }
 
+// =============================================================================
+// PARSING (CSS Color 4)
+// =============================================================================
+
+/**
+ * @typedef {Object} ParsedColor
+ * @property {number[]} rgb - [R, G, B] 0-255, gamut mapped into sRGB
+ * @property {number} alpha - 0-1
+ * @property {string} format - Syntax the input used (hex, rgb, hsl, oklch, named, ...)
+ * @property {number[]} [p3] - Original Display P3 value for color(display-p3 ...) input,
+ *   clamped to 0-1
+ */
+
+/**
+ * @typedef {Object} ColorParseError
+ * @property {'empty' | 'bad-hex' | 'unknown-name' | 'unknown-function' | 'unsupported-space' | 'bad-arguments' | 'bad-value'} code
+ * @property {string} message - Human-readable reason the input was rejected
+ * @property {string} input
+ */
+
+/**
+ * @typedef {{ ok: true, color: ParsedColor, warning?: string } | { ok: false, error: ColorParseError }} ParseResult
+ */
+
+/** Reference ranges that CSS percentages map onto, per function and argument */
+const PERCENT_REFERENCE = {
+  lab: [100, 125, 125],
+  lch: [100, 150, null],
+  oklab: [1, 0.4, 0.4],
+  oklch: [1, 0.4, null]
+};
+
+/** Predefined RGB spaces accepted by color() */
+const COLOR_FUNCTION_SPACES = {
+  'srgb': (rgb) => GAMUTS.srgb.toLinearSrgb(rgb),
+  'srgb-linear': (rgb) => rgb,
+  'display-p3': (rgb) => GAMUTS.p3.toLinearSrgb(rgb),
+  'rec2020': (rgb) => GAMUTS.rec2020.toLinearSrgb(rgb)
+};
+
+const NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/i;
+
+/**
+ * Parse a single CSS numeric token
+ * @param {string} token
+ * @returns {{ value: number, unit: string } | null} unit is '' for plain numbers
+ */
+function parseToken(token) {
+  if (token.toLowerCase() === 'none') return { value: 0, unit: '' };
+  const match = token.match(NUMBER_PATTERN);
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: (match[2] || '').toLowerCase() };
+}
+
+/**
+ * Convert an angle token to degrees
+ * @param {{ value: number, unit: string }} token
+ * @returns {number | null}
+ */
+function toDegrees(token) {
+  switch (token.unit) {
+    case '':
+    case 'deg': return token.value;
+    case 'grad': return token.value * 0.9;
+    case 'rad': return token.value * 180 / Math.PI;
+    case 'turn': return token.value * 360;
+    default: return null;
+  }
+}
+
+/**
+ * Resolve a number-or-percentage token against a reference range
+ * @param {{ value: number, unit: string }} token
+ * @param {number} reference - Value that 100% maps to
+ * @returns {number | null}
+ */
+function toNumber(token, reference) {
+  if (token.unit === '%') return token.value / 100 * reference;
+  if (token.unit === '') return token.value;
+  return null;
+}
+
+/**
+ * Split function arguments into channel tokens and an optional alpha token.
+ * Accepts both modern (space, slash alpha) and legacy (comma) syntax; commas
+ * are tolerated for every function since pasted values often use them.
+ * @param {string} body
+ * @returns {{ channels: string[], alpha: string | null } | null}
+ */
+function splitArguments(body) {
+  const trimmed = body.trim();
+  if (trimmed.includes(',')) {
+    if (trimmed.includes('/')) return null;
+    const parts = trimmed.split(',').map(p => p.trim());
+    if (parts.length > 4 || parts.some(p => p === '' || /\s/.test(p))) return null;
+    return { channels: parts.slice(0, 3), alpha: parts[3] ?? null };
+  }
+
+  const [main, alpha, extra] = trimmed.split('/');
+  if (extra !== undefined) return null;
+  if (alpha !== undefined && alpha.trim() === '') return null;
+  const channels = main.trim().split(/\s+/).filter(Boolean);
+  return { channels, alpha: alpha === undefined ? null : alpha.trim() };
+}
+
+/**
+ * Convert HSL to RGB
+ * @param {number} h - Degrees
+ * @param {number} s - 0-1
+ * @param {number} l - 0-1
+ * @returns {number[]} [r, g, b] 0-1
+ */
+function hslToRgb(h, s, l) {
+  h = ((h % 360) + 360) % 360;
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+/**
+ * Convert HWB to RGB
+ * @param {number} h - Degrees
+ * @param {number} w - Whiteness 0-1
+ * @param {number} b - Blackness 0-1
+ * @returns {number[]} [r, g, b] 0-1
+ */
+function hwbToRgb(h, w, b) {
+  if (w + b >= 1) {
+    const gray = w / (w + b);
+    return [gray, gray, gray];
+  }
+  return hslToRgb(h, 1, 0.5).map(v => v * (1 - w - b) + w);
+}
+
+/**
+ * Convert CIE Lab (D50) to linear sRGB
+ * @param {number[]} lab - [L 0-100, a, b]
+ * @returns {number[]}
+ */
+function cieLabToLinearSrgb(lab) {
+  const [L, a, b] = lab;
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (L + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyz = [
+    (fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa) * D50_WHITE[0],
+    (L > kappa * epsilon ? fy ** 3 : L / kappa) * D50_WHITE[1],
+    (fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa) * D50_WHITE[2]
+  ];
+  return multiply(XYZ_TO_LIN_SRGB, multiply(D50_TO_D65, xyz));
+}
+
+/**
+ * Convert 0-1 sRGB channels to clamped 0-255 integers
+ * @param {number[]} rgb
+ * @returns {number[]}
+ */
+function toByteRgb(rgb) {
+  return rgb.map(v => Math.round(Math.max(0, Math.min(1, v)) * 255));
+}
+
+/**
+ * Convert unclamped linear sRGB to gamut-mapped 0-255 RGB
+ * @param {number[]} lin
+ * @returns {number[]}
+ */
+function linearSrgbToGamutRgb(lin) {
+  return oklchToRgb(oklabToOklch(linearSrgbToOklab(lin)));
+}
+
 /**
- * Parse color string (hex, rgb(), or oklch()) to RGB array
+ * Parse a color function body into rgb for the given function name
+ * @param {string} fn - Lowercase function name
+ * @param {string[]} channels
+ * @returns {{ rgb: number[], p3?: number[] } | { code: ColorParseError['code'], message: string }}
+ */
+function parseFunctionChannels(fn, channels) {
+  const badArguments = (message) => ({ code: 'bad-arguments', message });
+  const badValue = (message) => ({ code: 'bad-value', message });
+
+  if (fn === 'color') {
+    const [space, ...rest] = channels;
+    const toLinear = COLOR_FUNCTION_SPACES[space?.toLowerCase()];
+    if (!toLinear) return { code: 'unsupported-space', message: `Unsupported color space "${space || ''}" in color()` };
+    if (rest.length !== 3) return badArguments(`color(${space}) needs 3 channels, got ${rest.length}`);
+    const values = rest.map(t => {
+      const token = parseToken(t);
+      return token ? toNumber(token, 1) : null;
+    });
+    if (values.some(v => v === null)) return badValue(`color(${space}) channels must be numbers or percentages`);
+    const rgb = linearSrgbToGamutRgb(toLinear(values));
+    return space.toLowerCase() === 'display-p3' ? { rgb, p3: values.map(v => Math.max(0, Math.min(1, v))) } : { rgb };
+  }
+
+  if (channels.length !== 3) return badArguments(`${fn}() needs 3 channels, got ${channels.length}`);
+  const tokens = channels.map(parseToken);
+  const badIndex = tokens.findIndex(t => t === null);
+  if (badIndex !== -1) return badValue(`"${channels[badIndex]}" is not a valid number in ${fn}()`);
+
+  if (fn === 'rgb' || fn === 'rgba') {
+    const values = tokens.map(t => toNumber(t, 255));
+    if (values.some(v => v === null)) return badValue(`${fn}() channels must be numbers or percentages`);
+    return { rgb: values.map(v => Math.round(Math.max(0, Math.min(255, v)))) };
+  }
+
+  if (fn === 'hsl' || fn === 'hsla' || fn === 'hwb') {
+    const hue = toDegrees(tokens[0]);
+    const second = toNumber(tokens[1], 100);
+    const third = toNumber(tokens[2], 100);
+    if (hue === null) return badValue(`Hue "${channels[0]}" must be a number or angle`);
+    if (second === null || third === null) return badValue(`${fn}() channels must be percentages`);
+    const s = Math.max(0, Math.min(100, second)) / 100;
+    const l = Math.max(0, Math.min(100, third)) / 100;
+    return { rgb: toByteRgb(fn === 'hwb' ? hwbToRgb(hue, s, l) : hslToRgb(hue, s, l)) };
+  }
+
+  const reference = PERCENT_REFERENCE[fn];
+
+  const L = toNumber(tokens[0], reference[0]);
+  const second = toNumber(tokens[1], reference[1]);
+  if (L === null || second === null) {
+    return badValue(`${fn}() lightness and ${fn.endsWith('ch') ? 'chroma' : 'a'} must be numbers or percentages`);
+  }
+
+  let third;
+  if (fn.endsWith('ch')) {
+    third = toDegrees(tokens[2]);
+    if (third === null) return badValue(`Hue "${channels[2]}" must be a number or angle`);
+  } else {
+    third = toNumber(tokens[2], reference[2]);
+    if (third === null) return badValue(`${fn}() b must be a number or percentage`);
+  }
+
+  if (fn === 'oklch' || fn === 'oklab') {
+    const lab = fn === 'oklch'
+      ? oklchToOklab([L, Math.max(0, second), third])
+      : [L, second, third];
+    return { rgb: oklchToRgb(oklabToOklch(lab)) };
+  }
+
+  const cieLab = fn === 'lch'
+    ? [L, Math.max(0, second) * Math.cos(third * Math.PI / 180), Math.max(0, second) * Math.sin(third * Math.PI / 180)]
+    : [L, second, third];
+  return { rgb: linearSrgbToGamutRgb(cieLabToLinearSrgb(cieLab)) };
+}
+
+/**
+ * Parse any CSS Color 4 color string. Out-of-sRGB colors are gamut mapped.
+ * Palette colors are opaque, so a result with alpha below 1 carries a
+ * warning that the alpha is dropped.
  * @param {string} str
- * @returns {number[] | null}
+ * @returns {ParseResult}
  */
-export function parseColorString(str) {
+export function parseColor(str) {
+  const input = str;
+  const fail = (code, message) => ({ ok: false, error: { code, message, input } });
+  const succeed = (color) => color.alpha < 1
+    ? { ok: true, color, warning: `Alpha ${+color.alpha.toFixed(3)} is ignored; the color is used fully opaque` }
+    : { ok: true, color };
   str = str.trim();
 
-  // Try hex
-  const hexResult = hexToRgb(str);
-  if (hexResult) return hexResult;
+  if (str === '') return fail('empty', 'Enter a color value');
 
-  // Try rgb(r, g, b) - supports both comma and space separators
-  const rgbMatch = str.match(/^rgb\s*\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*\)$/i);
-  if (rgbMatch) {
-    return [
-      parseInt(rgbMatch[1], 10),
-      parseInt(rgbMatch[2], 10),
-      parseInt(rgbMatch[3], 10)
-    ];
+  if (str.startsWith('#') || /^[a-f\d]{3}$|^[a-f\d]{6}$/i.test(str)) {
+    const hex = str.replace(/^#/, '');
+    if (!/^[a-f\d]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+      return fail('bad-hex', `"${str}" is not a valid hex color (use 3, 4, 6 or 8 hex digits)`);
+    }
+    const full = hex.length <= 4 ? hex.split('').map(ch => ch + ch).join('') : hex;
+    const bytes = full.match(/../g).map(pair => parseInt(pair, 16));
+    return succeed({ rgb: bytes.slice(0, 3), alpha: bytes.length === 4 ? bytes[3] / 255 : 1, format: 'hex' });
   }
 
-  // Try oklch(L C H) - L is 0-1, C is ~0-0.4, H is 0-360
-  const oklchMatch = str.match(/^oklch\s*\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*\)$/i);
-  if (oklchMatch) {
-    const L = parseFloat(oklchMatch[1]);
-    const C = parseFloat(oklchMatch[2]);
-    const H = parseFloat(oklchMatch[3]);
-    if (!isNaN(L) && !isNaN(C) && !isNaN(H)) {
-      return oklchToRgb([L, C, H]);
+  const fnMatch = str.match(/^([a-z-]+)\s*\((.*)\)$/is);
+  if (!fnMatch) {
+    const name = str.toLowerCase();
+    if (name === 'transparent') {
+      return succeed({ rgb: [0, 0, 0], alpha: 0, format: 'named' });
+    }
+    if (NAMED_COLORS[name]) {
+      return { ok: true, color: { rgb: [...NAMED_COLORS[name]], alpha: 1, format: 'named' } };
     }
+    if (/^[a-z]+$/i.test(str)) return fail('unknown-name', `"${str}" is not a CSS named color`);
+    return fail('bad-value', `"${str}" is not a recognized color format`);
   }
 
-  return null;
+  const fn = fnMatch[1].toLowerCase();
+  if (!['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color'].includes(fn)) {
+    return fail('unknown-function', `Unknown color function "${fn}()"`);
+  }
+
+  const args = splitArguments(fnMatch[2]);
+  if (!args) return fail('bad-arguments', `Could not read the arguments of ${fn}() (mixed separators, empty or extra values)`);
+
+  let alpha = 1;
+  if (args.alpha !== null) {
+    const token = parseToken(args.alpha);
+    const value = token ? toNumber(token, 1) : null;
+    if (value === null) return fail('bad-value', `Alpha "${args.alpha}" must be a number or percentage`);
+    alpha = Math.max(0, Math.min(1, value));
+  }
+
+  const result = parseFunctionChannels(fn, args.channels);
+  if (!result.rgb) return fail(result.code, result.message);
+
+  return succeed({ ...result, alpha, format: fn });
+}
+
+/**
+ * Parse color string (any CSS Color 4 syntax) to RGB array
+ * @param {string} str
+ * @returns {number[] | null}
+ */
+export function parseColorString(str) {
+  const result = parseColor(str);
+  return result.ok ? result.color.rgb : null;
 }
@@ -0,0 +1,174 @@
+/**
+ * CSS theme export
+ *
+ * Resolves a scheme to the --scheme-* custom properties the style guide
+ * renders with (including the fallbacks it applies) and writes light and
+ * dark schemes as one CSS file: light on :root, dark under
+ * [data-mode="dark"] and, unless light is forced, prefers-color-scheme.
+ */
+
+import { rgbToHex, rgbToString, oklchToString } from './format.js';
+import { rgbToOklch } from './convert.js';
+import { contrastRatio } from './math.js';
+import { CONSTRAINTS_SPEC_VERSION, STATE_ORDER } from './constraints.js';
+import { schemeTokenName } from './tokens.js';
+import { pickStatusText } from './colors.js';
+import { DEFAULT_DESTRUCTIVE, DEFAULT_STATUS, DEFAULT_STATUS_TEXT, STATUS_TOKENS } from './scheme/index.js';
+
+/** @typedef {import('./scheme/index.js').ColorScheme} ColorScheme */
+/** @typedef {import('./tokens.js').ThemeSchemes} ThemeSchemes */
+
+/** @typedef {'hex' | 'rgb' | 'oklch'} CssThemeFormat */
+
+/** @type {CssThemeFormat[]} */
+export const CSS_THEME_FORMATS = ['hex', 'rgb', 'oklch'];
+
+/** Base tokens, in the order they are written */
+const BASE_TOKENS = [
+  'bgApp', 'bgSurface', 'bgElevated',
+  'textPrimary', 'textMuted', 'textOnAccent',
+  'borderSubtle', 'borderStrong',
+  'accentSolid', 'accentSoft'
+];
+
+/** Rgb used when a scheme has no destructive color (the generation default) */
+export const DESTRUCTIVE_FALLBACK = DEFAULT_DESTRUCTIVE.rgb;
+
+/**
+ * Status tokens and the rgb used when a scheme lacks them: the generation
+ * defaults, each with the default text it picks
+ */
+export const STATUS_FALLBACKS = Object.fromEntries(STATUS_TOKENS.flatMap(([status, textToken]) => [
+  [status, DEFAULT_STATUS[status].rgb],
+  [textToken, pickStatusText(DEFAULT_STATUS[status], DEFAULT_STATUS_TEXT).rgb]
+]));
+
+/** textMuted contrast on bgElevated below which elevated text falls back to textPrimary */
+export const TEXT_ON_ELEVATED_MIN = 3;
+
+/**
+ * @typedef {Object} SchemeVariable
+ * @property {string} name - Custom property name, e.g. --scheme-bg-app
+ * @property {number[]} rgb - [r, g, b] 0-255
+ * @property {string} [source] - Name of the color it comes from, absent for fallbacks
+ */
+
+/**
+ * Every --scheme-* variable of a scheme, fallbacks applied
+ * @param {ColorScheme} scheme
+ * @returns {SchemeVariable[]}
+ */
+export function getSchemeVariables(scheme) {
+  const variables = [];
+  const add = (token, color, fallback) => {
+    variables.push({
+      name: `--scheme-${schemeTokenName(token)}`,
+      rgb: color?.rgb || fallback,
+      ...(color ? { source: color.name } : {})
+    });
+  };
+
+  for (const token of BASE_TOKENS) add(token, scheme[token]);
+
+  // Contrast fallback: if textMuted fails 3:1 on elevated, use textPrimary
+  const mutedOnElevated = contrastRatio(scheme.textMuted.rgb, scheme.bgElevated.rgb);
+  add('textOnElevated', mutedOnElevated >= TEXT_ON_ELEVATED_MIN ? scheme.textMuted : scheme.textPrimary);
+
+  add('destructive', scheme.destructive, DESTRUCTIVE_FALLBACK);
+  for (const [token, fallback] of Object.entries(STATUS_FALLBACKS)) add(token, scheme[token], fallback);
+
+  // Derived interactive states are only written when present
+  for (const token of STATE_ORDER) {
+    if (scheme[token]) add(token, scheme[token]);
+  }
+
+  return variables;
+}
+
+/**
+ * CSS value of a color in a format
+ * @param {number[]} rgb
+ * @param {CssThemeFormat} format
+ * @returns {string}
+ */
+function formatValue(rgb, format) {
+  switch (format) {
+    case 'rgb': return rgbToString(rgb);
+    case 'oklch': return oklchToString(rgbToOklch(rgb));
+    default: return rgbToHex(rgb);
+  }
+}
+
+/**
+ * Text usable inside a CSS comment
+ * @param {string} text
+ * @returns {string}
+ */
+function commentText(text) {
+  return String(text).replace(/\*\//g, '* /');
+}
+
+/**
+ * Declarations of a scheme, indented for a rule block
+ * @param {ColorScheme} scheme
+ * @param {CssThemeFormat} format
+ * @param {string} indent
+ * @returns {string}
+ */
+function formatDeclarations(scheme, format, indent) {
+  return getSchemeVariables(scheme)
+    .map(({ name, rgb, source }) =>
+      `${indent}${name}: ${formatValue(rgb, format)};${source ? ` /* ${commentText(source)} */` : ''}`)
+    .join('\n');
+}
+
+/**
+ * @typedef {Object} CssThemeOptions
+ * @property {CssThemeFormat} [format] - Defaults to hex
+ * @property {string} [paletteId]
+ * @property {{ light?: string, dark?: string }} [configIds] - Config each mode came from
+ */
+
+/**
+ * Format light and dark schemes as a CSS theme file. A theme with only one
+ * mode writes it to :root alone.
+ * @param {ThemeSchemes} schemes
+ * @param {CssThemeOptions} [options]
+ * @returns {string}
+ */
+export function formatCssTheme(schemes, options = {}) {
+  const { format = 'hex', paletteId = 'unknown', configIds = {} } = options;
+  const { light, dark } = schemes;
+
+  const header = [
+    '/*',
+    ` * Palette: ${commentText(paletteId)}`,
+    ...['light', 'dark']
+      .filter(mode => schemes[mode])
+      .map(mode => ` * ${mode === 'light' ? 'Light' : 'Dark'} config: ${commentText(configIds[mode] || 'unknown')}`),
+    ` * Constraints: ${CONSTRAINTS_SPEC_VERSION}`,
+    ' */'
+  ].join('\n');
+
+  if (!light || !dark) {
+    const scheme = light || dark;
+    return scheme ? `${header}\n\n:root {\n${formatDeclarations(scheme, format, '  ')}\n}\n` : `${header}\n`;
+  }
+
+  return `${header}
+
+:root {
+${formatDeclarations(light, format, '  ')}
+}
+
+@media (prefers-color-scheme: dark) {
+  :root:not([data-mode="light"]) {
+${formatDeclarations(dark, format, '    ')}
+  }
+}
+
+[data-mode="dark"] {
+${formatDeclarations(dark, format, '  ')}
+}
+`;
+}
@@ -0,0 +1,120 @@
+/**
+ * Color vision deficiency simulation
+ *
+ * Dichromacies use the Machado, Oliveira & Fernandes (2009) matrices at full
+ * severity, applied in linear sRGB. Achromatopsia reduces every color to its
+ * relative luminance.
+ */
+
+import { srgbToLinear, linearToSrgb } from './math.js';
+import { rgbToOklch, deltaEOK } from './convert.js';
+import { attachScore } from './score.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('./scheme/index.js').ColorScheme} ColorScheme */
+
+/** @typedef {'protanopia' | 'deuteranopia' | 'tritanopia' | 'achromatopsia'} CvdType */
+
+/** @type {CvdType[]} */
+export const CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+
+/** Linear sRGB simulation matrices, one row per output channel */
+export const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ],
+  // Every channel becomes the relative luminance (same weights as WCAG)
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722]
+  ]
+};
+
+/**
+ * Token pairs that carry different meanings and must stay apart under every
+ * deficiency
+ */
+export const CVD_DISTINCT_PAIRS = [['accentSolid', 'destructive']];
+
+/**
+ * Minimum Oklab distance (deltaEOK) for two simulated colors to count as
+ * distinguishable; a few times the 0.02 just-noticeable difference, since
+ * the colors must be told apart at a glance, not side by side
+ */
+export const CVD_MIN_DISTANCE = 0.08;
+
+/**
+ * Simulate how an sRGB color looks with a color vision deficiency
+ * @param {number[]} rgb - [r, g, b] 0-255
+ * @param {CvdType} type
+ * @returns {number[]} Simulated [r, g, b] 0-255
+ */
+export function simulateCvd(rgb, type) {
+  const matrix = CVD_MATRICES[type];
+  const linear = rgb.map(srgbToLinear);
+  return matrix.map(row => linearToSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+}
+
+/**
+ * Simulated copy of a color (same name, rgb and oklch as perceived)
+ * @param {Color} color
+ * @param {CvdType} type
+ * @returns {Color}
+ */
+export function simulateColor(color, type) {
+  const rgb = simulateCvd(color.rgb, type);
+  return { ...color, rgb, oklch: rgbToOklch(rgb) };
+}
+
+/**
+ * Simulate every token of a scheme (the score is kept as is)
+ * @param {ColorScheme} scheme
+ * @param {CvdType} type
+ * @returns {ColorScheme}
+ */
+export function simulateScheme(scheme, type) {
+  const simulated = attachScore({}, scheme.score);
+  for (const [token, value] of Object.entries(scheme)) {
+    simulated[token] = value?.rgb ? simulateColor(value, type) : value;
+  }
+  return simulated;
+}
+
+/**
+ * @typedef {Object} CvdConfusion
+ * @property {CvdType} type
+ * @property {string} a - Token name
+ * @property {string} b - Token name
+ * @property {number} distance - deltaEOK between the simulated colors
+ */
+
+/**
+ * Find the distinct token pairs that a deficiency makes indistinguishable
+ * @param {ColorScheme} scheme
+ * @param {CvdType[]} [types] - Defaults to every deficiency
+ * @returns {CvdConfusion[]}
+ */
+export function findCvdConfusions(scheme, types = CVD_TYPES) {
+  const confusions = [];
+  for (const type of types) {
+    for (const [a, b] of CVD_DISTINCT_PAIRS) {
+      if (!scheme[a] || !scheme[b]) continue;
+      const distance = deltaEOK(simulateColor(scheme[a], type).oklch, simulateColor(scheme[b], type).oklch);
+      if (distance < CVD_MIN_DISTANCE) confusions.push({ type, a, b, distance });
+    }
+  }
+  return confusions;
+}
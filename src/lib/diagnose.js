@@ -0,0 +1,330 @@
+/**
+ * Explain-why-not diagnostics for canonical scheme enumeration
+ *
+ * Walks the same search as enumerateConfigurations, but instead of collecting
+ * configurations it records, per token, how many palette colors survive each
+ * individual check (chroma, lightness, each contrast requirement, hue match,
+ * ...), where the search dead-ended, and the smallest color change that would
+ * let the dead-end token through.
+ */
+
+import { constraintChecks, constraintDependencies } from './enumerate.js';
+import { DARK_MODE_CONSTRAINTS, LIGHT_MODE_CONSTRAINTS, TOKEN_ORDER } from './constraints.js';
+import { oklchToRgb, rgbToOklch, deltaEOK } from './convert.js';
+import { CHROMA, hashPalette } from './colors.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+
+/** Dependency contexts kept per token (and per dead end) when looking for a suggestion */
+const MAX_CONTEXTS_PER_TOKEN = 50;
+
+/** Lightness resolution when searching for a suggested color */
+const LIGHTNESS_STEP = 0.005;
+
+/**
+ * Cache for diagnoses, keyed by palette content and mode so pages that
+ * re-render without changing the colors don't repeat the search
+ * @type {Map<string, Diagnosis>}
+ */
+const diagnosisCache = new Map();
+
+/** Diagnoses kept at most; the oldest is dropped first */
+const MAX_DIAGNOSIS_CACHE_ENTRIES = 4;
+
+/**
+ * @typedef {Object} StageCount
+ * @property {string} stage - Check kind (chroma, lightness, contrast, hue, ...)
+ * @property {string} label - Rule that was applied
+ * @property {number} remaining - Candidates left after this check
+ */
+
+/**
+ * @typedef {Object} TokenDiagnostic
+ * @property {string} token
+ * @property {boolean} reached - Whether the search got to this token
+ * @property {number} contexts - Distinct dependency assignments tried
+ * @property {number} deadEnds - Contexts where no candidate survived
+ * @property {number} survivors - Most candidates surviving in any context
+ * @property {StageCount[]} funnel - Survivors per check in the best context
+ *   (static checks only when the token was never reached)
+ */
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {string} token - Token the color would unlock
+ * @property {string} role - Token the color is meant for; differs from
+ *   `token` when no color can fill the dead end directly and one of its
+ *   dependencies has to change instead
+ * @property {Color} color - Suggested color
+ * @property {string | null} near - Palette color it is closest to (null for an empty palette)
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Diagnosis
+ * @property {'light' | 'dark'} mode
+ * @property {number} configCount - Valid configurations
+ * @property {string | null} deadEnd - Token the search could not get past
+ * @property {TokenDiagnostic[]} tokens - In TOKEN_ORDER
+ * @property {Suggestion | null} suggestion
+ */
+
+/**
+ * Apply checks one at a time, counting what remains after each
+ * @param {Color[]} colors
+ * @param {import('./enumerate.js').ConstraintCheck[]} checks
+ * @returns {{ funnel: StageCount[], survivors: Color[] }}
+ */
+function runFunnel(colors, checks) {
+  const funnel = [{ stage: 'palette', label: 'palette colors', remaining: colors.length }];
+  let survivors = colors;
+  for (const check of checks) {
+    survivors = survivors.filter(check.test);
+    funnel.push({ stage: check.stage, label: check.label, remaining: survivors.length });
+  }
+  return { funnel, survivors };
+}
+
+/**
+ * Whether funnel a got further than funnel b: more final survivors, then
+ * more candidates left at each earlier check
+ * @param {StageCount[]} a
+ * @param {StageCount[]} b
+ * @returns {boolean}
+ */
+function isBetterFunnel(a, b) {
+  for (let i = a.length - 1; i >= 0; i--) {
+    const diff = a[i].remaining - (b[i]?.remaining ?? -1);
+    if (diff !== 0) return diff > 0;
+  }
+  return false;
+}
+
+/**
+ * Diagnose why a palette does (or doesn't) produce canonical configurations
+ * @param {Color[]} colors - Palette colors
+ * @param {'light' | 'dark'} mode
+ * @returns {Diagnosis}
+ */
+export function diagnoseConfigurations(colors, mode) {
+  const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+
+  const dependencies = TOKEN_ORDER.map(tokenName => constraintDependencies(constraints[tokenName]));
+  const frontiers = TOKEN_ORDER.map((_, index) => TOKEN_ORDER.slice(0, index).filter(tokenName =>
+    dependencies.slice(index).some(deps => deps.has(tokenName))));
+
+  const stats = TOKEN_ORDER.map(token => ({
+    token,
+    reached: false,
+    contexts: 0,
+    deadEnds: 0,
+    survivors: 0,
+    funnel: [],
+    sampleContexts: [],
+    deadContexts: []
+  }));
+
+  // Palette index identifies a color in memo keys even when names repeat
+  const paletteIndex = new Map(colors.map((color, index) => [color, index]));
+  /** @type {Map<string, number>} */
+  const memo = new Map();
+
+  function solve(tokenIndex, assigned) {
+    if (tokenIndex === TOKEN_ORDER.length) return 1;
+
+    const key = tokenIndex + ':' + frontiers[tokenIndex].map(tokenName => paletteIndex.get(assigned[tokenName])).join('|');
+    if (memo.has(key)) return memo.get(key);
+
+    const tokenName = TOKEN_ORDER[tokenIndex];
+    const stat = stats[tokenIndex];
+    const { funnel, survivors } = runFunnel(colors, constraintChecks(constraints[tokenName], assigned));
+
+    stat.reached = true;
+    stat.contexts++;
+    stat.survivors = Math.max(stat.survivors, survivors.length);
+    if (isBetterFunnel(funnel, stat.funnel)) stat.funnel = funnel;
+    if (stat.sampleContexts.length < MAX_CONTEXTS_PER_TOKEN) stat.sampleContexts.push({ ...assigned });
+    if (survivors.length === 0) {
+      stat.deadEnds++;
+      if (stat.deadContexts.length < MAX_CONTEXTS_PER_TOKEN) stat.deadContexts.push({ ...assigned });
+    }
+
+    let count = 0;
+    for (const candidate of survivors) {
+      assigned[tokenName] = candidate;
+      count += solve(tokenIndex + 1, assigned);
+      delete assigned[tokenName];
+    }
+
+    memo.set(key, count);
+    return count;
+  }
+
+  const configCount = solve(0, {});
+
+  /**
+   * Whether the remaining tokens can all be assigned from the palette
+   * @param {number} tokenIndex
+   * @param {Object.<string, Color>} assigned
+   * @param {Map<string, boolean>} seen - Frontier states already explored
+   * @returns {boolean}
+   */
+  function canComplete(tokenIndex, assigned, seen) {
+    if (tokenIndex === TOKEN_ORDER.length) return true;
+
+    const key = tokenIndex + ':' + frontiers[tokenIndex].map(tokenName => paletteIndex.get(assigned[tokenName])).join('|');
+    if (seen.has(key)) return seen.get(key);
+
+    const tokenName = TOKEN_ORDER[tokenIndex];
+    const checks = constraintChecks(constraints[tokenName], assigned);
+    let result = false;
+    for (const candidate of colors) {
+      if (!checks.every(check => check.test(candidate))) continue;
+      result = canComplete(tokenIndex + 1, { ...assigned, [tokenName]: candidate }, seen);
+      if (result) break;
+    }
+
+    seen.set(key, result);
+    return result;
+  }
+
+  // Tokens the search never reached still get their static checks
+  for (const stat of stats) {
+    if (!stat.reached) {
+      const { funnel, survivors } = runFunnel(colors, constraintChecks(constraints[stat.token], {}, true));
+      stat.funnel = funnel;
+      stat.survivors = survivors.length;
+    }
+  }
+
+  let deadEnd = null;
+  let suggestion = null;
+  if (configCount === 0) {
+    const deadIndex = stats.filter(stat => stat.reached).length - 1;
+    deadEnd = TOKEN_ORDER[deadIndex];
+    suggestion = suggestColor(colors, deadEnd, stats[deadIndex].deadContexts, mode);
+
+    // e.g. no text can reach 4.5:1 on a mid-lightness accentSolid: suggest
+    // a different accentSolid from which the rest of the scheme completes
+    const parentIndex = TOKEN_ORDER.findLastIndex((tokenName, index) =>
+      index < deadIndex && dependencies[deadIndex].has(tokenName));
+    if (!suggestion && parentIndex !== -1) {
+      const parent = TOKEN_ORDER[parentIndex];
+      const completesScheme = (color, deps) => canComplete(parentIndex + 1, { ...deps, [parent]: color }, new Map());
+      suggestion = suggestColor(colors, parent, stats[parentIndex].sampleContexts, mode, {
+        unlocks: deadEnd,
+        extraTest: completesScheme
+      });
+    }
+  }
+
+  return {
+    mode,
+    configCount,
+    deadEnd,
+    tokens: stats.map(({ sampleContexts, deadContexts, ...stat }) => stat),
+    suggestion
+  };
+}
+
+/**
+ * Diagnose a palette, reusing the last diagnosis of the same colors and mode
+ * @param {Color[]} colors - Palette colors
+ * @param {'light' | 'dark'} mode
+ * @returns {Diagnosis}
+ */
+export function getDiagnosis(colors, mode) {
+  const key = `${hashPalette(colors)}:${mode}`;
+
+  if (!diagnosisCache.has(key)) {
+    if (diagnosisCache.size >= MAX_DIAGNOSIS_CACHE_ENTRIES) diagnosisCache.delete(diagnosisCache.keys().next().value);
+    diagnosisCache.set(key, diagnoseConfigurations(colors, mode));
+  }
+
+  return diagnosisCache.get(key);
+}
+
+/**
+ * First check that left a token without candidates
+ * @param {TokenDiagnostic} tokenDiagnostic
+ * @returns {StageCount | null}
+ */
+export function findBlockingStage(tokenDiagnostic) {
+  return tokenDiagnostic.funnel.find(stage => stage.remaining === 0) || null;
+}
+
+/**
+ * Find the smallest change to a palette color that would pass every check of
+ * a token in one of the given dependency contexts
+ * @param {Color[]} colors
+ * @param {string} token - Token the color is for
+ * @param {Object.<string, Color>[]} contexts
+ * @param {'light' | 'dark'} mode
+ * @param {Object} [options]
+ * @param {string} [options.unlocks] - Token it ultimately unlocks, when not `token`
+ * @param {(color: Color, deps: Object.<string, Color>) => boolean} [options.extraTest]
+ * @returns {Suggestion | null}
+ */
+function suggestColor(colors, token, contexts, mode, options = {}) {
+  const { unlocks = token, extraTest = () => true } = options;
+  const constraint = (mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS)[token];
+  const seeds = colors.length > 0 ? colors : [{ name: null, rgb: [119, 119, 119], oklch: [0.57, 0, 0] }];
+  let best = null;
+
+  for (const deps of contexts) {
+    const checks = constraintChecks(constraint, deps);
+    const lRange = typeof constraint.lightness === 'function' ? constraint.lightness(deps) : constraint.lightness;
+    if (lRange.min > lRange.max) continue;
+
+    for (const seed of seeds) {
+      const [seedL, seedC, seedH] = seed.oklch;
+
+      let C = seedC;
+      if (constraint.minChroma !== undefined) C = Math.max(C, constraint.minChroma);
+      if (constraint.maxChroma !== undefined) C = Math.min(C, constraint.maxChroma - 0.005);
+      if (constraint.chromaRange && deps[constraint.chromaRange.of]) {
+        const refC = deps[constraint.chromaRange.of].oklch[1];
+        C = Math.min(Math.max(C, refC * constraint.chromaRange.minRatio), refC * constraint.chromaRange.maxRatio);
+      }
+      const hueRef = (constraint.hueSameAs || []).map(name => deps[name]).find(Boolean);
+      const H = hueRef ? hueRef.oklch[2] : seedH;
+
+      // Nearest lightness first, so the first passing color is the smallest change
+      const lightnesses = [];
+      for (let L = lRange.min; L <= lRange.max + 1e-9; L += LIGHTNESS_STEP) lightnesses.push(L);
+      lightnesses.sort((a, b) => Math.abs(a - seedL) - Math.abs(b - seedL));
+
+      for (const L of lightnesses) {
+        const rgb = oklchToRgb([L, C, H]);
+        const color = { name: `suggested ${token}`, rgb, oklch: rgbToOklch(rgb) };
+        if (!checks.every(check => check.test(color)) || !extraTest(color, deps)) continue;
+        // Already in the palette, so it isn't a change (it failed elsewhere)
+        if (colors.some(c => c.rgb.every((v, i) => v === rgb[i]))) continue;
+        const distance = deltaEOK(seed.oklch, color.oklch);
+        if (!best || distance < best.distance) best = { color, near: seed.name, distance };
+        break;
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  const [L, C, H] = best.color.oklch;
+  const hue = `h≈${Math.round(H) % 360}`;
+  let description = `a neutral at L≈${L.toFixed(2)}`;
+  if (C >= CHROMA.STRONG_MIN) {
+    description = `an accent at L≈${L.toFixed(2)}, C≈${C.toFixed(2)}, ${hue}`;
+  } else if (C >= CHROMA.NEUTRAL_MAX) {
+    description = `a muted color at L≈${L.toFixed(2)}, C≈${C.toFixed(2)}, ${hue}`;
+  }
+
+  const role = unlocks === token ? '' : ` as ${token}`;
+  return {
+    token: unlocks,
+    role: token,
+    color: best.color,
+    near: best.near,
+    message: `${description[0].toUpperCase()}${description.slice(1)}${role} would unlock ${unlocks} in ${mode} mode` +
+      (best.near ? ` (closest to ${best.near})` : '')
+  };
+}
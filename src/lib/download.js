@@ -0,0 +1,21 @@
+/**
+ * File downloads from the browser
+ */
+
+/**
+ * Save contents as a file through a temporary download link
+ * @param {string} filename
+ * @param {BlobPart} contents - Text or bytes
+ * @param {string} [type] - MIME type
+ */
+export function downloadFile(filename, contents, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download before the browser reads the blob
+  setTimeout(() => URL.revokeObjectURL(url));
+}
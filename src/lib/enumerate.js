@@ -3,16 +3,25 @@
  *
  * Uses backtracking to find all valid token assignments from a palette
  * that satisfy the constraint rules (lightness, chroma, contrast).
+ *
+ * Two modes:
+ * - enumerateConfigurations: sampled (shuffled, capped) for quick variety
+ * - enumerateAllConfigurations: exhaustive with pruning, counted and ranked
  */
 
-import { contrastRatio, hueDifference } from './math.js';
-import { DARK_MODE_CONSTRAINTS, LIGHT_MODE_CONSTRAINTS, TOKEN_ORDER } from './constraints.js';
+import { contrastRatio, measureContrast, hueDifference } from './math.js';
+import { DARK_MODE_CONSTRAINTS, LIGHT_MODE_CONSTRAINTS, TOKEN_ORDER, STATE_ORDER, STATE_CONSTRAINTS } from './constraints.js';
+import { createRandom, shuffle } from './colors.js';
+import { getScoreItems, scoreScheme } from './score.js';
 
 const MAX_CONFIGURATIONS = 12;
 // Candidates per token are capped and shuffled for performance. This means
 // enumeration is non-exhaustive for large palettes; not all mathematically
 // possible configurations are guaranteed to be found.
 const MAX_CANDIDATES_PER_TOKEN = 6;
+// Exhaustive mode counts every configuration but only keeps the best-scoring
+// ones, so memory stays bounded on palettes with millions of combinations.
+const MAX_RANKED_CONFIGURATIONS = 500;
 
 /**
  * @typedef {import('../components/palette-bar.js').Color} Color
@@ -22,87 +31,146 @@ const MAX_CANDIDATES_PER_TOKEN = 6;
  * @typedef {Object} Configuration
  * @property {Object.<string, Color>} tokens - Token name to Color mapping
  * @property {string} id - Unique identifier
+ * @property {'light' | 'dark'} mode
+ * @property {number} score - Quality score 0-100, see score.js
  */
 
 /**
- * Filter colors matching a constraint given current dependencies
- * @param {Color[]} colors
- * @param {Object} constraint
+ * Check a single contrast requirement. The constrained token is treated as
+ * the foreground and `against` as the background, which matters for APCA.
+ * @param {Color} color
+ * @param {Color} against
+ * @param {import('./constraints.js').ContrastRequirement} req
+ * @returns {boolean}
+ */
+function meetsRequirement(color, against, req) {
+  const value = measureContrast(color.rgb, against.rgb, req.algorithm);
+  if (value < req.min) return false;
+  if (req.max !== undefined && value > req.max) return false;
+  return true;
+}
+
+/**
+ * @typedef {Object} ConstraintCheck
+ * @property {'chroma' | 'lightness' | 'contrast' | 'hue' | 'chromaRatio' | 'relativeContrast'} stage
+ * @property {string} label - Human-readable rule, e.g. "contrast vs bgApp ≥ 7"
+ * @property {(color: Color) => boolean} test
+ */
+
+/**
+ * Checks for contrast requirements whose other token is assigned
+ * @param {import('./constraints.js').ContrastRequirement[]} requirements
  * @param {Object.<string, Color>} deps
- * @returns {Color[]}
+ * @returns {ConstraintCheck[]}
  */
-function filterByConstraint(colors, constraint, deps) {
-  return colors.filter(color => {
-    const [L, C, h] = color.oklch;
+function contrastChecks(requirements, deps) {
+  return requirements.filter(req => deps[req.against]).map(req => {
+    const unit = req.algorithm === 'apca' ? 'Lc ' : '';
+    return {
+      stage: 'contrast',
+      label: req.max !== undefined
+        ? `contrast vs ${req.against} ${unit}${req.min}–${req.max}`
+        : `contrast vs ${req.against} ≥ ${unit}${req.min}`,
+      test: color => meetsRequirement(color, deps[req.against], req)
+    };
+  });
+}
 
-    // Chroma bounds
-    if (constraint.maxChroma !== undefined && C >= constraint.maxChroma) {
-      return false;
-    }
-    if (constraint.minChroma !== undefined && C < constraint.minChroma) {
-      return false;
-    }
+/**
+ * Build the individual checks of a constraint given current dependencies.
+ * Checks that reference unassigned dependencies are left out. In relaxed
+ * mode, dynamic lightness ranges are left out too, so the checks can run
+ * before every dependency is assigned.
+ * @param {Object} constraint
+ * @param {Object.<string, Color>} deps
+ * @param {boolean} [relaxed]
+ * @returns {ConstraintCheck[]}
+ */
+export function constraintChecks(constraint, deps, relaxed = false) {
+  const checks = [];
 
-    // Lightness bounds
-    const lRange = typeof constraint.lightness === 'function'
-      ? constraint.lightness(deps)
-      : constraint.lightness;
+  // Chroma bounds
+  if (constraint.maxChroma !== undefined || constraint.minChroma !== undefined) {
+    const { minChroma, maxChroma } = constraint;
+    checks.push({
+      stage: 'chroma',
+      label: minChroma !== undefined ? `chroma ≥ ${minChroma}` : `chroma < ${maxChroma}`,
+      test: color => !(maxChroma !== undefined && color.oklch[1] >= maxChroma) &&
+        !(minChroma !== undefined && color.oklch[1] < minChroma)
+    });
+  }
 
-    if (lRange.min > lRange.max) {
-      // Invalid range from dependencies - no candidates possible
-      return false;
-    }
-    if (L < lRange.min || L > lRange.max) {
-      return false;
-    }
+  // Lightness bounds
+  const dynamic = typeof constraint.lightness === 'function';
+  if (!(relaxed && dynamic)) {
+    const lRange = dynamic ? constraint.lightness(deps) : constraint.lightness;
+    checks.push({
+      stage: 'lightness',
+      label: `lightness ${lRange.min.toFixed(2)}–${lRange.max.toFixed(2)}`,
+      // An invalid range from dependencies leaves no candidates
+      test: color => lRange.min <= lRange.max &&
+        color.oklch[0] >= lRange.min && color.oklch[0] <= lRange.max
+    });
+  }
 
-    // Contrast requirements
-    for (const req of constraint.contrast || []) {
-      const against = deps[req.against];
-      if (!against) continue;
-      const ratio = contrastRatio(color.rgb, against.rgb);
-      if (ratio < req.min) return false;
-      if (req.max !== undefined && ratio > req.max) return false;
-    }
+  // Contrast requirements
+  checks.push(...contrastChecks(constraint.contrast || [], deps));
 
-    // Hue matching
-    if (constraint.hueSameAs) {
-      for (const tokenName of constraint.hueSameAs) {
-        const ref = deps[tokenName];
-        if (ref && hueDifference(h, ref.oklch[2]) > 30) {
-          return false;
-        }
-      }
-    }
+  // Hue matching
+  for (const tokenName of constraint.hueSameAs || []) {
+    const ref = deps[tokenName];
+    if (!ref) continue;
+    checks.push({
+      stage: 'hue',
+      label: `hue within 30° of ${tokenName}`,
+      test: color => hueDifference(color.oklch[2], ref.oklch[2]) <= 30
+    });
+  }
 
-    // Chroma ratio (for accentSoft)
-    if (constraint.chromaRange) {
-      const ref = deps[constraint.chromaRange.of];
-      if (ref) {
-        const refC = ref.oklch[1];
-        const minC = refC * constraint.chromaRange.minRatio;
-        const maxC = refC * constraint.chromaRange.maxRatio;
-        if (C < minC || C > maxC) return false;
-      }
-    }
+  // Chroma ratio (for accentSoft)
+  if (constraint.chromaRange && deps[constraint.chromaRange.of]) {
+    const { of, minRatio, maxRatio } = constraint.chromaRange;
+    const refC = deps[of].oklch[1];
+    checks.push({
+      stage: 'chromaRatio',
+      label: `chroma ${minRatio}–${maxRatio}× ${of}`,
+      test: color => color.oklch[1] >= refC * minRatio && color.oklch[1] <= refC * maxRatio
+    });
+  }
 
-    // textMuted contrast ratio relative to textPrimary
-    if (constraint.contrastRatioToPrimary) {
-      const bg = deps[constraint.contrastRatioToPrimary.against];
-      const primary = deps.textPrimary;
-      if (bg && primary) {
-        const primaryRatio = contrastRatio(primary.rgb, bg.rgb);
-        const thisRatio = contrastRatio(color.rgb, bg.rgb);
-        const relativeRatio = thisRatio / primaryRatio;
-        if (relativeRatio < constraint.contrastRatioToPrimary.min ||
-            relativeRatio > constraint.contrastRatioToPrimary.max) {
-          return false;
+  // textMuted contrast ratio relative to textPrimary
+  if (constraint.contrastRatioToPrimary) {
+    const { min, max, against } = constraint.contrastRatioToPrimary;
+    const bg = deps[against];
+    const primary = deps.textPrimary;
+    if (bg && primary) {
+      const primaryRatio = contrastRatio(primary.rgb, bg.rgb);
+      checks.push({
+        stage: 'relativeContrast',
+        label: `contrast vs ${against} ${min}–${max}× textPrimary's`,
+        test: color => {
+          const relativeRatio = contrastRatio(color.rgb, bg.rgb) / primaryRatio;
+          return relativeRatio >= min && relativeRatio <= max;
         }
-      }
+      });
     }
+  }
 
-    return true;
-  });
+  return checks;
+}
+
+/**
+ * Filter colors matching a constraint given current dependencies.
+ * In relaxed mode, dynamic lightness ranges are skipped (see constraintChecks).
+ * @param {Color[]} colors
+ * @param {Object} constraint
+ * @param {Object.<string, Color>} deps
+ * @param {boolean} [relaxed]
+ * @returns {Color[]}
+ */
+function filterByConstraint(colors, constraint, deps, relaxed = false) {
+  const checks = constraintChecks(constraint, deps, relaxed);
+  return colors.filter(color => checks.every(check => check.test(color)));
 }
 
 /**
@@ -117,26 +185,35 @@ function generateConfigId(assigned) {
 }
 
 /**
- * Shuffle array in place (Fisher-Yates)
- * @param {any[]} arr
- * @returns {any[]}
+ * @typedef {Object} EnumerateOptions
+ * @property {number | string} [seed] - Makes candidate shuffling reproducible
+ * @property {Object.<string, Color>} [locked] - Tokens fixed to a color; only
+ *   the rest are searched (a locked color that breaks a constraint leaves no
+ *   configurations)
  */
-function shuffleInPlace(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+
+/**
+ * Candidates for a token: its locked color, or the whole palette
+ * @param {Color[]} colors
+ * @param {Object.<string, Color>} locked
+ * @param {string} tokenName
+ * @returns {Color[]}
+ */
+function candidatePool(colors, locked, tokenName) {
+  return locked[tokenName] ? [locked[tokenName]] : colors;
 }
 
 /**
  * Enumerate all valid token configurations from a palette
  * @param {Color[]} colors - Palette colors
  * @param {'light' | 'dark'} mode
+ * @param {EnumerateOptions} [options]
  * @returns {Configuration[]}
  */
-export function enumerateConfigurations(colors, mode) {
+export function enumerateConfigurations(colors, mode, options = {}) {
   const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+  const random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+  const locked = options.locked || {};
   const configurations = [];
   const seenIds = new Set();
 
@@ -149,7 +226,9 @@ export function enumerateConfigurations(colors, mode) {
         seenIds.add(id);
         configurations.push({
           tokens: { ...assigned },
-          id
+          id,
+          mode,
+          score: scoreScheme(assigned, mode).total
         });
       }
       return;
@@ -159,14 +238,14 @@ export function enumerateConfigurations(colors, mode) {
     const constraint = constraints[tokenName];
 
     // Filter candidates
-    let candidates = filterByConstraint(colors, constraint, assigned);
+    let candidates = filterByConstraint(candidatePool(colors, locked, tokenName), constraint, assigned);
 
     // Limit candidates for performance
     if (candidates.length > MAX_CANDIDATES_PER_TOKEN) {
-      shuffleInPlace(candidates);
+      shuffle(candidates, random);
       candidates = candidates.slice(0, MAX_CANDIDATES_PER_TOKEN);
     } else {
-      shuffleInPlace(candidates);
+      shuffle(candidates, random);
     }
 
     // Try each candidate
@@ -183,6 +262,144 @@ export function enumerateConfigurations(colors, mode) {
   return configurations;
 }
 
+/**
+ * Discover which tokens a constraint reads. Lightness functions are probed
+ * with a recording stand-in for the dependencies.
+ * @param {Object} constraint
+ * @returns {Set<string>}
+ */
+export function constraintDependencies(constraint) {
+  const deps = new Set();
+  for (const req of constraint.contrast || []) deps.add(req.against);
+  for (const tokenName of constraint.hueSameAs || []) deps.add(tokenName);
+  if (constraint.chromaRange) deps.add(constraint.chromaRange.of);
+  if (constraint.contrastRatioToPrimary) {
+    deps.add(constraint.contrastRatioToPrimary.against);
+    deps.add('textPrimary');
+  }
+  if (typeof constraint.lightness === 'function') {
+    const probe = new Proxy({}, {
+      get(_, tokenName) {
+        deps.add(tokenName);
+        return { oklch: [0.5, 0, 0], rgb: [128, 128, 128] };
+      }
+    });
+    constraint.lightness(probe);
+  }
+  return deps;
+}
+
+/**
+ * @typedef {Object} ExhaustiveResult
+ * @property {number} total - Count of every valid configuration
+ * @property {Configuration[]} configurations - Best first, at most `limit`
+ * @property {boolean} truncated - True when total exceeds the ranked list
+ */
+
+/**
+ * Enumerate every valid configuration, ranked by quality score.
+ *
+ * Pruning:
+ * - each token's domain is pre-filtered by its static constraints (chroma,
+ *   fixed lightness); an empty domain means no configuration exists
+ * - the remaining tokens only read a few earlier ones (their "frontier"), so
+ *   the count and best completions of each suffix are memoized by the
+ *   frontier colors and shared across every branch that reaches them
+ *
+ * @param {Color[]} colors - Palette colors
+ * @param {'light' | 'dark'} mode
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max configurations kept in the ranking
+ * @param {Object.<string, Color>} [options.locked] - Tokens fixed to a color
+ * @returns {ExhaustiveResult}
+ */
+export function enumerateAllConfigurations(colors, mode, options = {}) {
+  const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+  const limit = options.limit ?? MAX_RANKED_CONFIGURATIONS;
+  const locked = options.locked || {};
+  const scoreItems = getScoreItems(mode);
+
+  const domains = TOKEN_ORDER.map(tokenName =>
+    filterByConstraint(candidatePool(colors, locked, tokenName), constraints[tokenName], {}, true));
+  if (domains.some(domain => domain.length === 0)) {
+    return { total: 0, configurations: [], truncated: false };
+  }
+
+  // frontiers[i]: tokens assigned before index i that tokens i.. still read
+  // Score items read tokens too, so they count as dependencies of their token
+  const dependencies = TOKEN_ORDER.map(tokenName => {
+    const deps = constraintDependencies(constraints[tokenName]);
+    for (const item of scoreItems) {
+      if (item.token === tokenName) item.reads.forEach(read => deps.add(read));
+    }
+    return deps;
+  });
+  const itemsByToken = TOKEN_ORDER.map(tokenName => scoreItems.filter(item => item.token === tokenName));
+  const frontiers = TOKEN_ORDER.map((_, index) => TOKEN_ORDER.slice(0, index).filter(tokenName =>
+    dependencies.slice(index).some(deps => deps.has(tokenName))));
+
+  /**
+   * Completions are linked lists ({ tokenName, color, rest, score }) so that
+   * memoized suffixes can be shared without copying.
+   * @type {Map<string, { count: number, best: Object[] }>}
+   */
+  const memo = new Map();
+  // Palette index identifies a color even when names repeat; a locked color
+  // outside the palette is the only one its token can hold
+  const paletteIndex = new Map(colors.map((color, index) => [color, index]));
+  const colorKey = (color) => paletteIndex.get(color) ?? 'locked';
+  const EMPTY_SUFFIX = { count: 1, best: [{ tokenName: null, color: null, rest: null, score: 0 }] };
+
+  function solve(tokenIndex, assigned) {
+    if (tokenIndex === TOKEN_ORDER.length) return EMPTY_SUFFIX;
+
+    const key = tokenIndex + ':' + frontiers[tokenIndex].map(tokenName => colorKey(assigned[tokenName])).join('|');
+    const cached = memo.get(key);
+    if (cached) return cached;
+
+    const tokenName = TOKEN_ORDER[tokenIndex];
+    const candidates = filterByConstraint(domains[tokenIndex], constraints[tokenName], assigned);
+    const best = [];
+    let count = 0;
+
+    for (const candidate of candidates) {
+      assigned[tokenName] = candidate;
+      const suffix = solve(tokenIndex + 1, assigned);
+      if (suffix.count > 0) {
+        count += suffix.count;
+        const term = itemsByToken[tokenIndex]
+          .reduce((sum, item) => sum + item.weight * item.evaluate(assigned).score, 0);
+        // suffix.best is sorted, so stop at the first completion that can't place
+        for (const rest of suffix.best) {
+          const score = term + rest.score;
+          if (best.length >= limit && score <= best[best.length - 1].score) break;
+          let insertAt = best.findIndex(entry => score > entry.score);
+          if (insertAt === -1) insertAt = best.length;
+          best.splice(insertAt, 0, { tokenName, color: candidate, rest, score });
+          if (best.length > limit) best.pop();
+        }
+      }
+      delete assigned[tokenName];
+    }
+
+    const result = { count, best };
+    memo.set(key, result);
+    return result;
+  }
+
+  const { count, best } = solve(0, {});
+
+  const configurations = best.map(entry => {
+    const tokens = {};
+    for (let node = entry; node.tokenName; node = node.rest) {
+      tokens[node.tokenName] = node.color;
+    }
+    return { tokens, id: generateConfigId(tokens), mode, score: Math.round(entry.score * 1000) / 10 };
+  });
+
+  return { total: count, configurations, truncated: count > configurations.length };
+}
+
 /**
  * Check if a configuration is valid against the full contrast matrix
  * @param {Configuration} config
@@ -201,11 +418,94 @@ export function validateConfiguration(config, mode) {
     for (const req of constraint.contrast || []) {
       const against = config.tokens[req.against];
       if (!against) continue;
-      const ratio = contrastRatio(color.rgb, against.rgb);
-      if (ratio < req.min) return false;
-      if (req.max !== undefined && ratio > req.max) return false;
+      if (!meetsRequirement(color, against, req)) return false;
     }
   }
 
   return true;
 }
+
+/**
+ * @typedef {Object} ContrastFailure
+ * @property {string} token - Foreground token
+ * @property {string} against - Background token
+ * @property {'wcag' | 'apca'} algorithm
+ * @property {number} value - Measured ratio (WCAG) or |Lc| (APCA)
+ * @property {number} min
+ * @property {number} [max]
+ */
+
+/**
+ * @typedef {Object} SchemeViolations
+ * @property {boolean} valid - No check fails
+ * @property {Object.<string, string[]>} failing - Token to labels of its failing checks (failing tokens only)
+ * @property {ContrastFailure[]} contrast - Failing contrast pairs with actual values
+ */
+
+/**
+ * Check a full scheme (e.g. one with manual overrides) against every
+ * constraint, reporting what fails instead of a single boolean. State tokens
+ * present in the scheme are checked against their contrast requirements.
+ * @param {Object.<string, Color>} tokens
+ * @param {'light' | 'dark'} mode
+ * @returns {SchemeViolations}
+ */
+export function findViolations(tokens, mode) {
+  const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+  const failing = {};
+  const contrast = [];
+
+  // States only have contrast requirements
+  const checked = [
+    ...TOKEN_ORDER.map(tokenName => [tokenName, constraints[tokenName], constraintChecks]),
+    ...STATE_ORDER.map(tokenName => [tokenName, STATE_CONSTRAINTS[tokenName], (c, deps) => contrastChecks(c.contrast, deps)])
+  ];
+
+  for (const [tokenName, constraint, buildChecks] of checked) {
+    const color = tokens[tokenName];
+    if (!color) continue;
+
+    const failed = buildChecks(constraint, tokens).filter(check => !check.test(color));
+    if (failed.length > 0) failing[tokenName] = failed.map(check => check.label);
+
+    for (const req of constraint.contrast || []) {
+      const against = tokens[req.against];
+      if (!against || meetsRequirement(color, against, req)) continue;
+      contrast.push({
+        token: tokenName,
+        against: req.against,
+        algorithm: req.algorithm || 'wcag',
+        value: measureContrast(color.rgb, against.rgb, req.algorithm),
+        min: req.min,
+        max: req.max
+      });
+    }
+  }
+
+  return { valid: Object.keys(failing).length === 0, failing, contrast };
+}
+
+/**
+ * Whether a color can go into a scheme slot: the slot's own checks pass and
+ * no token that depends on the slot fails more checks than before
+ * @param {Object.<string, Color>} tokens - Current scheme
+ * @param {'light' | 'dark'} mode
+ * @param {string} tokenName
+ * @param {Color} color
+ * @returns {boolean}
+ */
+export function isLegalAssignment(tokens, mode, tokenName, color) {
+  const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+  const constraint = constraints[tokenName];
+  // Slots outside the constraint set (destructive) accept anything
+  if (!constraint) return true;
+
+  const next = { ...tokens, [tokenName]: color };
+  if (!constraintChecks(constraint, next).every(check => check.test(color))) return false;
+
+  const failCount = (scheme, name) =>
+    constraintChecks(constraints[name], scheme).filter(check => !check.test(scheme[name])).length;
+  return TOKEN_ORDER
+    .filter(name => name !== tokenName && tokens[name] && constraintDependencies(constraints[name]).has(tokenName))
+    .every(name => failCount(next, name) <= failCount(tokens, name));
+}
@@ -0,0 +1,302 @@
+/**
+ * Palette extraction from images
+ *
+ * Clusters an image's pixels with k-means in Oklab, then proposes a palette
+ * that meets the validation bucket minimums: clusters that already fall in a
+ * bucket are taken as they are (most common first), buckets still short get
+ * the cluster that needs the smallest move into them, and the rest of the
+ * palette is filled with the most common remaining clusters.
+ */
+
+import { rgbToOklab, oklabToOklch, oklchToRgb, rgbToOklch, deltaEOK } from './convert.js';
+import { createRandom } from './colors.js';
+import { getValidationBucket, validatePalette } from './validate.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+
+/** k for k-means */
+export const EXTRACT_CLUSTERS = 16;
+
+/** Colors proposed at most (the 12-color guideline) */
+const PALETTE_SIZE = 12;
+
+/** Pixels clustered at most; larger images are sampled on a regular stride */
+const MAX_SAMPLES = 20000;
+
+/** k-means stops after this many rounds even if assignments still change */
+const MAX_ITERATIONS = 20;
+
+/** Pixels more transparent than this are ignored */
+const MIN_ALPHA = 128;
+
+/** Proposals closer than this (deltaEOK) count as the same color */
+const MIN_DISTANCE = 0.03;
+
+/** Colors each bucket needs, from validatePalette's minimums */
+const BUCKET_TARGETS = {
+  darkNeutrals: 2,
+  midNeutrals: 2,
+  lightNeutrals: 2,
+  strongAccents: 1,
+  mutedAccents: 1
+};
+
+/** Lightness and chroma a color is clamped into when moved to a bucket */
+const BUCKET_RANGES = {
+  darkNeutrals: { L: [0.12, 0.32], C: [0, 0.03] },
+  midNeutrals: { L: [0.4, 0.7], C: [0, 0.03] },
+  lightNeutrals: { L: [0.8, 0.97], C: [0, 0.03] },
+  strongAccents: { L: [0.45, 0.75], C: [0.1, 0.3] },
+  mutedAccents: { L: [0.4, 0.8], C: [0.045, 0.075] }
+};
+
+/** Lightness tried when gamut mapping pulls a moved accent out of its bucket */
+const ACCENT_RETRY_L = 0.6;
+
+/** Base names of proposed colors */
+const BUCKET_NAMES = {
+  darkNeutrals: 'dark neutral',
+  midNeutrals: 'mid neutral',
+  lightNeutrals: 'light neutral',
+  strongAccents: 'strong accent',
+  mutedAccents: 'muted accent'
+};
+
+/**
+ * @typedef {Object} ImagePixels
+ * @property {Uint8ClampedArray | number[]} data - RGBA, 4 values per pixel (ImageData layout)
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} Cluster
+ * @property {Color} color - Cluster center
+ * @property {string | null} bucket
+ * @property {number} share - Fraction of sampled pixels
+ * @property {{ x: number, y: number }} sample - Sampled pixel closest to the center
+ */
+
+/**
+ * @typedef {Object} ExtractedColor
+ * @property {Color} color
+ * @property {string} bucket - Validation bucket it counts toward
+ * @property {number} share - Fraction of sampled pixels in its source cluster
+ * @property {{ x: number, y: number }} sample - Where its source cluster was sampled
+ * @property {boolean} adjusted - Moved into its bucket rather than taken as is
+ */
+
+/**
+ * @typedef {Object} Extraction
+ * @property {ExtractedColor[]} colors - Neutrals dark to light, then accents
+ * @property {import('./validate.js').ValidationResult} validation - Of the proposed colors alone
+ * @property {boolean} complete - Every bucket minimum is met (the image may still give fewer than 12 colors)
+ */
+
+/**
+ * Squared Euclidean distance in Oklab
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function distanceSq(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+/**
+ * Palette color from OKLCH, gamut mapped to sRGB
+ * @param {string} name
+ * @param {number[]} oklch
+ * @returns {Color}
+ */
+function makeColor(name, oklch) {
+  const rgb = oklchToRgb(oklch);
+  return { name, rgb, oklch: rgbToOklch(rgb) };
+}
+
+/**
+ * Opaque pixels on a regular stride, with their Oklab values
+ * @param {ImagePixels} image
+ * @returns {{ lab: number[], x: number, y: number }[]}
+ */
+function samplePixels(image) {
+  const { data, width, height } = image;
+  const count = width * height;
+  const step = Math.max(1, Math.ceil(count / MAX_SAMPLES));
+  const samples = [];
+  for (let i = 0; i < count; i += step) {
+    const o = i * 4;
+    if (data[o + 3] < MIN_ALPHA) continue;
+    samples.push({ lab: rgbToOklab([data[o], data[o + 1], data[o + 2]]), x: i % width, y: Math.floor(i / width) });
+  }
+  return samples;
+}
+
+/**
+ * k-means++ starting centers (fewer when the samples have fewer distinct colors)
+ * @param {{ lab: number[] }[]} samples
+ * @param {number} k
+ * @param {() => number} random
+ * @returns {number[][]}
+ */
+function initialCenters(samples, k, random) {
+  const centers = [samples[Math.floor(random() * samples.length)].lab];
+  const nearest = samples.map(s => distanceSq(s.lab, centers[0]));
+  while (centers.length < k) {
+    const total = nearest.reduce((sum, d) => sum + d, 0);
+    if (total === 0) break;
+    let target = random() * total;
+    let index = 0;
+    while (index < samples.length - 1 && target >= nearest[index]) target -= nearest[index++];
+    const center = samples[index].lab;
+    centers.push(center);
+    samples.forEach((s, i) => { nearest[i] = Math.min(nearest[i], distanceSq(s.lab, center)); });
+  }
+  return centers;
+}
+
+/**
+ * Cluster an image's pixels in Oklab
+ * @param {ImagePixels} image
+ * @param {Object} [options]
+ * @param {number} [options.clusters] - k, defaults to EXTRACT_CLUSTERS
+ * @param {number | string} [options.seed] - Makes center initialization reproducible
+ * @returns {Cluster[]} Most common first; empty for a fully transparent image
+ */
+export function clusterPixels(image, options = {}) {
+  const { clusters: k = EXTRACT_CLUSTERS, seed = 0 } = options;
+  const samples = samplePixels(image);
+  if (samples.length === 0) return [];
+
+  let centers = initialCenters(samples, k, createRandom(seed));
+  const assignment = new Array(samples.length).fill(-1);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    samples.forEach((s, i) => {
+      let best = 0;
+      for (let c = 1; c < centers.length; c++) {
+        if (distanceSq(s.lab, centers[c]) < distanceSq(s.lab, centers[best])) best = c;
+      }
+      if (assignment[i] !== best) {
+        assignment[i] = best;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    samples.forEach((s, i) => {
+      const sum = sums[assignment[i]];
+      sum[0] += s.lab[0];
+      sum[1] += s.lab[1];
+      sum[2] += s.lab[2];
+      sum[3]++;
+    });
+    centers = centers.map((center, c) => sums[c][3] > 0 ? sums[c].slice(0, 3).map(v => v / sums[c][3]) : center);
+  }
+
+  const result = centers.map((center, c) => {
+    const members = samples.filter((_, i) => assignment[i] === c);
+    if (members.length === 0) return null;
+    const closest = members.reduce((a, b) => distanceSq(a.lab, center) <= distanceSq(b.lab, center) ? a : b);
+    const color = makeColor('', oklabToOklch(center));
+    return {
+      color,
+      bucket: getValidationBucket(color),
+      share: members.length / samples.length,
+      sample: { x: closest.x, y: closest.y }
+    };
+  }).filter(Boolean);
+
+  return result.sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Ways to move a color into a bucket, hue kept: clamped into the bucket's
+ * lightness and chroma first, then at lightness stops across the bucket so a
+ * second color can be taken from the same cluster
+ * @param {Color} color
+ * @param {string} bucket
+ * @returns {Color[]} Only colors that land in the bucket after gamut mapping
+ */
+function moveIntoBucket(color, bucket) {
+  const { L: [minL, maxL], C: [minC, maxC] } = BUCKET_RANGES[bucket];
+  const [L, C, h] = color.oklch;
+  const chroma = Math.min(maxC, Math.max(minC, C));
+  const lightnesses = [Math.min(maxL, Math.max(minL, L)), minL, (minL + maxL) / 2, maxL, ACCENT_RETRY_L];
+  return lightnesses
+    .map(lightness => makeColor('', [lightness, chroma, h]))
+    .filter(moved => getValidationBucket(moved) === bucket);
+}
+
+/**
+ * Propose a palette from clusters
+ * @param {Cluster[]} clusters - Most common first
+ * @returns {ExtractedColor[]}
+ */
+function proposeColors(clusters) {
+  const proposals = [];
+  const countIn = (bucket) => proposals.filter(p => p.bucket === bucket).length;
+  const isDistinct = (color) => proposals.every(p =>
+    deltaEOK(p.color.oklch, color.oklch) >= MIN_DISTANCE && p.color.rgb.some((v, i) => v !== color.rgb[i]));
+  const propose = (cluster, color, bucket, adjusted) => {
+    proposals.push({ color, bucket, share: cluster.share, sample: cluster.sample, adjusted });
+  };
+
+  // Clusters already in a bucket that is short
+  const used = new Set();
+  for (const [bucket, need] of Object.entries(BUCKET_TARGETS)) {
+    for (const cluster of clusters) {
+      if (countIn(bucket) >= need) break;
+      if (cluster.bucket !== bucket || !isDistinct(cluster.color)) continue;
+      propose(cluster, cluster.color, bucket, false);
+      used.add(cluster);
+    }
+  }
+
+  // The smallest moves that fill the buckets still short
+  for (const [bucket, need] of Object.entries(BUCKET_TARGETS)) {
+    while (countIn(bucket) < need) {
+      const [best] = clusters
+        .flatMap(cluster => moveIntoBucket(cluster.color, bucket).map(color => ({ cluster, color })))
+        .filter(({ color }) => isDistinct(color))
+        .sort((a, b) => deltaEOK(a.cluster.color.oklch, a.color.oklch) - deltaEOK(b.cluster.color.oklch, b.color.oklch));
+      if (!best) break;
+      propose(best.cluster, best.color, bucket, true);
+    }
+  }
+
+  // Most common remaining clusters up to the full palette
+  for (const cluster of clusters) {
+    if (proposals.length >= PALETTE_SIZE) break;
+    if (used.has(cluster) || !cluster.bucket || !isDistinct(cluster.color)) continue;
+    propose(cluster, cluster.color, cluster.bucket, false);
+  }
+
+  return proposals;
+}
+
+/**
+ * Extract a palette proposal from an image
+ * @param {ImagePixels} image
+ * @param {Object} [options] - See clusterPixels
+ * @returns {Extraction}
+ */
+export function extractPalette(image, options = {}) {
+  const proposals = proposeColors(clusterPixels(image, options));
+
+  // Neutrals dark to light, then accents; names numbered within each bucket
+  const order = Object.keys(BUCKET_TARGETS);
+  proposals.sort((a, b) => order.indexOf(a.bucket) - order.indexOf(b.bucket) || a.color.oklch[0] - b.color.oklch[0]);
+  const taken = {};
+  const colors = proposals.map(p => {
+    taken[p.bucket] = (taken[p.bucket] || 0) + 1;
+    const name = taken[p.bucket] === 1 ? BUCKET_NAMES[p.bucket] : `${BUCKET_NAMES[p.bucket]} ${taken[p.bucket]}`;
+    return { ...p, color: { ...p.color, name } };
+  });
+
+  const validation = validatePalette({ colors: colors.map(p => p.color) });
+  const complete = Object.entries(BUCKET_TARGETS).every(([bucket, need]) => validation.counts[bucket] >= need);
+  return { colors, validation, complete };
+}
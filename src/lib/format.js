@@ -28,3 +28,12 @@ export function oklchToString(oklch) {
 export function rgbToHex(rgb) {
   return '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
 }
+
+/**
+ * Convert Display P3 array to CSS color() string
+ * @param {number[]} p3 - [r, g, b] values 0-1
+ * @returns {string}
+ */
+export function p3ToString(p3) {
+  return `color(display-p3 ${p3[0]} ${p3[1]} ${p3[2]})`;
+}
@@ -0,0 +1,159 @@
+/**
+ * Palette edit history
+ *
+ * Every palette mutation is a plain-data command that can be applied and
+ * reverted, so the undo and redo stacks serialize as JSON next to a draft.
+ * Commands never mutate the palette they are given.
+ */
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('../components/palette-bar.js').Palette} Palette */
+
+/**
+ * @typedef {{ type: 'add', index: number, color: Color }
+ *   | { type: 'delete', index: number, color: Color }
+ *   | { type: 'update', index: number, before: Color, after: Color }
+ *   | { type: 'rename', before: { name: string, id: string }, after: { name: string, id: string } }
+ *   | { type: 'replace', before: Palette, after: Palette }
+ *   | { type: 'batch', commands: PaletteCommand[] }} PaletteCommand
+ */
+
+/**
+ * @typedef {Object} History
+ * @property {PaletteCommand[]} undo - Oldest first
+ * @property {PaletteCommand[]} redo - Next to redo last
+ */
+
+/** Commands kept on the undo stack */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * @returns {History}
+ */
+export function createHistory() {
+  return { undo: [], redo: [] };
+}
+
+/**
+ * Whether a stored value is a usable history
+ * @param {unknown} value
+ * @returns {value is History}
+ */
+export function isHistory(value) {
+  return Boolean(value) && Array.isArray(value.undo) && Array.isArray(value.redo);
+}
+
+/**
+ * Copy of a palette with its colors replaced
+ * @param {Palette} palette
+ * @param {(colors: Color[]) => void} edit - Mutates the copied array
+ * @returns {Palette}
+ */
+function withColors(palette, edit) {
+  const colors = [...palette.colors];
+  edit(colors);
+  return { ...palette, colors };
+}
+
+/**
+ * Apply a command to a palette
+ * @param {Palette} palette
+ * @param {PaletteCommand} command
+ * @returns {Palette}
+ */
+export function applyCommand(palette, command) {
+  switch (command.type) {
+    case 'add': return withColors(palette, colors => colors.splice(command.index, 0, command.color));
+    case 'delete': return withColors(palette, colors => colors.splice(command.index, 1));
+    case 'update': return withColors(palette, colors => { colors[command.index] = command.after; });
+    case 'rename': return { ...palette, ...command.after };
+    case 'replace': return command.after;
+    case 'batch': return command.commands.reduce(applyCommand, palette);
+    default: throw new Error(`Unknown palette command: ${command.type}`);
+  }
+}
+
+/**
+ * Undo a command on the palette it was applied to
+ * @param {Palette} palette
+ * @param {PaletteCommand} command
+ * @returns {Palette}
+ */
+export function revertCommand(palette, command) {
+  switch (command.type) {
+    case 'add': return withColors(palette, colors => colors.splice(command.index, 1));
+    case 'delete': return withColors(palette, colors => colors.splice(command.index, 0, command.color));
+    case 'update': return withColors(palette, colors => { colors[command.index] = command.before; });
+    case 'rename': return { ...palette, ...command.before };
+    case 'replace': return command.before;
+    case 'batch': return command.commands.reduceRight(revertCommand, palette);
+    default: throw new Error(`Unknown palette command: ${command.type}`);
+  }
+}
+
+/**
+ * Add an applied command to the history. Clears the redo stack; consecutive
+ * renames merge so typing a name is one step.
+ * @param {History} history
+ * @param {PaletteCommand} command
+ * @returns {History}
+ */
+export function recordCommand(history, command) {
+  const undo = [...history.undo];
+  const last = undo[undo.length - 1];
+  if (command.type === 'rename' && last?.type === 'rename') {
+    undo[undo.length - 1] = { ...command, before: last.before };
+  } else {
+    undo.push(command);
+  }
+  return { undo: undo.slice(-HISTORY_LIMIT), redo: [] };
+}
+
+/**
+ * Undo the latest command
+ * @param {History} history
+ * @param {Palette} palette
+ * @returns {{ history: History, palette: Palette } | null} Null when there is nothing to undo
+ */
+export function undoCommand(history, palette) {
+  const command = history.undo[history.undo.length - 1];
+  if (!command) return null;
+  return {
+    history: { undo: history.undo.slice(0, -1), redo: [...history.redo, command] },
+    palette: revertCommand(palette, command)
+  };
+}
+
+/**
+ * Redo the latest undone command
+ * @param {History} history
+ * @param {Palette} palette
+ * @returns {{ history: History, palette: Palette } | null} Null when there is nothing to redo
+ */
+export function redoCommand(history, palette) {
+  const command = history.redo[history.redo.length - 1];
+  if (!command) return null;
+  return {
+    history: { undo: [...history.undo, command], redo: history.redo.slice(0, -1) },
+    palette: applyCommand(palette, command)
+  };
+}
+
+/**
+ * Short description of a command, e.g. for an undo button tooltip
+ * @param {PaletteCommand} command
+ * @returns {string}
+ */
+export function describeCommand(command) {
+  switch (command.type) {
+    case 'add': return `Add "${command.color.name}"`;
+    case 'delete': return `Delete "${command.color.name}"`;
+    case 'update': return `Edit "${command.after.name}"`;
+    case 'rename': return 'Rename palette';
+    case 'replace': return command.after.colors.length === 0 ? 'Clear palette' : `Load "${command.after.name}"`;
+    case 'batch': return command.commands.every(c => c.type === 'add')
+      ? `Add ${command.commands.length} colors`
+      : `${command.commands.length} changes`;
+    default: return command.type;
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * HTML string helpers shared by the page renderers
+ */
+
+/**
+ * Escape HTML special characters for text and attribute values
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
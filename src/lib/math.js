@@ -68,3 +68,71 @@ export function hueDifference(h1, h2) {
   const diff = Math.abs(h1 - h2);
   return diff > 180 ? 360 - diff : diff;
 }
+
+// APCA 0.0.98G-4g constants (sRGB, W3 silver draft)
+const APCA = {
+  MAIN_TRC: 2.4,
+  R_CO: 0.2126729,
+  G_CO: 0.7151522,
+  B_CO: 0.0721750,
+  NORM_BG: 0.56,
+  NORM_TXT: 0.57,
+  REV_TXT: 0.62,
+  REV_BG: 0.65,
+  BLK_THRS: 0.022,
+  BLK_CLMP: 1.414,
+  SCALE: 1.14,
+  LO_OFFSET: 0.027,
+  LO_CLIP: 0.1,
+  DELTA_Y_MIN: 0.0005
+};
+
+/**
+ * Screen luminance used by APCA (simple 2.4 exponent, soft black clamp)
+ * @param {number[]} rgb - [r, g, b] values 0-255
+ * @returns {number}
+ */
+function apcaLuminance(rgb) {
+  const [r, g, b] = rgb.map(v => Math.pow(v / 255, APCA.MAIN_TRC));
+  const y = APCA.R_CO * r + APCA.G_CO * g + APCA.B_CO * b;
+  return y > APCA.BLK_THRS ? y : y + Math.pow(APCA.BLK_THRS - y, APCA.BLK_CLMP);
+}
+
+/**
+ * Calculate APCA lightness contrast (Lc) of text on a background.
+ * Unlike WCAG 2 the result is not symmetric: positive values are dark text
+ * on a light background, negative values are light text on a dark background.
+ * @param {number[]} textRgb
+ * @param {number[]} bgRgb
+ * @returns {number} Lc, roughly -108 to 106
+ */
+export function apcaContrast(textRgb, bgRgb) {
+  const yText = apcaLuminance(textRgb);
+  const yBg = apcaLuminance(bgRgb);
+
+  if (Math.abs(yBg - yText) < APCA.DELTA_Y_MIN) return 0;
+
+  if (yBg > yText) {
+    // Normal polarity: dark text on light background
+    const sapc = (Math.pow(yBg, APCA.NORM_BG) - Math.pow(yText, APCA.NORM_TXT)) * APCA.SCALE;
+    return sapc < APCA.LO_CLIP ? 0 : (sapc - APCA.LO_OFFSET) * 100;
+  }
+
+  // Reverse polarity: light text on dark background
+  const sapc = (Math.pow(yBg, APCA.REV_BG) - Math.pow(yText, APCA.REV_TXT)) * APCA.SCALE;
+  return sapc > -APCA.LO_CLIP ? 0 : (sapc + APCA.LO_OFFSET) * 100;
+}
+
+/**
+ * Measure contrast with the given algorithm.
+ * WCAG returns the ratio (1 to 21); APCA returns |Lc| so both can be compared
+ * against plain minimum/maximum thresholds.
+ * @param {number[]} fgRgb - Foreground (text) color
+ * @param {number[]} bgRgb - Background color
+ * @param {'wcag' | 'apca'} algorithm
+ * @returns {number}
+ */
+export function measureContrast(fgRgb, bgRgb, algorithm = 'wcag') {
+  if (algorithm === 'apca') return Math.abs(apcaContrast(fgRgb, bgRgb));
+  return contrastRatio(fgRgb, bgRgb);
+}
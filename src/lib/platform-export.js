@@ -0,0 +1,167 @@
+/**
+ * Palette export for code and platforms
+ *
+ * Writes a palette as a Tailwind config, SCSS variables and maps, a typed
+ * TypeScript theme, an Android colors.xml resource or iOS asset catalog
+ * colorsets. Color names become identifiers valid in each target, made
+ * unique with a numeric suffix.
+ */
+
+import { CHROMA } from './colors.js';
+import { rgbToHex } from './format.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('../components/palette-bar.js').Palette} Palette */
+
+/**
+ * Lowercase, dash-separated identifier for a color name
+ * @param {string} name
+ * @returns {string}
+ */
+export function kebabName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Identifier for each color, made unique with a numeric suffix
+ * @param {Color[]} colors
+ * @param {(name: string) => string} toIdentifier
+ * @param {string} [separator]
+ * @returns {string[]}
+ */
+export function uniqueIdentifiers(colors, toIdentifier, separator = '-') {
+  const taken = new Set();
+  return colors.map(c => {
+    const base = toIdentifier(c.name) || 'color';
+    let id = base;
+    for (let i = 2; taken.has(id); i++) id = `${base}${separator}${i}`;
+    taken.add(id);
+    return id;
+  });
+}
+
+/**
+ * Format palette as a Tailwind config module extending theme colors.
+ * Colors are nested under the palette id so they can't replace Tailwind's
+ * own scales (e.g. a color named "red").
+ * @param {Palette} p
+ * @returns {string}
+ */
+export function formatTailwind(p) {
+  const names = uniqueIdentifiers(p.colors, kebabName);
+  const group = kebabName(p.id || p.name) || 'palette';
+  const lines = p.colors.map((c, i) => `          '${names[i]}': '${rgbToHex(c.rgb)}',`);
+
+  return `/** @type {import('tailwindcss').Config} */
+export default {
+  theme: {
+    extend: {
+      colors: {
+        '${group}': {
+${lines.join('\n')}
+        }
+      }
+    }
+  }
+};`;
+}
+
+/**
+ * Format palette as SCSS variables plus maps (all colors, neutrals, accents)
+ * @param {Palette} p
+ * @returns {string}
+ */
+export function formatScss(p) {
+  // Sass identifiers can't start with a digit
+  const names = uniqueIdentifiers(p.colors, name => kebabName(name).replace(/^(\d)/, 'color-$1'));
+  const entries = p.colors.map((c, i) => ({ color: c, name: names[i] }));
+  const map = (mapName, list) => list.length === 0 ? `$${mapName}: ();` : `$${mapName}: (
+${list.map(({ name }) => `  '${name}': $${name},`).join('\n')}
+);`;
+
+  return `${entries.map(({ color, name }) => `$${name}: ${rgbToHex(color.rgb)};`).join('\n')}
+
+${map('palette', entries)}
+
+${map('palette-neutrals', entries.filter(({ color }) => color.oklch[1] < CHROMA.NEUTRAL_MAX))}
+
+${map('palette-accents', entries.filter(({ color }) => color.oklch[1] >= CHROMA.NEUTRAL_MAX))}`;
+}
+
+/**
+ * Format palette as a typed TypeScript theme object
+ * @param {Palette} p
+ * @returns {string}
+ */
+export function formatTypeScript(p) {
+  const toCamel = (name) => kebabName(name).replace(/-([a-z0-9])/g, (_, ch) => ch.toUpperCase()).replace(/^(\d)/, '_$1');
+  const keys = uniqueIdentifiers(p.colors, toCamel, '');
+  const lines = p.colors.map((c, i) => {
+    const p3 = c.p3 ? `, p3: [${c.p3.join(', ')}]` : '';
+    return `    ${keys[i]}: { name: ${JSON.stringify(c.name)}, hex: "${rgbToHex(c.rgb)}", rgb: [${c.rgb.join(', ')}], oklch: [${c.oklch.join(', ')}]${p3} },`;
+  });
+
+  return `export interface ThemeColor {
+  name: string;
+  hex: string;
+  rgb: readonly [number, number, number];
+  oklch: readonly [number, number, number];
+  p3?: readonly [number, number, number];
+}
+
+export const theme = {
+  id: ${JSON.stringify(p.id)},
+  name: ${JSON.stringify(p.name)},
+  colors: {
+${lines.join('\n')}
+  }
+} as const satisfies { id: string; name: string; colors: Record<string, ThemeColor> };
+
+export type ThemeColorName = keyof typeof theme.colors;`;
+}
+
+/**
+ * Format palette as an Android colors.xml resource file
+ * @param {Palette} p
+ * @returns {string}
+ */
+export function formatAndroidXml(p) {
+  const toResource = (name) => kebabName(name).replace(/-/g, '_').replace(/^(\d)/, 'color_$1');
+  const names = uniqueIdentifiers(p.colors, toResource, '_');
+  const xmlComment = (text) => text.replace(/-(?=-)/g, '- ');
+  const lines = p.colors.map((c, i) =>
+    `    <!-- ${xmlComment(c.name)} -->\n    <color name="${names[i]}">${rgbToHex(c.rgb).toUpperCase()}</color>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+${lines.join('\n')}
+</resources>`;
+}
+
+/**
+ * Format palette as iOS asset catalog colorsets. Xcode wants one
+ * Contents.json per colorset folder, so the output maps each file path
+ * in the catalog to its contents.
+ * @param {Palette} p
+ * @returns {string}
+ */
+export function formatIosAssetCatalog(p) {
+  const toAsset = (name) => kebabName(name).split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+  const names = uniqueIdentifiers(p.colors, toAsset, '');
+  const info = { author: 'xcode', version: 1 };
+  const hexComponent = (v) => '0x' + v.toString(16).toUpperCase().padStart(2, '0');
+
+  const files = { 'Colors.xcassets/Contents.json': { info } };
+  p.colors.forEach((c, i) => {
+    // Wide-gamut colors keep their Display P3 value
+    const color = c.p3
+      ? { 'color-space': 'display-p3', components: { red: c.p3[0].toFixed(3), green: c.p3[1].toFixed(3), blue: c.p3[2].toFixed(3), alpha: '1.000' } }
+      : { 'color-space': 'srgb', components: { red: hexComponent(c.rgb[0]), green: hexComponent(c.rgb[1]), blue: hexComponent(c.rgb[2]), alpha: '1.000' } };
+    files[`Colors.xcassets/${names[i]}.colorset/Contents.json`] = {
+      colors: [{ idiom: 'universal', color }],
+      info
+    };
+  });
+
+  return JSON.stringify(files, null, 2);
+}
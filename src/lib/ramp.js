@@ -0,0 +1,135 @@
+/**
+ * Tonal ramps
+ *
+ * Turns one palette color into an 11-step scale (50-950) for component
+ * libraries: OKLCH lightness stepped from near-white to near-black, hue
+ * kept, source chroma reduced only as far as needed for a step to fit sRGB.
+ * Every step is labelled with its WCAG contrast against white and black.
+ */
+
+import { oklchToRgb, rgbToOklch, isInGamut } from './convert.js';
+import { contrastRatio } from './math.js';
+import { WCAG_LEVELS } from './contrast-matrix.js';
+import { rgbToHex } from './format.js';
+import { kebabName, uniqueIdentifiers } from './platform-export.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('../components/palette-bar.js').Palette} Palette */
+
+/** Scale steps, lightest first */
+export const RAMP_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+/** OKLCH lightness of each step */
+export const RAMP_LIGHTNESS = {
+  50: 0.97,
+  100: 0.93,
+  200: 0.87,
+  300: 0.79,
+  400: 0.70,
+  500: 0.62,
+  600: 0.54,
+  700: 0.46,
+  800: 0.38,
+  900: 0.30,
+  950: 0.22
+};
+
+/** Binary search iterations for the largest in-gamut chroma */
+const CHROMA_SEARCH_STEPS = 20;
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+/** @typedef {'AAA' | 'AA' | 'AA Large' | 'Fail'} WcagLabel */
+
+/**
+ * @typedef {Object} RampStep
+ * @property {number} step - 50 … 950
+ * @property {Color} color
+ * @property {boolean} chromaReduced - Source chroma didn't fit sRGB at this lightness
+ * @property {{ white: number, black: number }} contrast - WCAG ratios
+ * @property {{ white: WcagLabel, black: WcagLabel }} wcag - Best level reached as text color
+ */
+
+/**
+ * @typedef {Object} Ramp
+ * @property {Color} source
+ * @property {RampStep[]} steps - Lightest first
+ * @property {number} anchor - Step whose lightness is closest to the source
+ */
+
+/**
+ * Highest WCAG level a contrast ratio reaches for text
+ * @param {number} ratio
+ * @returns {WcagLabel}
+ */
+export function wcagLabel(ratio) {
+  if (ratio >= WCAG_LEVELS.aaa) return 'AAA';
+  if (ratio >= WCAG_LEVELS.aa) return 'AA';
+  if (ratio >= WCAG_LEVELS.large) return 'AA Large';
+  return 'Fail';
+}
+
+/**
+ * Largest chroma up to the requested one that fits sRGB at a lightness and
+ * hue. Unlike CSS gamut mapping there is no final clip, so the hue can't drift.
+ * @param {number} L
+ * @param {number} C
+ * @param {number} h
+ * @returns {number}
+ */
+function fitChroma(L, C, h) {
+  if (isInGamut([L, C, h], 'srgb')) return C;
+  let lo = 0;
+  let hi = C;
+  for (let i = 0; i < CHROMA_SEARCH_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (isInGamut([L, mid, h], 'srgb')) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Generate the tonal ramp of a color
+ * @param {Color} color
+ * @returns {Ramp}
+ */
+export function generateRamp(color) {
+  const [sourceL, C, h] = color.oklch;
+
+  const steps = RAMP_STEPS.map(step => {
+    const L = RAMP_LIGHTNESS[step];
+    const chroma = fitChroma(L, C, h);
+    const rgb = oklchToRgb([L, chroma, h]);
+    const white = contrastRatio(rgb, WHITE);
+    const black = contrastRatio(rgb, BLACK);
+    return {
+      step,
+      color: { name: `${color.name} ${step}`, rgb, oklch: rgbToOklch(rgb) },
+      chromaReduced: chroma < C,
+      contrast: { white, black },
+      wcag: { white: wcagLabel(white), black: wcagLabel(black) }
+    };
+  });
+
+  const anchor = RAMP_STEPS.reduce((best, step) =>
+    Math.abs(RAMP_LIGHTNESS[step] - sourceL) < Math.abs(RAMP_LIGHTNESS[best] - sourceL) ? step : best);
+
+  return { source: color, steps, anchor };
+}
+
+/**
+ * Format the tonal ramp of every color as CSS hex variables, each step
+ * commented with its WCAG contrast against white and black
+ * @param {Palette} p
+ * @returns {string}
+ */
+export function formatRampsCss(p) {
+  const names = uniqueIdentifiers(p.colors, kebabName);
+  return p.colors.map((c, i) => {
+    const lines = generateRamp(c).steps.map(({ step, color, contrast, wcag }) =>
+      `--${names[i]}-${step}: ${rgbToHex(color.rgb)}; /* white ${contrast.white.toFixed(2)} ${wcag.white}, black ${contrast.black.toFixed(2)} ${wcag.black} */`);
+    return `/* ${c.name.replace(/\*\//g, '* /')} */\n${lines.join('\n')}`;
+  }).join('\n\n');
+}
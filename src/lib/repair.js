@@ -0,0 +1,201 @@
+/**
+ * Palette auto-repair
+ *
+ * Proposes concrete colors for an incomplete palette: first one per missing
+ * validation bucket (tinted toward the palette's own hues in OKLCH), then
+ * whatever the diagnostics say is needed until at least one canonical
+ * configuration exists in both light and dark mode.
+ */
+
+import { oklchToRgb, rgbToOklch } from './convert.js';
+import { CHROMA, getTone, getChromaClass } from './colors.js';
+import { validatePalette, getValidationSummary } from './validate.js';
+import { diagnoseConfigurations } from './diagnose.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('../components/palette-bar.js').Palette} Palette */
+/** @typedef {import('./validate.js').ValidationResult} ValidationResult */
+
+/** Hue used when the palette has no chromatic colors at all */
+const FALLBACK_HUE = 250;
+
+/** Chroma of the tint given to suggested neutrals (well under CHROMA.NEUTRAL_MAX) */
+const NEUTRAL_TINT = 0.012;
+
+/** Lightness ranges to place suggested neutrals in, inside each tone bucket */
+const NEUTRAL_LIGHTNESS = {
+  dark: { min: 0.14, max: 0.30 },
+  mid: { min: 0.42, max: 0.68 },
+  light: { min: 0.82, max: 0.97 }
+};
+
+/** Target OKLCH lightness/chroma for suggested accents */
+const STRONG_ACCENT = { L: 0.6, C: 0.15 };
+const MUTED_ACCENT = { L: 0.55, C: 0.06 };
+
+/** Hue offsets for filler accents when only the total count is short */
+const FILLER_HUE_OFFSETS = [30, -30, 60, -60, 180];
+
+/** Diagnostic suggestions tried per mode before giving up */
+const MAX_UNLOCK_STEPS = 12;
+
+/**
+ * @typedef {Object} RepairSuggestion
+ * @property {Color} color - Suggested color, ready to add
+ * @property {'darkNeutrals' | 'midNeutrals' | 'lightNeutrals' | 'strongAccents' | 'mutedAccents' | 'total' | 'scheme'} bucket
+ * @property {string} reason - Why it is suggested
+ */
+
+/**
+ * @typedef {Object} RepairPlan
+ * @property {RepairSuggestion[]} suggestions - In the order they should be added
+ * @property {boolean} complete - Whether palette + suggestions validates and
+ *   has canonical configurations in both modes
+ */
+
+/**
+ * Chroma-weighted circular mean hue of the palette's chromatic colors
+ * @param {Color[]} colors
+ * @returns {number | null} Hue in degrees, null when every color is gray
+ */
+function dominantHue(colors) {
+  let x = 0;
+  let y = 0;
+  for (const color of colors) {
+    const [, C, h] = color.oklch;
+    if (C < 0.005) continue;
+    x += C * Math.cos(h * Math.PI / 180);
+    y += C * Math.sin(h * Math.PI / 180);
+  }
+  if (Math.hypot(x, y) < 1e-6) return null;
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Build a palette color from OKLCH, gamut mapped to sRGB
+ * @param {string} name
+ * @param {number[]} oklch
+ * @returns {Color}
+ */
+function makeColor(name, oklch) {
+  const rgb = oklchToRgb(oklch);
+  return { name, rgb, oklch: rgbToOklch(rgb) };
+}
+
+/**
+ * Append " 2", " 3", ... until the name is unused
+ * @param {string} base
+ * @param {Color[]} colors
+ * @returns {string}
+ */
+function uniqueName(base, colors) {
+  const taken = new Set(colors.map(c => c.name));
+  let name = base;
+  for (let i = 2; taken.has(name); i++) name = `${base} ${i}`;
+  return name;
+}
+
+/**
+ * Lightness in a range farthest from every existing color's lightness
+ * @param {{ min: number, max: number }} range
+ * @param {Color[]} colors
+ * @returns {number}
+ */
+function spacedLightness(range, colors) {
+  const existing = colors.map(c => c.oklch[0]);
+  let best = (range.min + range.max) / 2;
+  let bestGap = -1;
+  for (let L = range.min; L <= range.max + 1e-9; L += 0.01) {
+    const gap = existing.length > 0 ? Math.min(...existing.map(e => Math.abs(e - L))) : Infinity;
+    if (gap > bestGap) {
+      best = L;
+      bestGap = gap;
+    }
+  }
+  return Math.round(best * 100) / 100;
+}
+
+/**
+ * Whether an identical sRGB color is already present
+ * @param {Color} color
+ * @param {Color[]} colors
+ * @returns {boolean}
+ */
+function isDuplicate(color, colors) {
+  return colors.some(c => c.rgb.every((v, i) => v === color.rgb[i]));
+}
+
+/**
+ * Propose colors that complete a palette
+ * @param {Palette} palette
+ * @param {ValidationResult} validation - Result of validatePalette(palette)
+ * @returns {RepairPlan}
+ */
+export function suggestRepairs(palette, validation) {
+  const working = [...(palette.colors || [])];
+  const suggestions = [];
+  const summary = getValidationSummary(validation);
+
+  const hue = dominantHue(working);
+  const accentHue = dominantHue(working.filter(c => c.oklch[1] >= CHROMA.NEUTRAL_MAX)) ?? hue ?? FALLBACK_HUE;
+  const tint = hue === null ? 0 : NEUTRAL_TINT;
+
+  const suggest = (color, bucket, reason) => {
+    // Nudge lightness apart from an existing identical color
+    for (let step = 1; isDuplicate(color, working) && step < 10; step++) {
+      const [L, C, h] = color.oklch;
+      color = makeColor(color.name, [Math.min(1, L + 0.01 * step), C, h]);
+    }
+    working.push(color);
+    suggestions.push({ color, bucket, reason });
+  };
+
+  // Missing validation buckets
+  for (const tone of ['dark', 'mid', 'light']) {
+    const { have, need } = summary.neutrals[tone];
+    for (let i = have; i < need; i++) {
+      const neutrals = working.filter(c => getChromaClass(c.oklch[1]) === 'neutral');
+      const L = spacedLightness(NEUTRAL_LIGHTNESS[tone], neutrals);
+      const color = makeColor(uniqueName(`${tone} neutral`, working), [L, tint, hue ?? 0]);
+      if (getTone(color.oklch[0]) !== tone) continue;
+      suggest(color, `${tone}Neutrals`, `Need ${need} ${tone} neutrals, have ${have}`);
+    }
+  }
+
+  const { strong, muted } = summary.accents;
+  for (let i = strong.have; i < strong.need; i++) {
+    const color = makeColor(uniqueName('strong accent', working), [STRONG_ACCENT.L, STRONG_ACCENT.C, accentHue]);
+    suggest(color, 'strongAccents', `Need ${strong.need} strong accent, have ${strong.have}`);
+  }
+  for (let i = muted.have; i < muted.need; i++) {
+    // Analogous to the main accent so the pair reads as one family
+    const color = makeColor(uniqueName('muted accent', working), [MUTED_ACCENT.L, MUTED_ACCENT.C, (accentHue + 30) % 360]);
+    suggest(color, 'mutedAccents', `Recommend ${muted.need} muted accent, have ${muted.have}`);
+  }
+
+  for (let i = 0; working.length < summary.total.need && i < FILLER_HUE_OFFSETS.length; i++) {
+    const h = (accentHue + FILLER_HUE_OFFSETS[i] + 360) % 360;
+    const color = makeColor(uniqueName('accent', working), [MUTED_ACCENT.L, 0.1, h]);
+    suggest(color, 'total', `Need ${summary.total.need} colors, have ${summary.total.have}`);
+  }
+
+  // Unlock canonical configurations in both modes
+  const configCounts = {};
+  for (const mode of ['light', 'dark']) {
+    for (let step = 0; step <= MAX_UNLOCK_STEPS; step++) {
+      const diagnosis = diagnoseConfigurations(working, mode);
+      configCounts[mode] = diagnosis.configCount;
+      if (diagnosis.configCount > 0 || !diagnosis.suggestion || step === MAX_UNLOCK_STEPS) break;
+
+      const { role, color, message } = diagnosis.suggestion;
+      if (isDuplicate(color, working)) break;
+      suggest({ ...color, name: uniqueName(`${mode} ${role}`, working) }, 'scheme', message);
+    }
+  }
+
+  // Adding colors never removes configurations, so light mode's count still holds
+  const complete = validatePalette({ ...palette, colors: working }).valid &&
+    configCounts.light > 0 && configCounts.dark > 0;
+
+  return { suggestions, complete };
+}
@@ -5,9 +5,11 @@
  * contrast/lightness rules defined in constraints.js.
  */
 
-import { classifyPalette } from '../colors.js';
-import { enumerateConfigurations } from '../enumerate.js';
-import { pickDestructiveColor } from './playful.js';
+import { classifyPalette, createRandom, hashPalette } from '../colors.js';
+import { enumerateConfigurations, enumerateAllConfigurations } from '../enumerate.js';
+import { pickDestructiveColor, pickStatusTokens } from './playful.js';
+import { deriveStateTokens } from './states.js';
+import { scoreScheme, attachScore } from '../score.js';
 
 /** @typedef {import('../../components/palette-bar.js').Color} Color */
 /** @typedef {import('./playful.js').ColorScheme} ColorScheme */
@@ -16,57 +18,127 @@ import { pickDestructiveColor } from './playful.js';
 let configCache = {
   paletteHash: null,
   mode: null,
+  seed: undefined,
   configurations: []
 };
 
 /**
- * Hash palette by color names for cache invalidation
+ * Cache for the exhaustive, ranked enumeration, keyed by palette, locks and
+ * mode so callers alternating between modes don't re-enumerate
+ * @type {Map<string, import('../enumerate.js').ExhaustiveResult>}
+ */
+const rankedCache = new Map();
+
+/** Ranked enumerations kept at most; the oldest is dropped first */
+const MAX_RANKED_CACHE_ENTRIES = 8;
+
+/** Configurations per page in ranked listings */
+const DEFAULT_PAGE_SIZE = 6;
+
+/**
+ * Hash locked tokens for cache invalidation, by palette index so same-named
+ * colors stay apart (by value for colors outside the palette)
  * @param {Color[]} colors
+ * @param {Object.<string, Color>} [locked]
  * @returns {string}
  */
-function hashPalette(colors) {
-  return colors.map(c => c.name).sort().join(',');
+function hashLocks(colors, locked = {}) {
+  return Object.entries(locked).map(([token, color]) => {
+    const index = colors.indexOf(color);
+    return `${token}:${index === -1 ? color.rgb.join('/') : index}`;
+  }).sort().join(',');
 }
 
 /**
  * Get all valid constrained configurations for a palette
  * @param {Color[]} colors
  * @param {'light' | 'dark'} mode
+ * @param {import('../enumerate.js').EnumerateOptions} [options]
  * @returns {import('../enumerate.js').Configuration[]}
  */
-export function getValidConfigurations(colors, mode) {
-  const hash = hashPalette(colors);
+export function getValidConfigurations(colors, mode, options = {}) {
+  const hash = hashPalette(colors) + '|' + hashLocks(colors, options.locked);
 
-  if (configCache.paletteHash !== hash || configCache.mode !== mode) {
+  if (configCache.paletteHash !== hash || configCache.mode !== mode || configCache.seed !== options.seed) {
     configCache.paletteHash = hash;
     configCache.mode = mode;
-    configCache.configurations = enumerateConfigurations(colors, mode);
+    configCache.seed = options.seed;
+    configCache.configurations = enumerateConfigurations(colors, mode, options);
   }
 
   return configCache.configurations;
 }
 
 /**
- * Clear the configuration cache (call when palette changes)
+ * @typedef {Object} RankedPage
+ * @property {import('../enumerate.js').Configuration[]} configurations - This page, best first
+ * @property {number} total - Count of every valid configuration
+ * @property {number} ranked - Count of configurations kept in the ranking
+ * @property {boolean} truncated - True when total exceeds the ranked configurations
+ * @property {number} page - Zero-based page index (clamped)
+ * @property {number} pageCount - Pages available in the ranking
+ * @property {number} offset - Rank of the first configuration on this page, zero-based
+ */
+
+/**
+ * Get one page of all valid configurations, ranked by quality score
+ * @param {Color[]} colors
+ * @param {'light' | 'dark'} mode
+ * @param {{ page?: number, pageSize?: number, locked?: Object.<string, Color> }} [options]
+ * @returns {RankedPage}
+ */
+export function getRankedConfigurations(colors, mode, options = {}) {
+  const key = `${hashPalette(colors)}|${hashLocks(colors, options.locked)}:${mode}`;
+  const pageSize = options.pageSize ?? DEFAULT_PAGE_SIZE;
+
+  if (!rankedCache.has(key)) {
+    if (rankedCache.size >= MAX_RANKED_CACHE_ENTRIES) rankedCache.delete(rankedCache.keys().next().value);
+    rankedCache.set(key, enumerateAllConfigurations(colors, mode, { locked: options.locked }));
+  }
+
+  const { total, truncated, configurations } = rankedCache.get(key);
+  const pageCount = Math.max(1, Math.ceil(configurations.length / pageSize));
+  const page = Math.min(Math.max(0, options.page ?? 0), pageCount - 1);
+  const offset = page * pageSize;
+
+  return {
+    configurations: configurations.slice(offset, offset + pageSize),
+    total,
+    ranked: configurations.length,
+    truncated,
+    page,
+    pageCount,
+    offset
+  };
+}
+
+/**
+ * Clear the configuration caches (call when palette changes)
  */
 export function clearConfigCache() {
   configCache.paletteHash = null;
   configCache.mode = null;
+  configCache.seed = undefined;
   configCache.configurations = [];
+  rankedCache.clear();
 }
 
 /**
  * Generate scheme from a specific configuration
  * @param {import('../enumerate.js').Configuration} config
- * @param {Color[]} colors - For destructive color fallback
+ * @param {Color[]} colors - For destructive and status color picks
+ * @param {import('./playful.js').GenerateOptions} [options]
  * @returns {ColorScheme}
  */
-export function applyConfiguration(config, colors) {
+export function applyConfiguration(config, colors, options = {}) {
   const classified = classifyPalette(colors);
-  return {
+  const random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+  const tokens = {
     ...config.tokens,
-    destructive: pickDestructiveColor(classified)
+    destructive: options.locked?.destructive || pickDestructiveColor(classified, random)
   };
+  const status = pickStatusTokens(classified, tokens, random, options.locked);
+  return attachScore({ ...tokens, ...status, ...deriveStateTokens(tokens) }, scoreScheme(config.tokens, config.mode));
 }
 
 /**
@@ -80,9 +152,9 @@ export function applyConfiguration(config, colors) {
  * @returns {{ valid: boolean, configCount: number }}
  */
 export function validatePaletteForScheme(colors, mode) {
-  const configs = getValidConfigurations(colors, mode);
+  const { total } = getRankedConfigurations(colors, mode);
   return {
-    valid: configs.length > 0,
-    configCount: configs.length
+    valid: total > 0,
+    configCount: total
   };
 }
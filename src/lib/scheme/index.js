@@ -25,22 +25,31 @@
  *
  * Status:
  *   - destructive: Error/danger actions (always present, uses global default if palette lacks candidate)
+ *   - success / warning / info: Same, from greens / ambers / blues, each with
+ *     textOnSuccess / textOnWarning / textOnInfo at 4.5:1+
+ *
+ * Derived states (not picked from the palette, see states.js):
+ *   - accentSolidHover / accentSolidActive, destructiveHover / destructiveActive
+ *   - accentSoftHover, focusRing, disabledBg, disabledText
  *
  * GENERATION MODES
  * ----------------
  * - Canonical: Uses constraint-based enumeration (enumerateConfigurations)
  *   Only produces schemes that satisfy all contrast/lightness rules.
+ *   getRankedConfigurations pages through every valid configuration, best first.
  *
  * - Playful: Uses heuristic-based generation (generateScheme)
  *   May produce suboptimal combinations for exploration.
  */
 
-export { generateScheme } from './playful.js';
+export { generateScheme, DEFAULT_DESTRUCTIVE, DEFAULT_STATUS, DEFAULT_STATUS_TEXT, STATUS_TOKENS } from './playful.js';
 export {
   getValidConfigurations,
+  getRankedConfigurations,
   clearConfigCache,
   applyConfiguration,
   validatePaletteForScheme
 } from './canonical.js';
+export { deriveStateTokens, findStateViolations } from './states.js';
 
 /** @typedef {import('./playful.js').ColorScheme} ColorScheme */
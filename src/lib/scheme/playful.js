@@ -15,12 +15,18 @@ import {
   sortByLightness,
   sortByChroma,
   pickRandom,
-  pickBorderColor
+  pickBorderColor,
+  pickStatusColor,
+  pickStatusText,
+  createRandom
 } from '../colors.js';
 import { hueDifference } from '../math.js';
+import { scoreScheme, attachScore } from '../score.js';
+import { deriveStateTokens } from './states.js';
 
 /** @typedef {import('../../components/palette-bar.js').Color} Color */
 /** @typedef {import('../colors.js').ClassifiedPalette} ClassifiedPalette */
+/** @typedef {import('../colors.js').RandomFn} RandomFn */
 
 /**
  * @typedef {Object} ColorScheme
@@ -35,35 +41,64 @@ import { hueDifference } from '../math.js';
  * @property {Color} accentSoft
  * @property {Color} textOnAccent
  * @property {Color} destructive
+ * @property {Color} success
+ * @property {Color} warning
+ * @property {Color} info
+ * @property {Color} textOnSuccess - Meets STATUS_TEXT_CONTRAST on success
+ * @property {Color} textOnWarning
+ * @property {Color} textOnInfo
+ * @property {Color} accentSolidHover - Derived state tokens, see states.js
+ * @property {Color} accentSolidActive
+ * @property {Color} accentSoftHover
+ * @property {Color} destructiveHover
+ * @property {Color} destructiveActive
+ * @property {Color} focusRing
+ * @property {Color} disabledBg
+ * @property {Color} disabledText
+ * @property {import('../score.js').SchemeScore} score - Quality breakdown (not a token, so not enumerable)
+ */
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {number | string} [seed] - Reproduces the same scheme for the same palette
+ * @property {Object.<string, Color>} [locked] - Tokens fixed to a color; the
+ *   rest are picked around them
  */
 
 /**
  * Generate a color scheme from palette colors
  * @param {Color[]} colors
  * @param {'light' | 'dark'} mode
+ * @param {GenerateOptions} [options]
  * @returns {ColorScheme}
  */
-export function generateScheme(colors, mode) {
+export function generateScheme(colors, mode, options = {}) {
   const classified = classifyPalette(colors);
+  const random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
 
-  if (mode === 'dark') {
-    return generateDarkScheme(classified);
-  } else {
-    return generateLightScheme(classified);
-  }
+  const locked = options.locked || {};
+
+  const scheme = mode === 'dark'
+    ? generateDarkScheme(classified, random, locked)
+    : generateLightScheme(classified, random, locked);
+
+  const status = pickStatusTokens(classified, scheme, random, locked);
+  return attachScore({ ...scheme, ...status, ...deriveStateTokens(scheme) }, scoreScheme(scheme, mode));
 }
 
 /**
  * Generate dark theme scheme
  * @param {ClassifiedPalette} p
- * @returns {ColorScheme}
+ * @param {RandomFn} random
+ * @param {Object.<string, Color>} locked - Tokens that are not picked
+ * @returns {Omit<ColorScheme, 'score'>}
  */
-function generateDarkScheme(p) {
+function generateDarkScheme(p, random, locked) {
   // Background: darkest neutral, or darkest color overall
   const bgCandidates = p.darkNeutrals.length > 0
     ? p.darkNeutrals
     : sortByLightness(p.all, 'asc').slice(0, 3);
-  const bgApp = pickRandom(bgCandidates) || p.all[0];
+  const bgApp = locked.bgApp || pickRandom(bgCandidates, random) || p.all[0];
   const bgL = bgApp.oklch[0];
 
   // Surface: neutral slightly lighter than bg
@@ -72,7 +107,7 @@ function generateDarkScheme(p) {
     bgL + 0.06,
     bgL + 0.16
   );
-  const bgSurface = pickRandom(surfaceCandidates)
+  const bgSurface = locked.bgSurface || pickRandom(surfaceCandidates, random)
     || findClosestByLightness([...p.darkNeutrals, ...p.midNeutrals, ...p.all], bgL + 0.10)
     || bgApp;
   const surfaceL = bgSurface.oklch[0];
@@ -83,7 +118,7 @@ function generateDarkScheme(p) {
     surfaceL + 0.06,
     surfaceL + 0.16
   );
-  const bgElevated = pickRandom(elevatedCandidates)
+  const bgElevated = locked.bgElevated || pickRandom(elevatedCandidates, random)
     || findClosestByLightness([...p.midNeutrals, ...p.all], surfaceL + 0.10)
     || bgSurface;
 
@@ -91,7 +126,7 @@ function generateDarkScheme(p) {
   const textCandidates = filterByLightness(p.all, 0.80, 1.0)
     .filter(c => Math.abs(c.oklch[0] - bgL) >= 0.40);
   const textWithContrast = filterByContrast(textCandidates, bgApp, 4.5);
-  let textPrimary = pickRandom(textWithContrast.length > 0 ? textWithContrast : textCandidates);
+  let textPrimary = locked.textPrimary || pickRandom(textWithContrast.length > 0 ? textWithContrast : textCandidates, random);
   if (!textPrimary) {
     // Fallback: find any light color with at least 3:1 contrast
     const fallbackText = filterByContrast(
@@ -99,13 +134,13 @@ function generateDarkScheme(p) {
       bgApp,
       3.0
     );
-    textPrimary = pickRandom(fallbackText) || sortByLightness(p.all, 'desc')[0] || p.all[p.all.length - 1];
+    textPrimary = pickRandom(fallbackText, random) || sortByLightness(p.all, 'desc')[0] || p.all[p.all.length - 1];
   }
 
   // Text muted: between bg and text
   const mutedCandidates = filterByLightness(p.all, bgL + 0.20, textPrimary.oklch[0] - 0.10);
   const mutedWithContrast = filterByContrast(mutedCandidates, bgApp, 3.0);
-  const textMuted = pickRandom(mutedWithContrast.length > 0 ? mutedWithContrast : mutedCandidates)
+  const textMuted = locked.textMuted || pickRandom(mutedWithContrast.length > 0 ? mutedWithContrast : mutedCandidates, random)
     || findClosestByLightness(p.all, (bgL + textPrimary.oklch[0]) / 2)
     || textPrimary;
 
@@ -115,10 +150,11 @@ function generateDarkScheme(p) {
     ...p.midNeutrals, ...p.lightNeutrals,
     ...p.midMuted, ...p.lightMuted
   ].filter(c => c.oklch[0] >= TONE.DARK_MAX);
-  const borderSubtle = pickBorderColor(bgApp, subtleCandidates, {
+  const borderSubtle = locked.borderSubtle || pickBorderColor(bgApp, subtleCandidates, {
     minRatio: 1.5,
     maxRatio: 3.0,
-    targetRatio: 2.0
+    targetRatio: 2.0,
+    random
   }) || findClosestByLightness(p.all.filter(c => c.oklch[0] >= TONE.DARK_MAX), 0.45) // 0.45 = midpoint target
      || bgSurface;
 
@@ -128,10 +164,11 @@ function generateDarkScheme(p) {
     ...p.midNeutrals, ...p.lightNeutrals,
     ...p.midMuted, ...p.lightMuted
   ].filter(c => c.oklch[0] >= 0.45);
-  const borderStrong = pickBorderColor(bgApp, strongCandidates, {
+  const borderStrong = locked.borderStrong || pickBorderColor(bgApp, strongCandidates, {
     minRatio: 3.0,
     maxRatio: 7.0,
-    targetRatio: 4.0
+    targetRatio: 4.0,
+    random
   }) || findClosestByLightness(p.all.filter(c => c.oklch[0] >= 0.45), 0.55)
      || bgElevated;
 
@@ -139,7 +176,7 @@ function generateDarkScheme(p) {
   const accentCandidates = [...p.midVivid, ...p.darkVivid, ...p.lightVivid]
     .filter(c => Math.abs(c.oklch[0] - bgL) >= 0.15)
     .filter(c => hueDifference(c.oklch[2], bgApp.oklch[2]) > 15);
-  let accentSolid = pickRandom(accentCandidates);
+  let accentSolid = locked.accentSolid || pickRandom(accentCandidates, random);
   if (!accentSolid) {
     // Fallback: any high-chroma color
     const chromaSorted = sortByChroma(p.all, 'desc');
@@ -149,8 +186,8 @@ function generateDarkScheme(p) {
   // Accent soft: muted color with similar hue
   const softCandidates = [...p.midMuted, ...p.lightMuted, ...p.darkMuted]
     .filter(c => hueDifference(c.oklch[2], accentSolid.oklch[2]) < 30);
-  const accentSoft = pickRandom(softCandidates)
-    || pickRandom([...p.midMuted, ...p.lightMuted])
+  const accentSoft = locked.accentSoft || pickRandom(softCandidates, random)
+    || pickRandom([...p.midMuted, ...p.lightMuted], random)
     || findClosestByLightness(p.all, 0.5)
     || accentSolid;
 
@@ -167,11 +204,11 @@ function generateDarkScheme(p) {
       .filter(c => c.oklch[0] <= 0.25);
   }
   const textOnAccentWithContrast = filterByContrast(textOnAccentCandidates, accentSolid, 4.5);
-  const textOnAccent = pickRandom(textOnAccentWithContrast.length > 0 ? textOnAccentWithContrast : textOnAccentCandidates)
+  const textOnAccent = locked.textOnAccent || pickRandom(textOnAccentWithContrast.length > 0 ? textOnAccentWithContrast : textOnAccentCandidates, random)
     || textPrimary;
 
   // Destructive color
-  const destructive = pickDestructiveColor(p);
+  const destructive = locked.destructive || pickDestructiveColor(p, random);
 
   return {
     bgApp,
@@ -191,15 +228,17 @@ function generateDarkScheme(p) {
 /**
  * Generate light theme scheme
  * @param {ClassifiedPalette} p
- * @returns {ColorScheme}
+ * @param {RandomFn} random
+ * @param {Object.<string, Color>} locked - Tokens that are not picked
+ * @returns {Omit<ColorScheme, 'score'>}
  */
-function generateLightScheme(p) {
+function generateLightScheme(p, random, locked) {
   // Background: lightest neutral (L >= 0.90)
   const bgCandidates = filterByLightness(p.lightNeutrals, 0.90, 1.0);
   const bgFallback = bgCandidates.length > 0
     ? bgCandidates
     : sortByLightness(p.all, 'desc').slice(0, 3);
-  const bgApp = pickRandom(bgFallback) || p.all[p.all.length - 1];
+  const bgApp = locked.bgApp || pickRandom(bgFallback, random) || p.all[p.all.length - 1];
   const bgL = bgApp.oklch[0];
 
   // Surface: slightly darker than bg
@@ -208,7 +247,7 @@ function generateLightScheme(p) {
     bgL - 0.16,
     bgL - 0.06
   );
-  const bgSurface = pickRandom(surfaceCandidates)
+  const bgSurface = locked.bgSurface || pickRandom(surfaceCandidates, random)
     || findClosestByLightness([...p.lightNeutrals, ...p.midNeutrals, ...p.all], bgL - 0.10)
     || bgApp;
   const surfaceL = bgSurface.oklch[0];
@@ -219,7 +258,7 @@ function generateLightScheme(p) {
     surfaceL - 0.16,
     surfaceL - 0.06
   );
-  const bgElevated = pickRandom(elevatedCandidates)
+  const bgElevated = locked.bgElevated || pickRandom(elevatedCandidates, random)
     || findClosestByLightness([...p.midNeutrals, ...p.all], surfaceL - 0.10)
     || bgSurface;
 
@@ -227,20 +266,20 @@ function generateLightScheme(p) {
   const textCandidates = filterByLightness(p.all, 0, 0.25)
     .filter(c => Math.abs(c.oklch[0] - bgL) >= 0.40);
   const textWithContrast = filterByContrast(textCandidates, bgApp, 4.5);
-  let textPrimary = pickRandom(textWithContrast.length > 0 ? textWithContrast : textCandidates);
+  let textPrimary = locked.textPrimary || pickRandom(textWithContrast.length > 0 ? textWithContrast : textCandidates, random);
   if (!textPrimary) {
     const fallbackText = filterByContrast(
       sortByLightness(p.all, 'asc').slice(0, 5),
       bgApp,
       3.0
     );
-    textPrimary = pickRandom(fallbackText) || sortByLightness(p.all, 'asc')[0] || p.all[0];
+    textPrimary = pickRandom(fallbackText, random) || sortByLightness(p.all, 'asc')[0] || p.all[0];
   }
 
   // Text muted: between text and bg
   const mutedCandidates = filterByLightness(p.all, textPrimary.oklch[0] + 0.10, bgL - 0.20);
   const mutedWithContrast = filterByContrast(mutedCandidates, bgApp, 3.0);
-  const textMuted = pickRandom(mutedWithContrast.length > 0 ? mutedWithContrast : mutedCandidates)
+  const textMuted = locked.textMuted || pickRandom(mutedWithContrast.length > 0 ? mutedWithContrast : mutedCandidates, random)
     || findClosestByLightness(p.all, (bgL + textPrimary.oklch[0]) / 2)
     || textPrimary;
 
@@ -250,10 +289,11 @@ function generateLightScheme(p) {
     ...p.midNeutrals, ...p.darkNeutrals,
     ...p.midMuted, ...p.darkMuted
   ].filter(c => c.oklch[0] <= 0.65);
-  const borderSubtle = pickBorderColor(bgApp, subtleCandidates, {
+  const borderSubtle = locked.borderSubtle || pickBorderColor(bgApp, subtleCandidates, {
     minRatio: 1.5,
     maxRatio: 3.0,
-    targetRatio: 2.0
+    targetRatio: 2.0,
+    random
   }) || findClosestByLightness(p.all.filter(c => c.oklch[0] <= 0.65), 0.55)
      || bgSurface;
 
@@ -263,10 +303,11 @@ function generateLightScheme(p) {
     ...p.midNeutrals, ...p.darkNeutrals,
     ...p.midMuted, ...p.darkMuted
   ].filter(c => c.oklch[0] <= 0.55);
-  const borderStrong = pickBorderColor(bgApp, strongCandidates, {
+  const borderStrong = locked.borderStrong || pickBorderColor(bgApp, strongCandidates, {
     minRatio: 3.0,
     maxRatio: 7.0,
-    targetRatio: 4.0
+    targetRatio: 4.0,
+    random
   }) || findClosestByLightness(p.all.filter(c => c.oklch[0] <= 0.55), 0.45)
      || bgElevated;
 
@@ -274,7 +315,7 @@ function generateLightScheme(p) {
   const accentCandidates = [...p.midVivid, ...p.darkVivid, ...p.lightVivid]
     .filter(c => Math.abs(c.oklch[0] - bgL) >= 0.15)
     .filter(c => hueDifference(c.oklch[2], bgApp.oklch[2]) > 15);
-  let accentSolid = pickRandom(accentCandidates);
+  let accentSolid = locked.accentSolid || pickRandom(accentCandidates, random);
   if (!accentSolid) {
     const chromaSorted = sortByChroma(p.all, 'desc');
     accentSolid = chromaSorted[0] || p.all[Math.floor(p.all.length / 2)];
@@ -283,8 +324,8 @@ function generateLightScheme(p) {
   // Accent soft: muted color with similar hue
   const softCandidates = [...p.midMuted, ...p.lightMuted, ...p.darkMuted]
     .filter(c => hueDifference(c.oklch[2], accentSolid.oklch[2]) < 30);
-  const accentSoft = pickRandom(softCandidates)
-    || pickRandom([...p.midMuted, ...p.lightMuted])
+  const accentSoft = locked.accentSoft || pickRandom(softCandidates, random)
+    || pickRandom([...p.midMuted, ...p.lightMuted], random)
     || findClosestByLightness(p.all, 0.5)
     || accentSolid;
 
@@ -301,11 +342,11 @@ function generateLightScheme(p) {
       .filter(c => c.oklch[0] <= 0.25);
   }
   const textOnAccentWithContrast = filterByContrast(textOnAccentCandidates, accentSolid, 4.5);
-  const textOnAccent = pickRandom(textOnAccentWithContrast.length > 0 ? textOnAccentWithContrast : textOnAccentCandidates)
+  const textOnAccent = locked.textOnAccent || pickRandom(textOnAccentWithContrast.length > 0 ? textOnAccentWithContrast : textOnAccentCandidates, random)
     || textPrimary;
 
   // Destructive color
-  const destructive = pickDestructiveColor(p);
+  const destructive = locked.destructive || pickDestructiveColor(p, random);
 
   return {
     bgApp,
@@ -323,35 +364,62 @@ function generateLightScheme(p) {
 }
 
 /** Default destructive color: muted brick red */
-const DEFAULT_DESTRUCTIVE = {
+export const DEFAULT_DESTRUCTIVE = {
   name: 'default-destructive',
   rgb: [140, 82, 72],
   oklch: [0.45, CHROMA.STRONG_MIN, 25] // L=midpoint, C=strong accent threshold, H=red
 };
 
+/** Default status colors, muted like the destructive default */
+export const DEFAULT_STATUS = {
+  success: { name: 'default-success', rgb: [66, 130, 82], oklch: [0.55, 0.1, 150] },
+  warning: { name: 'default-warning', rgb: [222, 161, 67], oklch: [0.75, 0.13, 75] },
+  info: { name: 'default-info', rgb: [57, 119, 168], oklch: [0.55, 0.1, 245] }
+};
+
+/** Default text for status colors when no scheme color is readable on them */
+export const DEFAULT_STATUS_TEXT = [
+  { name: 'default-text-light', rgb: [255, 255, 255], oklch: [1, 0, 0] },
+  { name: 'default-text-dark', rgb: [0, 0, 0], oklch: [0, 0, 0] }
+];
+
+/** Status tokens besides destructive, with their on-color text token */
+export const STATUS_TOKENS = [
+  ['success', 'textOnSuccess'],
+  ['warning', 'textOnWarning'],
+  ['info', 'textOnInfo']
+];
+
 /**
  * Pick a destructive color from palette or provide default
  * Prefers muted red/brick colors (lower chroma)
  * @param {ClassifiedPalette} p
+ * @param {RandomFn} [random]
  * @returns {Color}
  */
-export function pickDestructiveColor(p) {
-  const candidates = p.destructiveCandidates;
-
-  if (!candidates || candidates.length === 0) {
-    return DEFAULT_DESTRUCTIVE;
-  }
-
-  // Prefer lower chroma (more muted) for desaturated look
-  const sorted = sortByChroma(candidates, 'asc');
-  // Pick from the more muted half
-  const mutedHalf = sorted.slice(0, Math.max(1, Math.ceil(sorted.length / 2)));
-  const picked = pickRandom(mutedHalf) || candidates[0];
+export function pickDestructiveColor(p, random = Math.random) {
+  return pickStatusColor(p.destructiveCandidates, random) || DEFAULT_DESTRUCTIVE;
+}
 
-  // Ensure we return a valid color with rgb array
-  if (!picked || !picked.rgb || !Array.isArray(picked.rgb)) {
-    return DEFAULT_DESTRUCTIVE;
+/**
+ * Pick success, warning and info colors from the palette (or defaults),
+ * each with text that meets STATUS_TEXT_CONTRAST on it: the scheme's
+ * accent text, primary text or app background when readable, otherwise
+ * white or black
+ * @param {ClassifiedPalette} p
+ * @param {Object.<string, Color>} scheme - Picked base tokens
+ * @param {RandomFn} [random]
+ * @param {Object.<string, Color>} [locked] - Status or text tokens fixed to a color
+ * @returns {{ success: Color, warning: Color, info: Color, textOnSuccess: Color, textOnWarning: Color, textOnInfo: Color }}
+ */
+export function pickStatusTokens(p, scheme, random = Math.random, locked = {}) {
+  const tokens = {};
+  for (const [status, textToken] of STATUS_TOKENS) {
+    const color = locked[status] || pickStatusColor(p[`${status}Candidates`], random) || DEFAULT_STATUS[status];
+    tokens[status] = color;
+    tokens[textToken] = locked[textToken]
+      || pickStatusText(color, [scheme.textOnAccent, scheme.textPrimary, scheme.bgApp])
+      || pickStatusText(color, DEFAULT_STATUS_TEXT);
   }
-
-  return picked;
+  return tokens;
 }
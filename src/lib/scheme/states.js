@@ -0,0 +1,123 @@
+/**
+ * Interactive state tokens
+ *
+ * Hover, active, focus and disabled colors derived in OKLCH from the base
+ * tokens of a scheme, following STATE_CONSTRAINTS: hue kept, lightness
+ * shifted, chroma optionally scaled, then gamut mapped to sRGB.
+ */
+
+import { STATE_ORDER, STATE_CONSTRAINTS } from '../constraints.js';
+import { oklchToRgb, rgbToOklch } from '../convert.js';
+import { measureContrast } from '../math.js';
+
+/** @typedef {import('../../components/palette-bar.js').Color} Color */
+
+/**
+ * @typedef {Object} StateTokens
+ * @property {Color} accentSolidHover
+ * @property {Color} accentSolidActive
+ * @property {Color} accentSoftHover
+ * @property {Color} destructiveHover
+ * @property {Color} destructiveActive
+ * @property {Color} focusRing
+ * @property {Color} disabledBg
+ * @property {Color} disabledText
+ */
+
+/** Largest lightness shift tried when the preferred one misses contrast */
+const MAX_STATE_SHIFT = 0.3;
+
+/** Step between tried shifts */
+const SHIFT_STEP = 0.01;
+
+/**
+ * Shifts to try, nearest to the preferred amount first
+ * @param {number} amount
+ * @returns {number[]}
+ */
+function candidateShifts(amount) {
+  const shifts = [amount];
+  for (let d = SHIFT_STEP; d <= MAX_STATE_SHIFT + 1e-9; d += SHIFT_STEP) {
+    if (amount + d <= MAX_STATE_SHIFT + 1e-9) shifts.push(amount + d);
+    if (amount - d >= -1e-9) shifts.push(amount - d);
+  }
+  return shifts;
+}
+
+/**
+ * Whether a color meets every contrast requirement of a state
+ * @param {Color} color
+ * @param {import('../constraints.js').StateConstraint} constraint
+ * @param {Object.<string, Color>} tokens
+ * @returns {boolean}
+ */
+function meetsStateContrast(color, constraint, tokens) {
+  return constraint.contrast.every(req => {
+    const against = tokens[req.against];
+    if (!against) return true;
+    const value = measureContrast(color.rgb, against.rgb, req.algorithm);
+    return value >= req.min && (req.max === undefined || value <= req.max);
+  });
+}
+
+/**
+ * Derive one state token
+ * @param {string} token
+ * @param {import('../constraints.js').StateConstraint} constraint
+ * @param {Object.<string, Color>} tokens - Base tokens plus earlier states
+ * @returns {Color | null} Null when the source or reference token is missing
+ */
+function deriveState(token, constraint, tokens) {
+  const source = tokens[constraint.from];
+  const { amount, awayFrom, toward } = constraint.lightnessShift;
+  const reference = tokens[awayFrom || toward];
+  if (!source || !reference) return null;
+
+  const [L, C, h] = source.oklch;
+  // Away from the reference lightness (toward the nearer end when equal),
+  // or toward it
+  const away = reference.oklch[0] === L ? (L < 0.5 ? 1 : -1) : Math.sign(L - reference.oklch[0]);
+  const direction = toward ? -away : away;
+  const chroma = C * (constraint.chromaScale ?? 1);
+
+  const build = (shift) => {
+    const rgb = oklchToRgb([Math.min(1, Math.max(0, L + direction * shift)), chroma, h]);
+    return { name: `${source.name} (${token})`, rgb, oklch: rgbToOklch(rgb) };
+  };
+
+  for (const shift of candidateShifts(amount)) {
+    const color = build(shift);
+    if (meetsStateContrast(color, constraint, tokens)) return color;
+  }
+  // Nothing in range meets contrast: keep the preferred shift (findViolations
+  // reports it)
+  return build(amount);
+}
+
+/**
+ * Derive every state token from a scheme's base tokens
+ * @param {Object.<string, Color>} tokens - Base scheme tokens
+ * @returns {Partial<StateTokens>} States whose source tokens are present
+ */
+export function deriveStateTokens(tokens) {
+  const working = { ...tokens };
+  const states = {};
+  for (const token of STATE_ORDER) {
+    const color = deriveState(token, STATE_CONSTRAINTS[token], working);
+    if (!color) continue;
+    working[token] = color;
+    states[token] = color;
+  }
+  return states;
+}
+
+/**
+ * State tokens that miss a contrast requirement (the base tokens left no
+ * shift in range that meets it)
+ * @param {Object.<string, Color>} scheme - Base and state tokens
+ * @returns {string[]}
+ */
+export function findStateViolations(scheme) {
+  return STATE_ORDER.filter(token =>
+    scheme[token] && !meetsStateContrast(scheme[token], STATE_CONSTRAINTS[token], scheme));
+}
@@ -0,0 +1,274 @@
+/**
+ * Scheme quality scoring
+ *
+ * Rates a full set of scheme tokens beyond pass/fail validation. Every
+ * criterion is built from small items that each belong to one token and read
+ * only a few earlier tokens, so the total is a plain weighted sum. That keeps
+ * the score usable inside enumeration, where partial assignments are scored
+ * incrementally.
+ *
+ * Criteria (each 0-100):
+ * - contrast: headroom above each minimum, centering within each range
+ * - spacing: bgApp → bgSurface → bgElevated lightness steps vs their ideals
+ * - hueSeparation: accentSolid hue distance from (non-neutral) backgrounds
+ * - chromaBalance: vivid accent, calm backgrounds, accentSoft/accentSolid ratio
+ */
+
+import { measureContrast, hueDifference } from './math.js';
+import { DARK_MODE_CONSTRAINTS, LIGHT_MODE_CONSTRAINTS, TOKEN_ORDER } from './constraints.js';
+import { CHROMA } from './colors.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+
+/** Criterion weights; they sum to 1 */
+export const SCORE_WEIGHTS = {
+  contrast: 0.4,
+  spacing: 0.2,
+  hueSeparation: 0.2,
+  chromaBalance: 0.2
+};
+
+/** Ideal lightness steps between background layers (midpoints of the constraint ranges) */
+const IDEAL_SURFACE_STEP = 0.08;
+const IDEAL_ELEVATED_STEP = 0.07;
+
+/** Hue distance at which an accent counts as fully separated from a background */
+const FULL_HUE_SEPARATION = 60;
+
+/** Chroma at which accentSolid counts as fully vivid */
+const VIVID_CHROMA = 0.25;
+
+/** Preferred accentSoft chroma as a fraction of accentSolid's */
+const SOFT_CHROMA_RATIO = { min: 0.5, max: 0.8 };
+
+/**
+ * @typedef {Object} ScoreItem
+ * @property {keyof SCORE_WEIGHTS} criterion
+ * @property {string} token - Token the item belongs to
+ * @property {string[]} reads - Other tokens the item reads
+ * @property {string} label
+ * @property {(tokens: Object.<string, Color>) => { score: number, value?: number }} evaluate - score 0-1
+ */
+
+/**
+ * @typedef {Object} ItemScore
+ * @property {string} label
+ * @property {string} token
+ * @property {number} score - 0-100
+ * @property {number} [value] - Measured value (contrast ratio, |Lc|, step, degrees, chroma)
+ */
+
+/**
+ * @typedef {Object} CriterionScore
+ * @property {number} score - 0-100
+ * @property {number} weight - Share of the total, 0-1
+ * @property {ItemScore[]} items
+ */
+
+/**
+ * @typedef {Object} SchemeScore
+ * @property {number} total - Weighted total, 0-100
+ * @property {Object.<keyof SCORE_WEIGHTS, CriterionScore>} criteria
+ */
+
+/**
+ * Clamp to 0-1
+ * @param {number} value
+ * @returns {number}
+ */
+function unit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Round a 0-1 score to a 0-100 score with one decimal
+ * @param {number} value
+ * @returns {number}
+ */
+function toPercent(value) {
+  return Math.round(value * 1000) / 10;
+}
+
+/**
+ * Items for every contrast requirement of a mode
+ * @param {Object.<string, Object>} constraints
+ * @returns {ScoreItem[]}
+ */
+function contrastItems(constraints) {
+  const items = [];
+  for (const token of TOKEN_ORDER) {
+    for (const req of constraints[token].contrast || []) {
+      const algorithm = req.algorithm || 'wcag';
+      items.push({
+        criterion: 'contrast',
+        token,
+        reads: [req.against],
+        label: `${token} / ${req.against}${algorithm === 'apca' ? ' (APCA)' : ''}`,
+        evaluate(tokens) {
+          const value = measureContrast(tokens[token].rgb, tokens[req.against].rgb, algorithm);
+          if (req.max === undefined) {
+            return { score: unit((value - req.min) / req.min), value };
+          }
+          // Ranges (borders, soft accents) score best when centered
+          const mid = (req.min + req.max) / 2;
+          const half = (req.max - req.min) / 2;
+          return { score: unit(1 - Math.abs(value - mid) / half), value };
+        }
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Items for the background lightness steps of a mode
+ * @param {'light' | 'dark'} mode
+ * @returns {ScoreItem[]}
+ */
+function spacingItems(mode) {
+  // Dark mode layers get lighter as they rise, light mode layers get darker
+  const direction = mode === 'dark' ? 1 : -1;
+  const step = (token, below, ideal) => ({
+    criterion: 'spacing',
+    token,
+    reads: [below],
+    label: `${below} → ${token}`,
+    evaluate(tokens) {
+      const value = direction * (tokens[token].oklch[0] - tokens[below].oklch[0]);
+      return { score: unit(1 - Math.abs(value - ideal) / ideal), value };
+    }
+  });
+  return [
+    step('bgSurface', 'bgApp', IDEAL_SURFACE_STEP),
+    step('bgElevated', 'bgSurface', IDEAL_ELEVATED_STEP)
+  ];
+}
+
+/**
+ * Items for accent hue separation from each background. A near-neutral
+ * background can't be confused with the accent whatever its hue.
+ * @returns {ScoreItem[]}
+ */
+function hueSeparationItems() {
+  return ['bgApp', 'bgSurface', 'bgElevated'].map(bg => ({
+    criterion: 'hueSeparation',
+    token: 'accentSolid',
+    reads: [bg],
+    label: `accentSolid / ${bg}`,
+    evaluate(tokens) {
+      const value = hueDifference(tokens.accentSolid.oklch[2], tokens[bg].oklch[2]);
+      const neutrality = 1 - tokens[bg].oklch[1] / CHROMA.NEUTRAL_MAX;
+      return { score: unit(Math.max(value / FULL_HUE_SEPARATION, neutrality)), value };
+    }
+  }));
+}
+
+/**
+ * Items for chroma balance: vivid accent, calm backgrounds, soft accent ratio
+ * @returns {ScoreItem[]}
+ */
+function chromaBalanceItems() {
+  const calm = ['bgApp', 'bgSurface', 'bgElevated'].map(bg => ({
+    criterion: 'chromaBalance',
+    token: bg,
+    reads: [],
+    label: `${bg} calm`,
+    evaluate(tokens) {
+      const value = tokens[bg].oklch[1];
+      return { score: unit(1 - value / CHROMA.NEUTRAL_MAX), value };
+    }
+  }));
+
+  return [
+    ...calm,
+    {
+      criterion: 'chromaBalance',
+      token: 'accentSolid',
+      reads: [],
+      label: 'accentSolid vivid',
+      evaluate(tokens) {
+        const value = tokens.accentSolid.oklch[1];
+        return { score: unit(value / VIVID_CHROMA), value };
+      }
+    },
+    {
+      criterion: 'chromaBalance',
+      token: 'accentSoft',
+      reads: ['accentSolid'],
+      label: 'accentSoft / accentSolid chroma',
+      evaluate(tokens) {
+        const solidC = tokens.accentSolid.oklch[1];
+        const value = solidC > 0 ? tokens.accentSoft.oklch[1] / solidC : 0;
+        const outside = Math.max(SOFT_CHROMA_RATIO.min - value, value - SOFT_CHROMA_RATIO.max, 0);
+        return { score: unit(1 - outside / SOFT_CHROMA_RATIO.min), value };
+      }
+    }
+  ];
+}
+
+/** @type {Object.<string, ScoreItem[]>} */
+const itemCache = {};
+
+/**
+ * Get the score items for a mode, each with its absolute weight in the total
+ * @param {'light' | 'dark'} mode
+ * @returns {Array<ScoreItem & { weight: number }>}
+ */
+export function getScoreItems(mode) {
+  if (!itemCache[mode]) {
+    const constraints = mode === 'dark' ? DARK_MODE_CONSTRAINTS : LIGHT_MODE_CONSTRAINTS;
+    const items = [
+      ...contrastItems(constraints),
+      ...spacingItems(mode),
+      ...hueSeparationItems(),
+      ...chromaBalanceItems()
+    ];
+    itemCache[mode] = items.map(item => ({
+      ...item,
+      weight: SCORE_WEIGHTS[item.criterion] / items.filter(i => i.criterion === item.criterion).length
+    }));
+  }
+  return itemCache[mode];
+}
+
+/**
+ * Score a full set of scheme tokens with a per-criterion breakdown.
+ * Works for canonical and playful schemes alike; failing pairs score 0.
+ * @param {Object.<string, Color>} tokens - At least the TOKEN_ORDER tokens
+ * @param {'light' | 'dark'} mode
+ * @returns {SchemeScore}
+ */
+export function scoreScheme(tokens, mode) {
+  const criteria = {};
+  let total = 0;
+
+  for (const criterion of Object.keys(SCORE_WEIGHTS)) {
+    criteria[criterion] = { score: 0, weight: SCORE_WEIGHTS[criterion], items: [] };
+  }
+
+  for (const item of getScoreItems(mode)) {
+    const { score, value } = item.evaluate(tokens);
+    total += item.weight * score;
+    const criterion = criteria[item.criterion];
+    criterion.score += score;
+    criterion.items.push({ label: item.label, token: item.token, score: toPercent(score), value });
+  }
+
+  for (const criterion of Object.values(criteria)) {
+    criterion.score = toPercent(criterion.items.length > 0 ? criterion.score / criterion.items.length : 1);
+  }
+
+  return { total: toPercent(total), criteria };
+}
+
+/**
+ * Set a scheme's score as a non-enumerable property, so iterating or
+ * spreading the scheme only sees color tokens
+ * @template {Object} T
+ * @param {T} scheme
+ * @param {SchemeScore} score
+ * @returns {T & { score: SchemeScore }}
+ */
+export function attachScore(scheme, score) {
+  return Object.defineProperty(scheme, 'score', { value: score, writable: true, configurable: true, enumerable: false });
+}
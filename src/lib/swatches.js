@@ -0,0 +1,748 @@
+/**
+ * Swatch file import and export
+ *
+ * Reads palettes from design-tool swatch files (Adobe ASE, Photoshop ACO,
+ * GIMP/Inkscape GPL, Procreate .swatches, Sketch .sketchpalette) and plain
+ * text or CSS lists of colors into named sRGB colors. CMYK is converted
+ * without a color profile and reported; models that cannot be converted are
+ * skipped and reported.
+ *
+ * Writes ASE, ACO, GPL and Procreate files with neutrals and accents grouped
+ * the way the editor lists them.
+ */
+
+import { parseColor } from './convert.js';
+import { getValidationBucket } from './validate.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('../components/palette-bar.js').Palette} Palette */
+
+/** @typedef {'ase' | 'aco' | 'gpl' | 'procreate' | 'sketch' | 'text'} SwatchFormat */
+
+/**
+ * @typedef {Object} ImportedSwatch
+ * @property {string} name - From the file, or "color N" where it has none
+ * @property {number[]} rgb - sRGB 0-255
+ * @property {string} [group] - Group the file puts the color in
+ */
+
+/**
+ * @typedef {Object} SwatchImport
+ * @property {SwatchFormat} format
+ * @property {string} [name] - Palette name, where the file has one
+ * @property {ImportedSwatch[]} colors - In file order
+ * @property {string[]} warnings - Colors converted approximately or skipped
+ */
+
+/** File extensions the editor offers, per format */
+export const SWATCH_EXTENSIONS = {
+  ase: ['.ase'],
+  aco: ['.aco'],
+  gpl: ['.gpl'],
+  procreate: ['.swatches'],
+  sketch: ['.sketchpalette'],
+  text: ['.txt', '.css', '.scss', '.less', '.json']
+};
+
+/** Display names per format */
+export const SWATCH_FORMAT_LABELS = {
+  ase: 'Adobe ASE',
+  aco: 'Photoshop ACO',
+  gpl: 'GIMP palette',
+  procreate: 'Procreate swatches',
+  sketch: 'Sketch palette',
+  text: 'color list'
+};
+
+/** ASE block types */
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR = 0x0001;
+
+/** ACO color spaces that can be converted (others are spot color books) */
+const ACO_SPACES = { 0: 'RGB', 1: 'HSB', 2: 'CMYK', 7: 'Lab', 8: 'Grayscale' };
+
+/** Color tokens in a text or CSS list */
+const COLOR_TOKEN = /#[\da-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]*\)/gi;
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * Clamp a 0-1 channel to a 0-255 integer
+ * @param {number} v
+ * @returns {number}
+ */
+function toByte(v) {
+  return Math.round(Math.max(0, Math.min(1, v)) * 255);
+}
+
+/**
+ * Naive device CMYK to sRGB (no color profile)
+ * @param {number[]} cmyk - 0-1
+ * @returns {number[]}
+ */
+function cmykToRgb([c, m, y, k]) {
+  return [c, m, y].map(v => toByte((1 - v) * (1 - k)));
+}
+
+/**
+ * HSB (HSV) to sRGB
+ * @param {number} h - Degrees
+ * @param {number} s - 0-1
+ * @param {number} v - 0-1
+ * @returns {number[]}
+ */
+function hsbToRgb(h, s, v) {
+  const f = (n) => {
+    const k = (n + h / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return [f(5), f(3), f(1)].map(toByte);
+}
+
+/**
+ * CIE Lab (D50) to gamut-mapped sRGB
+ * @param {number} L - 0-100
+ * @param {number} a
+ * @param {number} b
+ * @returns {number[]}
+ */
+function labToRgb(L, a, b) {
+  return parseColor(`lab(${L} ${a} ${b})`).color.rgb;
+}
+
+/**
+ * Name for a color the file leaves unnamed
+ * @param {string | undefined} name
+ * @param {number} index - Position in the file
+ * @returns {string}
+ */
+function nameOrDefault(name, index) {
+  const trimmed = (name || '').trim();
+  return trimmed || `color ${index + 1}`;
+}
+
+/**
+ * Decode UTF-16BE code units, dropping the terminating null
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length - Code units
+ * @returns {string}
+ */
+function readUtf16(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint16(offset + i * 2));
+  return text.replace(/\0+$/, '');
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {DataView}
+ */
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Adobe Swatch Exchange
+ * @param {Uint8Array} bytes
+ * @returns {SwatchImport}
+ */
+function readAse(bytes) {
+  const view = viewOf(bytes);
+  const colors = [];
+  const warnings = [];
+  const blocks = view.getUint32(8);
+  let offset = 12;
+  let group;
+
+  for (let i = 0; i < blocks; i++) {
+    const type = view.getUint16(offset);
+    const body = offset + 6;
+    offset = body + view.getUint32(offset + 2);
+    if (type === ASE_GROUP_END) {
+      group = undefined;
+      continue;
+    }
+
+    const nameLength = view.getUint16(body);
+    const label = readUtf16(view, body + 2, nameLength);
+    if (type === ASE_GROUP_START) {
+      group = label;
+      continue;
+    }
+    if (type !== ASE_COLOR) continue;
+
+    const name = nameOrDefault(label, colors.length);
+    const modelOffset = body + 2 + nameLength * 2;
+    const model = String.fromCharCode(...bytes.subarray(modelOffset, modelOffset + 4)).trim();
+    const value = (n) => view.getFloat32(modelOffset + 4 + n * 4);
+
+    let rgb;
+    if (model === 'RGB') {
+      rgb = [0, 1, 2].map(n => toByte(value(n)));
+    } else if (model === 'CMYK') {
+      rgb = cmykToRgb([0, 1, 2, 3].map(value));
+      warnings.push(`"${name}" is CMYK, converted without a color profile`);
+    } else if (model === 'LAB') {
+      rgb = labToRgb(value(0) * 100, value(1), value(2));
+    } else if (model === 'Gray') {
+      rgb = Array(3).fill(toByte(value(0)));
+    } else {
+      warnings.push(`"${name}" skipped: unsupported color model "${model}"`);
+      continue;
+    }
+    colors.push(group ? { name, rgb, group } : { name, rgb });
+  }
+
+  return { format: 'ase', colors, warnings };
+}
+
+/**
+ * Photoshop color swatches. Version 2 sections carry names and are preferred
+ * over the version 1 section that precedes them.
+ * @param {Uint8Array} bytes
+ * @returns {SwatchImport}
+ */
+function readAco(bytes) {
+  const view = viewOf(bytes);
+  let offset = 0;
+  let section;
+
+  while (offset + 4 <= bytes.byteLength) {
+    const version = view.getUint16(offset);
+    const count = view.getUint16(offset + 2);
+    if (version !== 1 && version !== 2) break;
+    offset += 4;
+
+    section = [];
+    for (let i = 0; i < count; i++) {
+      const space = view.getUint16(offset);
+      const values = [2, 4, 6, 8].map(n => view.getUint16(offset + n));
+      const signed = [2, 4, 6, 8].map(n => view.getInt16(offset + n));
+      offset += 10;
+      let name;
+      if (version === 2) {
+        const length = view.getUint32(offset);
+        name = readUtf16(view, offset + 4, length);
+        offset += 4 + length * 2;
+      }
+      section.push({ space, values, signed, name });
+    }
+  }
+
+  if (!section) throw new Error('Not a Photoshop swatch file');
+
+  const colors = [];
+  const warnings = [];
+  section.forEach(({ space, values, signed, name: label }, i) => {
+    const name = nameOrDefault(label, i);
+    const [w, x, y, z] = values;
+    switch (ACO_SPACES[space]) {
+      case 'RGB':
+        colors.push({ name, rgb: [w, x, y].map(v => Math.round(v / 257)) });
+        break;
+      case 'HSB':
+        colors.push({ name, rgb: hsbToRgb(w / 65535 * 360, x / 65535, y / 65535) });
+        break;
+      case 'CMYK':
+        // Stored as ink coverage inverted: 0 is full ink
+        colors.push({ name, rgb: cmykToRgb([w, x, y, z].map(v => 1 - v / 65535)) });
+        warnings.push(`"${name}" is CMYK, converted without a color profile`);
+        break;
+      case 'Lab':
+        colors.push({ name, rgb: labToRgb(w / 100, signed[1] / 100, signed[2] / 100) });
+        break;
+      case 'Grayscale':
+        // Stored as ink coverage: 10000 is black
+        colors.push({ name, rgb: Array(3).fill(toByte((10000 - w) / 10000)) });
+        break;
+      default:
+        warnings.push(`"${name}" skipped: unsupported color space ${space}`);
+    }
+  });
+
+  return { format: 'aco', colors, warnings };
+}
+
+/**
+ * GIMP / Inkscape palette
+ * @param {string} text
+ * @returns {SwatchImport}
+ */
+function readGpl(text) {
+  const colors = [];
+  const warnings = [];
+  let name;
+
+  text.split(/\r?\n/).slice(1).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || /^Columns:/i.test(trimmed)) return;
+    const nameMatch = trimmed.match(/^Name:\s*(.*)$/i);
+    if (nameMatch) {
+      name = nameMatch[1].trim() || undefined;
+      return;
+    }
+    const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+    if (!match) {
+      warnings.push(`Line ${i + 2} skipped: "${trimmed}" is not a color`);
+      return;
+    }
+    const rgb = match.slice(1, 4).map(v => Math.min(255, parseInt(v, 10)));
+    colors.push({ name: nameOrDefault(match[4], colors.length), rgb });
+  });
+
+  return { format: 'gpl', name, colors, warnings };
+}
+
+/**
+ * Sketch palette plugin file. Colors are channel objects (0-1) or, in early
+ * versions, CSS color strings.
+ * @param {{ colors?: unknown[] }} json
+ * @returns {SwatchImport}
+ */
+function readSketchPalette(json) {
+  const colors = [];
+  const warnings = [];
+
+  (json.colors || []).forEach((entry, i) => {
+    if (typeof entry === 'string') {
+      const result = parseColor(entry);
+      if (!result.ok) {
+        warnings.push(`Color ${i + 1} skipped: ${result.error.message}`);
+        return;
+      }
+      if (result.warning) warnings.push(`Color ${i + 1}: ${result.warning}`);
+      colors.push({ name: nameOrDefault(undefined, i), rgb: result.color.rgb });
+    } else if (entry && ['red', 'green', 'blue'].every(key => typeof entry[key] === 'number')) {
+      colors.push({ name: nameOrDefault(entry.name, i), rgb: [entry.red, entry.green, entry.blue].map(toByte) });
+    } else {
+      warnings.push(`Color ${i + 1} skipped: not a color`);
+    }
+  });
+
+  return { format: 'sketch', colors, warnings };
+}
+
+/**
+ * Find a file in a zip archive, inflating it if compressed
+ * @param {Uint8Array} bytes
+ * @param {string} filename - Compared case-insensitively, in any folder
+ * @returns {Promise<Uint8Array | null>}
+ */
+async function readZipEntry(bytes, filename) {
+  const view = viewOf(bytes);
+  let end = bytes.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const entries = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < entries; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    if (name.split('/').pop().toLowerCase() !== filename.toLowerCase()) continue;
+
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + size);
+    if (method === 0) return data;
+    if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`);
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  return null;
+}
+
+/**
+ * Procreate swatches: a zip holding Swatches.json with HSB colors (0-1) in a
+ * fixed grid, empty slots as null. Procreate does not name colors.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<SwatchImport>}
+ */
+async function readProcreate(bytes) {
+  const entry = await readZipEntry(bytes, 'Swatches.json');
+  if (!entry) throw new Error('No Swatches.json in the archive');
+  const json = JSON.parse(new TextDecoder().decode(entry));
+  const palette = Array.isArray(json) ? json[0] : json;
+
+  const colors = (palette?.swatches || [])
+    .filter(Boolean)
+    .map((swatch, i) => ({
+      name: nameOrDefault(swatch.name, i),
+      rgb: hsbToRgb(swatch.hue * 360, swatch.saturation, swatch.brightness)
+    }));
+
+  return { format: 'procreate', name: palette?.name || undefined, colors, warnings: [] };
+}
+
+/**
+ * Name for a color taken from the rest of its line: a CSS custom property,
+ * Sass/Less variable, JSON key or words around the value
+ * @param {string} rest - Line with the color removed
+ * @returns {string}
+ */
+function labelFromLine(rest) {
+  return rest
+    .replace(/\/\*.*?\*\/|\/\/.*$/g, '')
+    .replace(/[{}:;,"'`=]/g, ' ')
+    .trim()
+    .replace(/^(--|\$|@)/, '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Plain text or CSS list: any CSS color per line, named from the rest of the
+ * line. Lines holding only a named color (or "name: red") count too.
+ * @param {string} text
+ * @returns {SwatchImport}
+ */
+function readColorList(text) {
+  const colors = [];
+  const warnings = [];
+
+  text.replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' ')).split(/\r?\n/).forEach((line, i) => {
+    let tokens = line.match(COLOR_TOKEN) || [];
+    if (tokens.length === 0) {
+      const named = line.match(/^\s*(?:[-$@\w"' ]+[:=]\s*)?["']?([a-z]+)["']?\s*[;,]?\s*$/i);
+      if (!named || !parseColor(named[1]).ok || named[1].toLowerCase() === 'transparent') return;
+      tokens = [named[1]];
+    }
+
+    const label = labelFromLine(tokens.reduce((rest, token) => rest.replace(token, ' '), line));
+    tokens.forEach((token, n) => {
+      const result = parseColor(token);
+      if (!result.ok) {
+        warnings.push(`Line ${i + 1} skipped: ${result.error.message}`);
+        return;
+      }
+      if (result.warning) warnings.push(`Line ${i + 1}: ${result.warning}`);
+      const name = label && tokens.length > 1 ? `${label} ${n + 1}` : label;
+      colors.push({ name: nameOrDefault(name, colors.length), rgb: result.color.rgb });
+    });
+  });
+
+  return { format: 'text', colors, warnings };
+}
+
+/**
+ * Format of a swatch file, from its leading bytes, then its extension, then
+ * its text
+ * @param {string} filename
+ * @param {Uint8Array} bytes
+ * @returns {SwatchFormat}
+ */
+export function detectSwatchFormat(filename, bytes) {
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic === 'ASEF') return 'ase';
+  if (magic === 'PK\x03\x04') return 'procreate';
+
+  const extension = filename.toLowerCase().match(/\.[^.]+$/)?.[0];
+  const byExtension = Object.keys(SWATCH_EXTENSIONS).find(format => SWATCH_EXTENSIONS[format].includes(extension));
+  if (byExtension && byExtension !== 'text') return byExtension;
+
+  const text = new TextDecoder().decode(bytes.subarray(0, 64)).trimStart();
+  if (text.startsWith('GIMP Palette')) return 'gpl';
+  if (text.startsWith('{') && /"compatibleVersion"|"pluginVersion"/.test(new TextDecoder().decode(bytes))) return 'sketch';
+  return 'text';
+}
+
+/**
+ * Read the colors of a swatch file
+ * @param {string} filename - Used to pick the format when the content does not
+ * @param {Uint8Array} bytes
+ * @returns {Promise<SwatchImport>}
+ * @throws {Error} When the file is not a readable swatch file
+ */
+export async function readSwatchFile(filename, bytes) {
+  const format = detectSwatchFormat(filename, bytes);
+  try {
+    switch (format) {
+      case 'ase': return readAse(bytes);
+      case 'aco': return readAco(bytes);
+      case 'procreate': return await readProcreate(bytes);
+      case 'gpl': return readGpl(new TextDecoder().decode(bytes));
+      case 'sketch': return readSketchPalette(JSON.parse(new TextDecoder().decode(bytes)));
+      default: return readColorList(new TextDecoder().decode(bytes));
+    }
+  } catch (err) {
+    // Out-of-range reads mean the file is cut short or not what it claims
+    const reason = err instanceof RangeError ? 'the file is truncated or damaged' : err.message;
+    throw new Error(`Could not read ${filename} as ${SWATCH_FORMAT_LABELS[format]}: ${reason}`);
+  }
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/** Formats that can be written */
+export const SWATCH_EXPORT_FORMATS = ['ase', 'aco', 'gpl', 'procreate'];
+
+/** Swatches per row in a Procreate palette, and swatches it shows */
+const PROCREATE_COLUMNS = 10;
+const PROCREATE_SLOTS = 30;
+
+/**
+ * Neutrals dark to light, then strong and muted accents in palette order:
+ * the groups of the editor's color list and of exported swatch files
+ * @param {Color[]} colors
+ * @returns {{ name: string, colors: Color[] }[]} Empty groups left out
+ */
+export function groupSwatchColors(colors) {
+  const bucketOf = new Map(colors.map(c => [c, getValidationBucket(c)]));
+  const neutrals = colors
+    .filter(c => bucketOf.get(c)?.endsWith('Neutrals'))
+    .sort((a, b) => a.oklch[0] - b.oklch[0]);
+  const accents = [
+    ...colors.filter(c => bucketOf.get(c) === 'strongAccents'),
+    ...colors.filter(c => !neutrals.includes(c) && bucketOf.get(c) !== 'strongAccents')
+  ];
+  return [
+    { name: 'Neutrals', colors: neutrals },
+    { name: 'Accents', colors: accents }
+  ].filter(group => group.colors.length > 0);
+}
+
+/**
+ * sRGB to HSB (HSV)
+ * @param {number[]} rgb - 0-255
+ * @returns {number[]} [h 0-1, s 0-1, v 0-1]
+ */
+function rgbToHsb(rgb) {
+  const [r, g, b] = rgb.map(v => v / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) h = ((g - b) / delta + 6) % 6;
+    else if (max === g) h = (b - r) / delta + 2;
+    else h = (r - g) / delta + 4;
+  }
+  return [h / 6, max === 0 ? 0 : delta / max, max];
+}
+
+/**
+ * Growable big-endian byte writer
+ */
+function createWriter() {
+  const bytes = [];
+  return {
+    bytes,
+    u16: (v) => bytes.push((v >> 8) & 0xff, v & 0xff),
+    u32: (v) => bytes.push((v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff),
+    f32: (v) => {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setFloat32(0, v);
+      bytes.push(...new Uint8Array(view.buffer));
+    },
+    ascii: (text) => bytes.push(...[...text].map(ch => ch.charCodeAt(0))),
+    /** UTF-16BE code units with a terminating null */
+    utf16: (text) => {
+      for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) >> 8, text.charCodeAt(i) & 0xff);
+      bytes.push(0, 0);
+    }
+  };
+}
+
+/**
+ * Adobe Swatch Exchange, one group block per category
+ * @param {Palette} palette
+ * @returns {Uint8Array}
+ */
+function writeAse(palette) {
+  const groups = groupSwatchColors(palette.colors);
+  const body = createWriter();
+  let blocks = 0;
+  const block = (type, write) => {
+    const content = createWriter();
+    write(content);
+    body.u16(type);
+    body.u32(content.bytes.length);
+    body.bytes.push(...content.bytes);
+    blocks++;
+  };
+  const name = (writer, text) => {
+    writer.u16(text.length + 1);
+    writer.utf16(text);
+  };
+
+  for (const group of groups) {
+    block(ASE_GROUP_START, w => name(w, group.name));
+    for (const color of group.colors) {
+      block(ASE_COLOR, w => {
+        name(w, color.name);
+        w.ascii('RGB ');
+        color.rgb.forEach(v => w.f32(v / 255));
+        w.u16(2); // Normal (not global or spot)
+      });
+    }
+    block(ASE_GROUP_END, () => {});
+  }
+
+  const file = createWriter();
+  file.ascii('ASEF');
+  file.u16(1);
+  file.u16(0);
+  file.u32(blocks);
+  return new Uint8Array([...file.bytes, ...body.bytes]);
+}
+
+/**
+ * Photoshop color swatches: a version 1 section for older readers, then the
+ * same colors with names as version 2. ACO has no groups, so the categories
+ * only set the order.
+ * @param {Palette} palette
+ * @returns {Uint8Array}
+ */
+function writeAco(palette) {
+  const colors = groupSwatchColors(palette.colors).flatMap(group => group.colors);
+  const file = createWriter();
+  for (const version of [1, 2]) {
+    file.u16(version);
+    file.u16(colors.length);
+    for (const color of colors) {
+      file.u16(0); // RGB
+      color.rgb.forEach(v => file.u16(v * 257));
+      file.u16(0);
+      if (version === 2) {
+        file.u32(color.name.length + 1);
+        file.utf16(color.name);
+      }
+    }
+  }
+  return new Uint8Array(file.bytes);
+}
+
+/**
+ * GIMP / Inkscape palette, each category under a comment
+ * @param {Palette} palette
+ * @returns {string}
+ */
+function writeGpl(palette) {
+  const lines = ['GIMP Palette', `Name: ${palette.name || 'Untitled'}`, '#'];
+  for (const group of groupSwatchColors(palette.colors)) {
+    lines.push(`# ${group.name}`);
+    for (const color of group.colors) {
+      lines.push(`${color.rgb.map(v => String(v).padStart(3)).join(' ')}\t${color.name.replace(/[\r\n]+/g, ' ')}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/** CRC-32 lookup table (zip polynomial) */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive holding one uncompressed file
+ * @param {string} filename
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function writeZip(filename, data) {
+  const name = new TextEncoder().encode(filename);
+  const crc = crc32(data);
+  const view = new DataView(new ArrayBuffer(30 + 46 + 22));
+  const header = (offset, signature, central) => {
+    view.setUint32(offset, signature, true);
+    let at = offset + 4;
+    if (central) {
+      view.setUint16(at, 20, true); // Version made by
+      at += 2;
+    }
+    view.setUint16(at, 20, true); // Version needed
+    view.setUint16(at + 2, 0, true); // Flags
+    view.setUint16(at + 4, 0, true); // Stored
+    view.setUint16(at + 6, 0, true); // Time
+    view.setUint16(at + 8, 0x21, true); // Date: 1980-01-01
+    view.setUint32(at + 10, crc, true);
+    view.setUint32(at + 14, data.length, true);
+    view.setUint32(at + 18, data.length, true);
+    view.setUint16(at + 22, name.length, true);
+  };
+
+  header(0, 0x04034b50, false);
+  const central = 30;
+  header(central, 0x02014b50, true);
+  view.setUint32(central + 42, 0, true); // Local header offset
+  const end = central + 46;
+  view.setUint32(end, 0x06054b50, true);
+  view.setUint16(end + 8, 1, true);
+  view.setUint16(end + 10, 1, true);
+  view.setUint32(end + 12, 46 + name.length, true);
+  view.setUint32(end + 16, 30 + name.length + data.length, true);
+
+  const raw = new Uint8Array(view.buffer);
+  return new Uint8Array([
+    ...raw.subarray(0, 30), ...name, ...data,
+    ...raw.subarray(central, end), ...name,
+    ...raw.subarray(end)
+  ]);
+}
+
+/**
+ * Procreate swatches. Procreate has no color names; accents start on a new
+ * row of the grid unless that would push colors past the slots it shows.
+ * @param {Palette} palette
+ * @returns {Uint8Array}
+ */
+function writeProcreate(palette) {
+  const swatches = [];
+  const groups = groupSwatchColors(palette.colors);
+  const total = groups.reduce((sum, group) => sum + group.colors.length, 0);
+  let placed = 0;
+  groups.forEach((group, i) => {
+    const padding = (PROCREATE_COLUMNS - swatches.length % PROCREATE_COLUMNS) % PROCREATE_COLUMNS;
+    if (i > 0 && swatches.length + padding + total - placed <= PROCREATE_SLOTS) {
+      swatches.push(...Array(padding).fill(null));
+    }
+    for (const color of group.colors) {
+      const [hue, saturation, brightness] = rgbToHsb(color.rgb);
+      swatches.push({ hue, saturation, brightness, alpha: 1, colorSpace: 0 });
+      placed++;
+    }
+  });
+
+  const json = JSON.stringify([{ name: palette.name || 'Untitled', swatches }]);
+  return writeZip('Swatches.json', new TextEncoder().encode(json));
+}
+
+/**
+ * Write a palette as a swatch file
+ * @param {Palette} palette
+ * @param {'ase' | 'aco' | 'gpl' | 'procreate'} format - One of SWATCH_EXPORT_FORMATS
+ * @returns {{ filename: string, bytes: Uint8Array }}
+ */
+export function writeSwatchFile(palette, format) {
+  const writers = {
+    ase: writeAse,
+    aco: writeAco,
+    gpl: p => new TextEncoder().encode(writeGpl(p)),
+    procreate: writeProcreate
+  };
+  return {
+    filename: `${palette.id || 'palette'}${SWATCH_EXTENSIONS[format][0]}`,
+    bytes: writers[format](palette)
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Design token export
+ *
+ * Turns light and dark schemes into W3C Design Tokens Community Group JSON
+ * and Style Dictionary input. Palette colors become base tokens; every scheme
+ * token that uses a palette color references it by name instead of repeating
+ * the value.
+ */
+
+import { rgbToHex } from './format.js';
+import { generateScheme, getRankedConfigurations, applyConfiguration } from './scheme/index.js';
+
+/** @typedef {import('../components/palette-bar.js').Color} Color */
+/** @typedef {import('./scheme/index.js').ColorScheme} ColorScheme */
+
+/**
+ * @typedef {Object} ThemeSchemes
+ * @property {ColorScheme} [light]
+ * @property {ColorScheme} [dark]
+ */
+
+/**
+ * Scheme tokens in README order, described from the README token contract,
+ * then the derived state tokens in STATE_ORDER
+ */
+export const SCHEME_TOKEN_DESCRIPTIONS = {
+  bgApp: 'Main background. Darkest (or lightest) main canvas.',
+  bgSurface: 'Main work surface. Main cards, panels, chat, inputs.',
+  bgElevated: 'Modals, dropdowns. Slightly offset from bgSurface.',
+  textPrimary: 'Primary text. 4.5:1+ contrast on bgApp.',
+  textMuted: 'Secondary text. 3:1+ contrast on bgApp.',
+  textOnAccent: 'Text on accent backgrounds. 4.5:1+ contrast on accentSolid. Button labels, etc.',
+  borderSubtle: 'Subtle dividers. 1.5-3:1 contrast on backgrounds. Card outlines, row separators.',
+  borderStrong: 'Prominent borders. 3:1+ contrast on bgApp. Focus rings, interactive or important elements.',
+  accentSolid: 'Buttons, links. Vivid color with hue separation. Primary CTAs, active nav.',
+  accentSoft: 'Hover states. Muted version of the accent hue. Selected rows, lower-energy accent.',
+  destructive: 'Error/danger. Falls back to a global default if the palette lacks a candidate.',
+  success: 'Success/confirmation. Green from the palette, or a global default.',
+  warning: 'Warning/caution. Amber from the palette, or a global default.',
+  info: 'Informational. Blue from the palette, or a global default.',
+  textOnSuccess: 'Text on success backgrounds. 4.5:1+ contrast on success.',
+  textOnWarning: 'Text on warning backgrounds. 4.5:1+ contrast on warning.',
+  textOnInfo: 'Text on info backgrounds. 4.5:1+ contrast on info.',
+  accentSolidHover: 'Hovered accentSolid. Lightness shifted away from textOnAccent, 4.5:1+ contrast with it.',
+  accentSolidActive: 'Pressed accentSolid. Shifted further than hover, 4.5:1+ contrast with textOnAccent.',
+  accentSoftHover: 'Hovered accentSoft. 1.5:1+ contrast on bgApp, 4.5:1+ with textPrimary.',
+  destructiveHover: 'Hovered destructive. Lightness shifted away from textOnAccent, 4.5:1+ contrast with it.',
+  destructiveActive: 'Pressed destructive. Shifted further than hover, 4.5:1+ contrast with textOnAccent.',
+  focusRing: 'Focus indicator. Accent hue, 3:1+ contrast on bgApp and bgSurface.',
+  disabledBg: 'Disabled control background. Desaturated bgSurface, 1.1:1+ contrast on bgApp.',
+  disabledText: 'Disabled control text. Desaturated textMuted, 2-4.5:1 contrast on disabledBg.'
+};
+
+/**
+ * Token name as used after the --scheme- prefix (bgApp → bg-app)
+ * @param {string} token
+ * @returns {string}
+ */
+export function schemeTokenName(token) {
+  return token.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase());
+}
+
+/**
+ * Lowercase, dash-separated name safe inside a token path
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '') || 'color';
+}
+
+/**
+ * Unique token names for palette colors, in palette order
+ * @param {Color[]} colors
+ * @returns {Map<Color, string>}
+ */
+function paletteTokenNames(colors) {
+  const names = new Map();
+  const taken = new Set();
+  for (const color of colors) {
+    const base = slugify(color.name);
+    let name = base;
+    for (let i = 2; taken.has(name); i++) name = `${base}-${i}`;
+    taken.add(name);
+    names.set(color, name);
+  }
+  return names;
+}
+
+/**
+ * Palette token name a scheme color comes from, if any
+ * @param {Color} color
+ * @param {Map<Color, string>} names
+ * @returns {string | null}
+ */
+function findPaletteName(color, names) {
+  if (names.has(color)) return names.get(color);
+  for (const [paletteColor, name] of names) {
+    if (paletteColor.rgb.every((v, i) => v === color.rgb[i])) return name;
+  }
+  return null;
+}
+
+/**
+ * Pick the scheme to export for each mode: the best-ranked canonical
+ * configuration, or a seeded playful scheme when the mode has none
+ * @param {Color[]} colors
+ * @param {Object} [options]
+ * @param {number | string} [options.seed] - Seed for destructive and playful picks
+ * @returns {ThemeSchemes} Empty for an empty palette
+ */
+export function resolveThemeSchemes(colors, options = {}) {
+  const { seed = 0 } = options;
+  if (colors.length === 0) return {};
+  const resolve = (mode) => {
+    const [best] = getRankedConfigurations(colors, mode, { pageSize: 1 }).configurations;
+    return best ? applyConfiguration(best, colors, { seed }) : generateScheme(colors, mode, { seed });
+  };
+  return { light: resolve('light'), dark: resolve('dark') };
+}
+
+/**
+ * Build the token tree shared by both formats
+ * @param {Color[]} colors - Palette colors
+ * @param {ThemeSchemes} schemes
+ * @param {(value: string, type: string, description: string) => Object} leaf
+ * @param {(path: string) => string} reference - Alias syntax for a token path
+ * @returns {{ palette: Object, scheme: Object }}
+ */
+function buildTokenTree(colors, schemes, leaf, reference) {
+  const names = paletteTokenNames(colors);
+
+  const palette = {};
+  for (const [color, name] of names) {
+    palette[name] = leaf(rgbToHex(color.rgb), 'color', color.name);
+  }
+
+  const scheme = {};
+  for (const mode of ['light', 'dark']) {
+    if (!schemes[mode]) continue;
+    scheme[mode] = {};
+    for (const [token, description] of Object.entries(SCHEME_TOKEN_DESCRIPTIONS)) {
+      const color = schemes[mode][token];
+      if (!color) continue;
+      const paletteName = findPaletteName(color, names);
+      const value = paletteName ? reference(`palette.${paletteName}`) : rgbToHex(color.rgb);
+      scheme[mode][schemeTokenName(token)] = leaf(value, 'color', description);
+    }
+  }
+
+  return { palette, scheme };
+}
+
+/**
+ * Format schemes as W3C Design Tokens Community Group JSON
+ * @param {Color[]} colors - Palette colors
+ * @param {ThemeSchemes} schemes
+ * @returns {string}
+ */
+export function formatDtcgTokens(colors, schemes) {
+  const tree = buildTokenTree(
+    colors,
+    schemes,
+    (value, type, description) => ({ $type: type, $value: value, $description: description }),
+    path => `{${path}}`
+  );
+  return JSON.stringify(tree, null, 2);
+}
+
+/**
+ * Format schemes as Style Dictionary input (value/type/comment properties,
+ * references to other tokens' values)
+ * @param {Color[]} colors - Palette colors
+ * @param {ThemeSchemes} schemes
+ * @returns {string}
+ */
+export function formatStyleDictionary(colors, schemes) {
+  const tree = buildTokenTree(
+    colors,
+    schemes,
+    (value, type, comment) => ({ value, type, comment }),
+    path => `{color.${path}.value}`
+  );
+  return JSON.stringify({ color: tree }, null, 2);
+}
@@ -49,6 +49,72 @@ function classifyColor(color) {
   };
 }
 
+/** Validation buckets (keys of ValidationResult.counts) and their display names */
+export const VALIDATION_BUCKETS = {
+  darkNeutrals: 'Dark neutrals',
+  midNeutrals: 'Mid neutrals',
+  lightNeutrals: 'Light neutrals',
+  strongAccents: 'Strong accents',
+  mutedAccents: 'Muted accents'
+};
+
+/**
+ * Validation bucket a color counts toward
+ * @param {Color} color
+ * @returns {keyof VALIDATION_BUCKETS | null} Null when the color has no valid oklch
+ */
+export function getValidationBucket(color) {
+  if (!color.oklch || color.oklch.length !== 3) return null;
+  const c = classifyColor(color);
+  if (c.isNeutral) {
+    if (c.isDark) return 'darkNeutrals';
+    return c.isMid ? 'midNeutrals' : 'lightNeutrals';
+  }
+  return c.isStrong ? 'strongAccents' : 'mutedAccents';
+}
+
+/**
+ * @typedef {Object} BucketChange
+ * @property {string} bucket - Counts key
+ * @property {string} label
+ * @property {number} need - Minimum for the bucket
+ * @property {number} before
+ * @property {number} after
+ */
+
+/**
+ * @typedef {Object} ColorChangePreview
+ * @property {string | null} from - Bucket of the current color
+ * @property {string | null} to - Bucket of the replacement
+ * @property {BucketChange[]} buckets - Counts of the buckets left and entered (none when it stays)
+ * @property {{ before: boolean, after: boolean }} valid - Palette validity before and after
+ */
+
+/**
+ * How replacing one palette color would move it between validation buckets
+ * @param {Palette} palette
+ * @param {number} index - Color being replaced
+ * @param {Color} color - Replacement
+ * @returns {ColorChangePreview}
+ */
+export function previewColorChange(palette, index, color) {
+  const before = validatePalette(palette);
+  const colors = palette.colors.map((c, i) => i === index ? color : c);
+  const after = validatePalette({ ...palette, colors });
+
+  const from = getValidationBucket(palette.colors[index]);
+  const to = getValidationBucket(color);
+  const buckets = from === to ? [] : [from, to].filter(Boolean).map(bucket => ({
+    bucket,
+    label: VALIDATION_BUCKETS[bucket],
+    need: MINIMUMS[bucket],
+    before: before.counts[bucket],
+    after: after.counts[bucket]
+  }));
+
+  return { from, to, buckets, valid: { before: before.valid, after: after.valid } };
+}
+
 /**
  * Validate a palette against the 12-color guidelines
  * @param {Palette} palette
@@ -84,17 +150,7 @@ export function validatePalette(palette) {
       continue;
     }
 
-    const c = classifyColor(color);
-
-    if (c.isNeutral) {
-      if (c.isDark) counts.darkNeutrals++;
-      else if (c.isMid) counts.midNeutrals++;
-      else if (c.isLight) counts.lightNeutrals++;
-    } else if (c.isStrong) {
-      counts.strongAccents++;
-    } else if (c.isMuted) {
-      counts.mutedAccents++;
-    }
+    counts[getValidationBucket(color)]++;
   }
 
   // Check minimums
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { readStateParams, writeStateParams, createState } from '../persist.js';
+
+const PALETTE_SIZE = 16;
+
+const state = {
+  mode: 'dark',
+  seed: 42,
+  disabled: [3, 7],
+  modes: {
+    light: { config: 2, overrides: { bgApp: 12 }, locks: { textPrimary: 0 } },
+    dark: { config: null, overrides: { accentSolid: 13, destructive: 14 }, locks: {} }
+  }
+};
+
+describe('writeStateParams / readStateParams', () => {
+  it('round-trips both modes', () => {
+    const params = new URLSearchParams('palette=sea_glass');
+    writeStateParams(params, state);
+    expect(params.get('light-config')).toBe('3');
+    expect(params.get('dark-overrides')).toBe('accentSolid:13,destructive:14');
+    expect(params.has('dark-config')).toBe(false);
+    expect(params.get('palette')).toBe('sea_glass');
+
+    // The recipient's own state must not leak into a shared link
+    const fallback = { ...createState('light', 1), modes: { light: { config: 5, overrides: { bgApp: 1 }, locks: {} }, dark: { config: 4, overrides: {}, locks: { bgApp: 2 } } } };
+    const read = readStateParams(new URLSearchParams(params.toString()), fallback, PALETTE_SIZE);
+    expect(read).toEqual(state);
+  });
+
+  it('keeps string seeds and drops emptied params', () => {
+    const params = new URLSearchParams('light-locks=bgApp:1&config=2');
+    writeStateParams(params, { ...createState('light', 'sea'), disabled: [] });
+    expect(params.toString()).toBe('seed=sea&mode=light');
+    expect(readStateParams(params, state, PALETTE_SIZE)).toEqual(createState('light', 'sea'));
+  });
+
+  it('uses the fallback when the URL has no seed', () => {
+    const read = readStateParams(new URLSearchParams('mode=light'), state, PALETTE_SIZE);
+    expect(read).toEqual({ ...state, mode: 'light' });
+  });
+
+  it('applies unprefixed params from older links to the link mode', () => {
+    const read = readStateParams(new URLSearchParams('seed=7&mode=dark&config=2&overrides=bgApp:1&locks=accentSolid:13'), state, PALETTE_SIZE);
+    expect(read.modes.dark).toEqual({ config: 1, overrides: { bgApp: 1 }, locks: { accentSolid: 13 } });
+    expect(read.modes.light).toEqual({ config: null, overrides: {}, locks: {} });
+  });
+
+  it('drops malformed values', () => {
+    const params = new URLSearchParams([
+      ['seed', '9'],
+      ['mode', 'sepia'],
+      ['disabled', '1,x,99,-1,1'],
+      ['light-config', 'best'],
+      ['dark-config', '0'],
+      ['light-overrides', 'bgApp:abc,notASlot:1,accentSolid:3,broken,:2'],
+      ['dark-locks', 'textPrimary:16,bgApp:2']
+    ]);
+    const read = readStateParams(params, createState('dark', 0), PALETTE_SIZE);
+    expect(read.mode).toBe('dark');
+    expect(read.seed).toBe(9);
+    expect(read.disabled).toEqual([1]);
+    expect(read.modes.light).toEqual({ config: null, overrides: { accentSolid: 3 }, locks: {} });
+    expect(read.modes.dark).toEqual({ config: null, overrides: {}, locks: { bgApp: 2 } });
+  });
+});
@@ -3,8 +3,29 @@
  */
 
 import { rgbToString } from '../lib/format.js';
-import { generateScheme, getValidConfigurations, applyConfiguration, clearConfigCache } from '../lib/scheme/index.js';
-import { applyScheme, getColorString, copyToClipboard } from './render.js';
+import { escapeHtml } from '../lib/html.js';
+import { downloadFile } from '../lib/download.js';
+import { randomSeed } from '../lib/colors.js';
+import { generateScheme, getRankedConfigurations, applyConfiguration, clearConfigCache, deriveStateTokens } from '../lib/scheme/index.js';
+import { applyScheme, getColorString, copyToClipboard, renderContrastReadouts, renderContrastMatrix, renderViolations, renderCvdWarnings, renderRampPanel, CVD_LABELS, tokenLabel, renderSchemeScore, formatScoreSummary, renderDiagnosis } from './render.js';
+import { getDiagnosis } from '../lib/diagnose.js';
+import { scoreScheme, attachScore } from '../lib/score.js';
+import { findViolations, isLegalAssignment } from '../lib/enumerate.js';
+import { formatDtcgTokens, formatStyleDictionary } from '../lib/tokens.js';
+import { buildContrastMatrix } from '../lib/contrast-matrix.js';
+import { formatCssTheme, CSS_THEME_FORMATS } from '../lib/css-theme.js';
+import { STATE_ORDER } from '../lib/constraints.js';
+import { simulateScheme, findCvdConfusions } from '../lib/cvd.js';
+import { generateRamp } from '../lib/ramp.js';
+import {
+  createState,
+  emptyModeState,
+  readStateParams,
+  writeStateParams,
+  loadStored,
+  saveStored,
+  createSavedScheme
+} from './persist.js';
 
 /** @typedef {import('../components/palette-bar.js').Palette} Palette */
 /** @typedef {import('../lib/scheme/index.js').ColorScheme} ColorScheme */
@@ -15,16 +36,28 @@ let palette = null;
 /** @type {'light' | 'dark'} */
 let mode = 'light';
 
+/** @type {number | string} - Seed for scheme generation, shared via the URL */
+let seed = randomSeed();
+
 /** @type {'oklch' | 'hex' | 'rgb'} */
 let copyFormat = 'oklch';
 
+/** @type {import('../lib/css-theme.js').CssThemeFormat} - Color format of the CSS theme export */
+let cssThemeFormat = 'hex';
+
 /** @type {Set<number>} - Indices of disabled colors */
 let disabledColors = new Set();
 
-/** @type {import('../lib/enumerate.js').Configuration[]} */
-let validConfigurations = [];
+/** @type {Set<number>} - Indices of swatches whose tonal ramp is expanded */
+let expandedRamps = new Set();
+
+/** @type {import('../lib/scheme/canonical.js').RankedPage | null} - Visible page of ranked configs */
+let rankedPage = null;
+
+/** @type {number} - Zero-based page of the ranked config list */
+let configPage = 0;
 
-/** @type {number | null} - Index of selected config, null = unconstrained */
+/** @type {number | null} - Rank of selected config, null = unconstrained */
 let selectedConfigIndex = null;
 
 /** @type {'side-by-side' | 'column'} */
@@ -33,40 +66,253 @@ let layoutMode = 'side-by-side';
 /** @type {boolean} */
 let schemeCollapsed = false;
 
+/** @type {boolean} - Show the light and dark scheme of the theme side by side */
+let splitPreview = false;
+
+/** @type {import('../lib/cvd.js').CvdType | null} - Simulated color vision deficiency, null = normal vision */
+let cvdType = null;
+
 /** @type {Object<string, import('../components/palette-bar.js').Color>} - Manual overrides for scheme slots */
 let schemeOverrides = {};
 
+/** @type {Object<string, import('../components/palette-bar.js').Color>} - Slots kept fixed when regenerating */
+let schemeLocks = {};
+
 /** @type {import('../lib/scheme/index.js').ColorScheme | null} - Cached base scheme */
 let cachedScheme = null;
 
+/** @type {import('./persist.js').ModeState} - Selected config, overrides and locks of the mode not shown */
+let inactiveModeState = emptyModeState();
+
+/** @type {import('./persist.js').SavedScheme[]} - Named schemes saved for this palette */
+let savedSchemes = [];
+
 /**
  * Regenerate the base scheme from current colors and config.
  * Only call this when explicitly needed (randomize, config select, mode change).
  */
 function regenerateScheme() {
   if (!palette) return;
+  cachedScheme = buildScheme(getActiveColors(), mode);
+}
+
+/**
+ * Palette colors that are not disabled (all of them if every color is disabled)
+ * @returns {import('../components/palette-bar.js').Color[]}
+ */
+function getActiveColors() {
   const activeColors = palette.colors.filter((_, i) => !disabledColors.has(i));
-  const colors = activeColors.length > 0 ? activeColors : palette.colors;
+  return activeColors.length > 0 ? activeColors : palette.colors;
+}
+
+/**
+ * Build the scheme for a mode from the selected rank (clamped to what the
+ * mode has), or playful generation when unconstrained
+ * @param {import('../components/palette-bar.js').Color[]} colors
+ * @param {'light' | 'dark'} schemeMode
+ * @param {number | null} [configIndex] - Rank to use, defaults to the selected one
+ * @param {Object<string, import('../components/palette-bar.js').Color>} [locked] - Defaults to the current locks
+ * @returns {ColorScheme}
+ */
+function buildScheme(colors, schemeMode, configIndex = selectedConfigIndex, locked = schemeLocks) {
+  const selected = configIndex !== null
+    ? getRankedConfigurations(colors, schemeMode, { page: configIndex, pageSize: 1, locked }).configurations[0]
+    : null;
 
-  validConfigurations = getValidConfigurations(colors, mode);
+  return selected
+    ? applyConfiguration(selected, colors, { seed, locked })
+    : generateScheme(colors, schemeMode, { seed, locked });
+}
 
-  if (selectedConfigIndex !== null && validConfigurations[selectedConfigIndex]) {
-    cachedScheme = applyConfiguration(validConfigurations[selectedConfigIndex], colors);
-  } else {
-    cachedScheme = generateScheme(colors, mode);
+/**
+ * The cached scheme with manual overrides applied
+ * @returns {ColorScheme}
+ */
+function getDisplayedScheme() {
+  const scheme = attachScore({ ...cachedScheme }, cachedScheme.score);
+  for (const [slot, color] of Object.entries(schemeOverrides)) {
+    if (scheme[slot] !== undefined) {
+      scheme[slot] = color;
+    }
+  }
+  if (Object.keys(schemeOverrides).length > 0) {
+    // States follow the overridden colors they derive from
+    Object.assign(scheme, deriveStateTokens(scheme));
+    scheme.score = scoreScheme(scheme, mode);
+  }
+  return scheme;
+}
+
+/**
+ * Displayed scheme for the current mode plus the other mode's scheme with
+ * its own selection and overrides, for token export
+ * @returns {import('../lib/tokens.js').ThemeSchemes}
+ */
+function getThemeSchemes() {
+  const otherMode = mode === 'light' ? 'dark' : 'light';
+  const otherLocks = {};
+  for (const [slot, index] of Object.entries(inactiveModeState.locks)) {
+    otherLocks[slot] = palette.colors[index];
+  }
+  const other = buildScheme(getActiveColors(), otherMode, inactiveModeState.config, otherLocks);
+  for (const [slot, index] of Object.entries(inactiveModeState.overrides)) {
+    other[slot] = palette.colors[index];
+  }
+  if (Object.keys(inactiveModeState.overrides).length > 0) {
+    Object.assign(other, deriveStateTokens(other));
+  }
+  return {
+    [mode]: getDisplayedScheme(),
+    [otherMode]: other
+  };
+}
+
+/**
+ * Where a mode's exported scheme comes from: the selected config's id (or
+ * playful with the seed), plus any overrides
+ * @param {'light' | 'dark'} schemeMode
+ * @returns {string}
+ */
+function describeConfigId(schemeMode) {
+  const current = schemeMode === mode;
+  const config = current ? selectedConfigIndex : inactiveModeState.config;
+  const locked = current ? schemeLocks : toColors(inactiveModeState.locks);
+  const overrides = current ? schemeOverrides : toColors(inactiveModeState.overrides);
+
+  const selected = config !== null
+    ? getRankedConfigurations(getActiveColors(), schemeMode, { page: config, pageSize: 1, locked }).configurations[0]
+    : null;
+  const id = selected ? selected.id : `playful (seed ${seed})`;
+  const overridden = Object.entries(overrides).map(([slot, color]) => `${slot}:${color.name}`);
+  return overridden.length > 0 ? `${id}; overrides ${overridden.join('|')}` : id;
+}
+
+/**
+ * Both modes of the theme as a CSS file
+ * @returns {string}
+ */
+function getCssTheme() {
+  return formatCssTheme(getThemeSchemes(), {
+    format: cssThemeFormat,
+    paletteId: palette.id,
+    configIds: { light: describeConfigId('light'), dark: describeConfigId('dark') }
+  });
+}
+
+/**
+ * Start a new random seed
+ */
+function reseed() {
+  seed = randomSeed();
+}
+
+/**
+ * Scheme slot → color map as stored (slot → palette index)
+ * @param {Object<string, import('../components/palette-bar.js').Color>} slots
+ * @returns {Object<string, number>}
+ */
+function toIndices(slots) {
+  const indices = {};
+  for (const [slot, color] of Object.entries(slots)) {
+    indices[slot] = palette.colors.indexOf(color);
   }
+  return indices;
 }
 
 /**
- * Remove overrides that reference a specific color index.
+ * Stored slot → palette index map as colors
+ * @param {Object<string, number>} indices
+ * @returns {Object<string, import('../components/palette-bar.js').Color>}
+ */
+function toColors(indices) {
+  const slots = {};
+  for (const [slot, index] of Object.entries(indices)) {
+    slots[slot] = palette.colors[index];
+  }
+  return slots;
+}
+
+/**
+ * Selected config, overrides and locks of the current mode, as stored
+ * @returns {import('./persist.js').ModeState}
+ */
+function getModeState() {
+  return { config: selectedConfigIndex, overrides: toIndices(schemeOverrides), locks: toIndices(schemeLocks) };
+}
+
+/**
+ * Make a stored mode state the current one
+ * @param {import('./persist.js').ModeState} modeState
+ */
+function setModeState(modeState) {
+  selectedConfigIndex = modeState.config;
+  schemeOverrides = toColors(modeState.overrides);
+  schemeLocks = toColors(modeState.locks);
+}
+
+/**
+ * Snapshot of everything needed to reproduce the current view
+ * @returns {import('./persist.js').StyleGuideState}
+ */
+function getState() {
+  const otherMode = mode === 'light' ? 'dark' : 'light';
+  return {
+    mode,
+    seed,
+    disabled: [...disabledColors].sort((a, b) => a - b),
+    modes: { [mode]: getModeState(), [otherMode]: inactiveModeState }
+  };
+}
+
+/**
+ * Replace the current view with a stored state
+ * @param {import('./persist.js').StyleGuideState} state
+ */
+function setState(state) {
+  mode = state.mode;
+  seed = state.seed;
+  disabledColors = new Set(state.disabled);
+  setModeState(state.modes[mode]);
+  inactiveModeState = state.modes[mode === 'light' ? 'dark' : 'light'];
+  cachedScheme = null;
+  clearConfigCache();
+  configPage = 0;
+  applyMode();
+}
+
+/**
+ * Write the state to the URL (so the exact scheme can be shared) and to
+ * localStorage (so it survives a reload)
+ */
+function persistState() {
+  if (!palette) return;
+  const state = getState();
+  const params = new URLSearchParams(window.location.search);
+  params.set('palette', palette.id);
+  writeStateParams(params, state);
+  history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  saveStored(palette.id, { state, saved: savedSchemes });
+}
+
+/**
+ * Remove overrides and locks (in both modes) that reference a specific color index.
  * @param {number} colorIndex
  */
 function clearOverridesForColor(colorIndex) {
   if (!palette) return;
   const color = palette.colors[colorIndex];
-  for (const [slot, overrideColor] of Object.entries(schemeOverrides)) {
-    if (overrideColor === color) {
-      delete schemeOverrides[slot];
+  for (const slots of [schemeOverrides, schemeLocks]) {
+    for (const [slot, slotColor] of Object.entries(slots)) {
+      if (slotColor === color) {
+        delete slots[slot];
+      }
+    }
+  }
+  for (const slots of [inactiveModeState.overrides, inactiveModeState.locks]) {
+    for (const [slot, index] of Object.entries(slots)) {
+      if (index === colorIndex) {
+        delete slots[slot];
+      }
     }
   }
 }
@@ -92,9 +338,12 @@ async function init() {
     return;
   }
 
-  // Detect system preference
-  mode = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-  applyMode();
+  // A shared link wins, then the last state for this palette, then defaults
+  // (system color scheme preference, fresh seed)
+  const stored = loadStored(palette.id, palette.colors.length);
+  savedSchemes = stored.saved;
+  const systemMode = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  setState(readStateParams(params, stored.state || createState(systemMode, seed), palette.colors.length));
 
   setupControls();
   render();
@@ -104,26 +353,24 @@ function render() {
   const app = document.getElementById('app');
   if (!app || !palette) return;
 
-  const activeColors = palette.colors.filter((_, i) => !disabledColors.has(i));
-  const colors = activeColors.length > 0 ? activeColors : palette.colors;
+  const colors = getActiveColors();
 
-  // Get valid configurations (for sidebar display)
-  validConfigurations = getValidConfigurations(colors, mode);
+  // Get the visible page of ranked configurations (for sidebar display)
+  rankedPage = getRankedConfigurations(colors, mode, { page: configPage, locked: schemeLocks });
+  configPage = rankedPage.page;
 
   // Generate scheme only if not cached
   if (!cachedScheme) {
     regenerateScheme();
   }
 
-  // Apply manual overrides to a copy of the cached scheme
-  const scheme = { ...cachedScheme };
-  for (const [slot, color] of Object.entries(schemeOverrides)) {
-    if (scheme[slot] !== undefined) {
-      scheme[slot] = color;
-    }
-  }
+  const scheme = getDisplayedScheme();
+  const violations = findViolations(scheme, mode);
 
-  applyScheme(scheme);
+  // Only the rendered variables are simulated; checks above use the real colors
+  const simulate = (s) => cvdType ? simulateScheme(s, cvdType) : s;
+  applyScheme(simulate(scheme));
+  persistState();
 
   app.innerHTML = `
     <header class="navbar">
@@ -137,7 +384,7 @@ function render() {
     </header>
 
     <div class="sg-layout">
-    <main class="sg-main" data-layout="${layoutMode}">
+    <main class="sg-main" data-layout="${layoutMode}"${splitPreview ? ' data-split' : ''}>
       <div class="sg-main__scheme${schemeCollapsed ? ' collapsed' : ''}">
         <section class="sg-section">
           <h2 id="toggle-scheme">${schemeCollapsed ? 'Generated Scheme +' : 'Generated Scheme'}</h2>
@@ -178,6 +425,27 @@ function render() {
                 <div class="sg-scheme-swatch" data-scheme-slot="destructive" style="background: var(--scheme-destructive)"><span>destructive</span></div>
               </div>
             </div>
+            <div class="sg-scheme-group">
+              <h3>Status</h3>
+              <div class="sg-scheme-row">
+                ${['success', 'warning', 'info'].map(token => `
+                  <div class="sg-scheme-swatch" style="background: var(--scheme-${token})" title="${escapeHtml(scheme[token].name)}"><span>${token}</span></div>
+                `).join('')}
+              </div>
+            </div>
+            <div class="sg-scheme-group">
+              <h3>States (derived)</h3>
+              <div class="sg-scheme-row sg-scheme-row--states">
+                ${STATE_ORDER.map(token => `
+                  <div class="sg-scheme-swatch sg-scheme-swatch--state" style="background: var(--scheme-${tokenLabel(token)})" title="${token}"><span>${tokenLabel(token)}</span></div>
+                `).join('')}
+              </div>
+            </div>
+            ${renderContrastReadouts(scheme)}
+            ${renderContrastMatrix(buildContrastMatrix(scheme, mode))}
+            ${renderViolations(violations)}
+            ${renderCvdWarnings(findCvdConfusions(scheme))}
+            ${renderSchemeScore(scheme.score)}
           </div>
         </section>
       </div>
@@ -199,12 +467,14 @@ function render() {
                 return `
                 <div class="sg-swatch" draggable="true" data-color-index="${i}" style="background: ${rgbToString(c.rgb)}">
                   <span class="sg-swatch__name">${c.name}</span>
+                  <button class="sg-swatch__ramp${expandedRamps.has(i) ? ' active' : ''}" data-ramp-toggle="${i}" title="Show tonal ramp">ramp</button>
                   <button class="sg-swatch__remove" data-remove-index="${i}" title="Remove from palette">
                     <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
                       <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
                     </svg>
                   </button>
                 </div>
+                ${expandedRamps.has(i) ? renderRampPanel(generateRamp(c), i) : ''}
               `;
               }).join('')}
             </div>
@@ -212,141 +482,7 @@ function render() {
         </div>
 
         <div class="sg-main__guide">
-          <div class="sg-guide-sections">
-            <!-- Left column: typography, buttons, alerts -->
-            <div class="sg-guide-column">
-              <section class="sg-guide-section">
-                <h2 class="sg-section-title">Typography</h2>
-                <div class="sg-section-body sg-typography">
-                  <h1>Heading 1 – Primary</h1>
-                  <p>Primary body text using <code>text-primary</code>. Readable on <code>bg-surface</code> and <code>bg-elevated</code>.</p>
-                  <h2>Heading 2 – Section</h2>
-                  <p class="sg-text-muted">Muted text for descriptions, timestamps, and secondary information.</p>
-                  <h3>Heading 3 – Subheading</h3>
-                  <p>Links use <a href="#">accent-solid</a> for navigation and inline actions.</p>
-                </div>
-              </section>
-
-              <section class="sg-guide-section">
-                <h2 class="sg-section-title">Buttons & Messages</h2>
-                <div class="sg-section-body">
-                  <div class="sg-button-row">
-                    <button class="btn btn-primary">Primary</button>
-                    <button class="btn btn-subtle">Subtle</button>
-                    <button class="btn btn-outline">Outline</button>
-                    <button class="btn btn-destructive">Delete</button>
-                    <button class="btn btn-ghost">Ghost</button>
-                  </div>
-
-                  <div class="sg-badge-row">
-                    <span class="badge">Accent soft chip</span>
-                    <span class="badge">Selected filter</span>
-                    <span class="badge">Tag / label</span>
-                  </div>
-
-                  <div class="sg-alert">
-                    <p class="sg-alert-title">Informational message</p>
-                    <p class="sg-alert-body">Uses border-subtle and border-strong to establish hierarchy without new colors.</p>
-                  </div>
-
-                  <div class="sg-alert sg-alert--error">
-                    <p class="sg-alert-title">Error: Something went wrong</p>
-                    <p class="sg-alert-body">Destructive color for border and title makes error states immediately recognizable.</p>
-                  </div>
-                </div>
-              </section>
-            </div>
-
-            <!-- Right column: cards, forms, table, popover -->
-            <div class="sg-guide-column">
-              <section class="sg-guide-section">
-                <h2 class="sg-section-title">Cards & Surfaces</h2>
-                <div class="sg-section-body">
-                  <div class="sg-card-grid">
-                    <article class="card card-surface">
-                      <h3>Surface card</h3>
-                      <p>Uses bg-surface and border-subtle. Good for main content panels and lists.</p>
-                      <p class="card-meta">Card meta text</p>
-                      <div class="sg-button-row">
-                        <button class="btn btn-primary">Primary</button>
-                        <button class="btn btn-subtle">Secondary</button>
-                      </div>
-                    </article>
-                    <article class="card card-elevated">
-                      <h3>Elevated card</h3>
-                      <p>Uses bg-elevated with stronger shadow. For featured info, side panels, or overlays.</p>
-                      <p class="card-meta">Card meta text</p>
-                      <div class="sg-button-row">
-                        <button class="btn btn-outline">Dismiss</button>
-                        <button class="btn btn-primary">Confirm</button>
-                      </div>
-                    </article>
-                  </div>
-                </div>
-              </section>
-
-              <section class="sg-guide-section">
-                <h2 class="sg-section-title">Form & Data</h2>
-                <div class="sg-section-body sg-columns">
-                  <form class="sg-form" onsubmit="return false">
-                    <div class="sg-field">
-                      <label for="sg-name">Text input</label>
-                      <input id="sg-name" class="sg-input" type="text" placeholder="Enter a project name…">
-                    </div>
-                    <div class="sg-field">
-                      <label for="sg-status">Select</label>
-                      <select id="sg-status" class="sg-select">
-                        <option>Draft</option>
-                        <option>In review</option>
-                        <option>Approved</option>
-                      </select>
-                    </div>
-                    <div class="sg-checkbox-row">
-                      <input id="sg-notify" type="checkbox" checked>
-                      <label for="sg-notify">Send me notifications</label>
-                    </div>
-                    <div class="sg-button-row">
-                      <button class="btn btn-primary">Save</button>
-                      <button class="btn btn-ghost" type="button">Cancel</button>
-                    </div>
-                  </form>
-
-                  <div class="sg-table-wrapper">
-                    <table>
-                      <thead>
-                        <tr><th>Item</th><th>Status</th><th>Owner</th></tr>
-                      </thead>
-                      <tbody>
-                        <tr><td>Palette explorer</td><td>Active</td><td>You</td></tr>
-                        <tr><td>Theme randomizer</td><td>Draft</td><td>System</td></tr>
-                        <tr><td>Export pipeline</td><td>In review</td><td>Design</td></tr>
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
-              </section>
-
-              <section class="sg-guide-section">
-                <h2 class="sg-section-title">Elevated Popover</h2>
-                <div class="sg-section-body">
-                  <div class="sg-popover-demo">
-                    <div class="sg-popover-anchor">
-                      <button class="btn btn-outline">Show popover</button>
-                      <div class="sg-popover">
-                        <h4>Popover using bg-elevated</h4>
-                        <p>Demonstrates bg-elevated for menus, tooltips, and floating panels.</p>
-                        <div class="sg-popover-footer">
-                          <button class="btn btn-ghost">Later</button>
-                          <button class="btn btn-primary">Do it</button>
-                        </div>
-                      </div>
-                    </div>
-                    <p class="sg-text-muted">Always visible to show token usage.</p>
-                  </div>
-                </div>
-              </section>
-            </div>
-          </div>
+          ${splitPreview ? renderSplitPreview() : renderGuide()}
         </div>
       </div>
 
@@ -357,31 +493,99 @@ function render() {
       <button id="toggle-layout" class="btn btn--outline sg-layout-toggle">
         ${layoutMode === 'side-by-side' ? 'Column View' : 'Side-By-Side View'}
       </button>
+      <button id="toggle-split" class="btn btn--outline sg-layout-toggle${splitPreview ? ' active' : ''}">
+        ${splitPreview ? 'Single Mode Preview' : 'Light + Dark Preview'}
+      </button>
+
+      <h3>Vision</h3>
+      <div class="sg-cvd-toggles">
+        <button class="sg-cvd-btn${cvdType === null ? ' active' : ''}" data-cvd="">Normal</button>
+        ${Object.entries(CVD_LABELS).map(([type, label]) => `
+          <button class="sg-cvd-btn${cvdType === type ? ' active' : ''}" data-cvd="${type}">${label}</button>
+        `).join('')}
+      </div>
 
       <h3>Scheme Generation</h3>
-      ${validConfigurations.length === 0 && selectedConfigIndex === null
+      <p class="sg-config-seed">Seed <code>${seed}</code></p>
+      ${rankedPage.total === 0 && selectedConfigIndex === null
         ? '<p class="sg-config-notice">No canonical schemes found. Using playful mode (may have contrast issues).</p>'
         : ''}
       <button id="randomize-unconstrained" class="btn btn--outline sg-config-wild${selectedConfigIndex === null ? ' active' : ''}">
         Randomize (Playful)
       </button>
       <div class="sg-config-divider">Valid Configurations</div>
-      <button id="reload-configs" class="btn btn--subtle sg-config-reload">Reload</button>
+      ${rankedPage.total > 0 ? `
+        <p class="sg-config-count">
+          ${rankedPage.total.toLocaleString()} valid${rankedPage.truncated ? `, best ${rankedPage.ranked.toLocaleString()} ranked` : ''}
+        </p>
+      ` : ''}
       <div class="sg-config-list">
-        ${validConfigurations.length === 0
-          ? `<p class="sg-config-empty">No valid configurations for this palette in ${mode} mode</p>`
-          : validConfigurations.map((config, i) => `
-            <button class="sg-config-btn${selectedConfigIndex === i ? ' active' : ''}" data-config-index="${i}">
-              <span class="sg-config-label">Config ${i + 1}</span>
+        ${rankedPage.total === 0
+          ? `<p class="sg-config-empty">No valid configurations for this palette in ${mode} mode</p>
+            ${renderDiagnosis(getDiagnosis(colors, mode))}`
+          : rankedPage.configurations.map((config, i) => {
+            const rank = rankedPage.offset + i;
+            return `
+            <button class="sg-config-btn${selectedConfigIndex === rank ? ' active' : ''}" data-config-index="${rank}" title="${formatScoreSummary(scoreScheme(config.tokens, config.mode))}">
+              <span class="sg-config-label">#${rank + 1}</span>
+              <span class="sg-config-score">${Math.round(config.score)}</span>
               <span class="sg-config-preview">
                 <span style="background: ${rgbToString(config.tokens.bgApp.rgb)}"></span>
                 <span style="background: ${rgbToString(config.tokens.accentSolid.rgb)}"></span>
                 <span style="background: ${rgbToString(config.tokens.textPrimary.rgb)}"></span>
               </span>
             </button>
-          `).join('')
+          `;
+          }).join('')
         }
       </div>
+      ${rankedPage.pageCount > 1 ? `
+        <div class="sg-config-pager">
+          <button id="config-page-prev" class="btn btn--subtle"${rankedPage.page === 0 ? ' disabled' : ''}>Prev</button>
+          <span>${rankedPage.page + 1} / ${rankedPage.pageCount}</span>
+          <button id="config-page-next" class="btn btn--subtle"${rankedPage.page >= rankedPage.pageCount - 1 ? ' disabled' : ''}>Next</button>
+        </div>
+      ` : ''}
+
+      <div class="sg-export">
+        <h3>Export Tokens</h3>
+        <p class="sg-sidebar-hint">Light and dark scheme, copied to the clipboard</p>
+        <div class="sg-export-buttons">
+          <button id="export-dtcg" class="btn btn--outline">DTCG JSON</button>
+          <button id="export-style-dictionary" class="btn btn--outline">Style Dictionary</button>
+        </div>
+        <h3>CSS Theme</h3>
+        <p class="sg-sidebar-hint">:root (light), [data-mode="dark"] and prefers-color-scheme</p>
+        <div class="sg-css-theme-formats">
+          ${CSS_THEME_FORMATS.map(format => `
+            <button class="sg-css-theme-format${cssThemeFormat === format ? ' active' : ''}" data-css-format="${format}">${format}</button>
+          `).join('')}
+        </div>
+        <div class="sg-export-buttons">
+          <button id="copy-css-theme" class="btn btn--outline">Copy CSS</button>
+          <button id="download-css-theme" class="btn btn--outline">Download CSS</button>
+        </div>
+      </div>
+
+      <div class="sg-saved">
+        <h3>Saved Schemes</h3>
+        <div class="sg-saved-form">
+          <input type="text" id="saved-scheme-name" placeholder="Scheme ${savedSchemes.length + 1}">
+          <button id="save-scheme" class="btn btn--outline">Save</button>
+        </div>
+        ${savedSchemes.length === 0
+          ? '<p class="sg-sidebar-hint">Seed, selection, overrides, locks and disabled colors, stored in this browser</p>'
+          : `<ul class="sg-saved-list">
+            ${savedSchemes.map(saved => `
+              <li class="sg-saved-item" data-saved-id="${saved.id}">
+                <button class="sg-saved-load" title="Load (${saved.state.mode} mode, saved ${new Date(saved.savedAt).toLocaleString()})">${escapeHtml(saved.name)}</button>
+                <button class="sg-saved-rename" title="Rename">Rename</button>
+                <button class="sg-saved-delete" title="Delete">&times;</button>
+              </li>
+            `).join('')}
+          </ul>`}
+        <button id="copy-link" class="btn btn--outline sg-copy-link">Copy Link</button>
+      </div>
     </aside>
 
     <aside class="sg-sidebar sg-sidebar--right">
@@ -397,34 +601,358 @@ function render() {
     </aside>
     </div>
   `;
+
+  if (splitPreview) {
+    const schemes = getThemeSchemes();
+    document.querySelectorAll('.sg-split__half').forEach(half => {
+      applyScheme(simulate(schemes[half.dataset.previewMode]), half);
+    });
+  }
+
+  flagFailingSlots(violations);
+  markLockedSlots();
+}
+
+/**
+ * Selected config of a mode, as a short label
+ * @param {'light' | 'dark'} schemeMode
+ * @returns {string}
+ */
+function describeSelection(schemeMode) {
+  const config = schemeMode === mode ? selectedConfigIndex : inactiveModeState.config;
+  return config === null ? 'Playful' : `Config #${config + 1}`;
+}
+
+/**
+ * The theme's light and dark schemes, each half of the showcase scoped to
+ * its own --scheme-* variables (set after render). The half of the current
+ * mode is the one the sidebar edits; the other can be switched to.
+ * @returns {string} HTML
+ */
+function renderSplitPreview() {
+  const halves = ['light', 'dark'].map(schemeMode => `
+    <section class="sg-split__half${schemeMode === mode ? ' active' : ''}" data-preview-mode="${schemeMode}">
+      <header class="sg-split__header">
+        <h2>${schemeMode === 'light' ? 'Light' : 'Dark'} · ${describeSelection(schemeMode)}</h2>
+        ${schemeMode === mode
+          ? '<span class="sg-split__editing">Editing</span>'
+          : `<button class="btn btn-outline sg-split__edit" data-edit-mode="${schemeMode}">Edit</button>`}
+      </header>
+      ${renderGuide(`-${schemeMode}`)}
+    </section>
+  `).join('');
+
+  return `
+    <p class="sg-split__theme">Theme: light ${describeSelection('light')} + dark ${describeSelection('dark')}</p>
+    <div class="sg-split">${halves}</div>
+  `;
+}
+
+/**
+ * Component showcase markup, styled by the --scheme-* variables in scope
+ * @param {string} [idSuffix] - Keeps form ids unique when rendered more than once
+ * @returns {string} HTML
+ */
+function renderGuide(idSuffix = '') {
+  return `
+    <div class="sg-guide-sections">
+      <!-- Left column: typography, buttons, alerts -->
+      <div class="sg-guide-column">
+        <section class="sg-guide-section">
+          <h2 class="sg-section-title">Typography</h2>
+          <div class="sg-section-body sg-typography">
+            <h1>Heading 1 – Primary</h1>
+            <p>Primary body text using <code>text-primary</code>. Readable on <code>bg-surface</code> and <code>bg-elevated</code>.</p>
+            <h2>Heading 2 – Section</h2>
+            <p class="sg-text-muted">Muted text for descriptions, timestamps, and secondary information.</p>
+            <h3>Heading 3 – Subheading</h3>
+            <p>Links use <a href="#">accent-solid</a> for navigation and inline actions.</p>
+          </div>
+        </section>
+
+        <section class="sg-guide-section">
+          <h2 class="sg-section-title">Buttons & Messages</h2>
+          <div class="sg-section-body">
+            <div class="sg-button-row">
+              <button class="btn btn-primary">Primary</button>
+              <button class="btn btn-subtle">Subtle</button>
+              <button class="btn btn-outline">Outline</button>
+              <button class="btn btn-destructive">Delete</button>
+              <button class="btn btn-ghost">Ghost</button>
+              <button class="btn btn-primary" disabled>Disabled</button>
+            </div>
+
+            <div class="sg-badge-row">
+              <span class="badge">Accent soft chip</span>
+              <span class="badge">Selected filter</span>
+              <span class="badge">Tag / label</span>
+            </div>
+
+            <div class="sg-alert">
+              <p class="sg-alert-title">Informational message</p>
+              <p class="sg-alert-body">Uses border-subtle and border-strong to establish hierarchy without new colors.</p>
+            </div>
+
+            <div class="sg-alert sg-alert--error">
+              <p class="sg-alert-title">Error: Something went wrong</p>
+              <p class="sg-alert-body">Destructive color for border and title makes error states immediately recognizable.</p>
+            </div>
+
+            <div class="sg-alert sg-alert--success">
+              <p class="sg-alert-title"><span class="sg-alert-badge">Success</span> Changes saved</p>
+              <p class="sg-alert-body">Success border with a badge in text-on-success, readable on the status color.</p>
+            </div>
+
+            <div class="sg-alert sg-alert--warning">
+              <p class="sg-alert-title"><span class="sg-alert-badge">Warning</span> Storage almost full</p>
+              <p class="sg-alert-body">Warning ambers are often light; text-on-warning keeps the badge readable.</p>
+            </div>
+
+            <div class="sg-alert sg-alert--info">
+              <p class="sg-alert-title"><span class="sg-alert-badge">Info</span> New version available</p>
+              <p class="sg-alert-body">Info blue for neutral announcements that still need attention.</p>
+            </div>
+          </div>
+        </section>
+      </div>
+
+      <!-- Right column: cards, forms, table, popover -->
+      <div class="sg-guide-column">
+        <section class="sg-guide-section">
+          <h2 class="sg-section-title">Cards & Surfaces</h2>
+          <div class="sg-section-body">
+            <div class="sg-card-grid">
+              <article class="card card-surface">
+                <h3>Surface card</h3>
+                <p>Uses bg-surface and border-subtle. Good for main content panels and lists.</p>
+                <p class="card-meta">Card meta text</p>
+                <div class="sg-button-row">
+                  <button class="btn btn-primary">Primary</button>
+                  <button class="btn btn-subtle">Secondary</button>
+                </div>
+              </article>
+              <article class="card card-elevated">
+                <h3>Elevated card</h3>
+                <p>Uses bg-elevated with stronger shadow. For featured info, side panels, or overlays.</p>
+                <p class="card-meta">Card meta text</p>
+                <div class="sg-button-row">
+                  <button class="btn btn-outline">Dismiss</button>
+                  <button class="btn btn-primary">Confirm</button>
+                </div>
+              </article>
+            </div>
+          </div>
+        </section>
+
+        <section class="sg-guide-section">
+          <h2 class="sg-section-title">Form & Data</h2>
+          <div class="sg-section-body sg-columns">
+            <form class="sg-form" onsubmit="return false">
+              <div class="sg-field">
+                <label for="sg-name${idSuffix}">Text input</label>
+                <input id="sg-name${idSuffix}" class="sg-input" type="text" placeholder="Enter a project name…">
+              </div>
+              <div class="sg-field">
+                <label for="sg-disabled${idSuffix}">Disabled input</label>
+                <input id="sg-disabled${idSuffix}" class="sg-input" type="text" value="Read only" disabled>
+              </div>
+              <div class="sg-field">
+                <label for="sg-status${idSuffix}">Select</label>
+                <select id="sg-status${idSuffix}" class="sg-select">
+                  <option>Draft</option>
+                  <option>In review</option>
+                  <option>Approved</option>
+                </select>
+              </div>
+              <div class="sg-checkbox-row">
+                <input id="sg-notify${idSuffix}" type="checkbox" checked>
+                <label for="sg-notify${idSuffix}">Send me notifications</label>
+              </div>
+              <div class="sg-button-row">
+                <button class="btn btn-primary">Save</button>
+                <button class="btn btn-ghost" type="button">Cancel</button>
+              </div>
+            </form>
+
+            <div class="sg-table-wrapper">
+              <table>
+                <thead>
+                  <tr><th>Item</th><th>Status</th><th>Owner</th></tr>
+                </thead>
+                <tbody>
+                  <tr><td>Palette explorer</td><td>Active</td><td>You</td></tr>
+                  <tr><td>Theme randomizer</td><td>Draft</td><td>System</td></tr>
+                  <tr><td>Export pipeline</td><td>In review</td><td>Design</td></tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </section>
+
+        <section class="sg-guide-section">
+          <h2 class="sg-section-title">Elevated Popover</h2>
+          <div class="sg-section-body">
+            <div class="sg-popover-demo">
+              <div class="sg-popover-anchor">
+                <button class="btn btn-outline">Show popover</button>
+                <div class="sg-popover">
+                  <h4>Popover using bg-elevated</h4>
+                  <p>Demonstrates bg-elevated for menus, tooltips, and floating panels.</p>
+                  <div class="sg-popover-footer">
+                    <button class="btn btn-ghost">Later</button>
+                    <button class="btn btn-primary">Do it</button>
+                  </div>
+                </div>
+              </div>
+              <p class="sg-text-muted">Always visible to show token usage.</p>
+            </div>
+          </div>
+        </section>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Mark scheme swatches whose constraints fail, listing the failing checks
+ * in the tooltip
+ * @param {import('../lib/enumerate.js').SchemeViolations} violations
+ */
+function flagFailingSlots(violations) {
+  document.querySelectorAll('.sg-scheme-swatch[data-scheme-slot]').forEach(el => {
+    const labels = violations.failing[el.dataset.schemeSlot];
+    el.classList.toggle('failing', Boolean(labels));
+    el.title = labels ? `Fails: ${labels.join('; ')}` : '';
+  });
+}
+
+/**
+ * Add a lock toggle to every scheme swatch and mark the locked ones
+ */
+function markLockedSlots() {
+  document.querySelectorAll('.sg-scheme-swatch[data-scheme-slot]').forEach(el => {
+    const slot = el.dataset.schemeSlot;
+    const locked = Boolean(schemeLocks[slot]);
+    el.classList.toggle('locked', locked);
+    el.insertAdjacentHTML('afterbegin', `
+      <button class="sg-scheme-lock" data-lock-slot="${slot}" title="${locked ? `Unlock (${escapeHtml(schemeLocks[slot].name)})` : 'Lock this color'}">
+        <svg viewBox="0 0 24 24" width="12" height="12" fill="currentColor">
+          ${locked
+            ? '<path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zM9 6c0-1.66 1.34-3 3-3s3 1.34 3 3v2H9V6z"/>'
+            : '<path d="M12 17c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm6-9h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6h2c0-1.66 1.34-3 3-3s3 1.34 3 3v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm0 12H6V10h12v10z"/>'}
+        </svg>
+      </button>
+    `);
+  });
+}
+
+/**
+ * Lock a slot to the color it currently shows (taking over any override),
+ * or unlock it, then regenerate around the locks
+ * @param {string} slot
+ */
+function toggleLock(slot) {
+  if (schemeLocks[slot]) {
+    delete schemeLocks[slot];
+  } else {
+    const color = getDisplayedScheme()[slot];
+    // The global destructive fallback is not a palette color and can't be stored
+    if (!palette.colors.includes(color)) return;
+    schemeLocks[slot] = color;
+    delete schemeOverrides[slot];
+  }
+  cachedScheme = null;
+  configPage = 0;
+}
+
+/**
+ * Highlight the scheme slots a palette color could be dropped on without
+ * breaking constraints
+ * @param {import('../components/palette-bar.js').Color} color
+ */
+function markDropTargets(color) {
+  const scheme = getDisplayedScheme();
+  document.querySelectorAll('.sg-scheme-swatch[data-scheme-slot]').forEach(el => {
+    const legal = isLegalAssignment(scheme, mode, el.dataset.schemeSlot, color);
+    el.classList.toggle('drop-legal', legal);
+    el.classList.toggle('drop-illegal', !legal);
+  });
+}
+
+/**
+ * Load, rename or delete a saved scheme
+ * @param {HTMLElement} target - Clicked element inside the saved scheme item
+ * @param {string} id
+ */
+function handleSavedSchemeClick(target, id) {
+  const saved = savedSchemes.find(s => s.id === id);
+  if (!saved) return;
+
+  if (target.closest('.sg-saved-rename')) {
+    const name = prompt('Rename saved scheme', saved.name)?.trim();
+    if (!name) return;
+    saved.name = name;
+  } else if (target.closest('.sg-saved-delete')) {
+    if (!confirm(`Delete saved scheme "${saved.name}"?`)) return;
+    savedSchemes = savedSchemes.filter(s => s !== saved);
+  } else if (target.closest('.sg-saved-load')) {
+    setState(structuredClone(saved.state));
+  } else {
+    return;
+  }
+  render();
 }
 
 function setupControls() {
   document.addEventListener('click', (e) => {
     const target = e.target;
-    if (target.id === 'toggle-mode') {
-      mode = mode === 'light' ? 'dark' : 'light';
-      applyMode();
-      selectedConfigIndex = null;
-      cachedScheme = null;
-      schemeOverrides = {};
-      clearConfigCache();
+    if (target.id === 'toggle-mode' || target.closest('.sg-split__edit')) {
+      // Each mode keeps its own selected config, overrides and locks
+      setState({ ...getState(), mode: mode === 'light' ? 'dark' : 'light' });
       render();
     } else if (target.id === 'toggle-layout') {
       layoutMode = layoutMode === 'side-by-side' ? 'column' : 'side-by-side';
       render();
+    } else if (target.id === 'toggle-split') {
+      splitPreview = !splitPreview;
+      render();
+    } else if (target.closest('.sg-cvd-btn')) {
+      cvdType = target.closest('.sg-cvd-btn').dataset.cvd || null;
+      render();
     } else if (target.id === 'toggle-scheme') {
       schemeCollapsed = !schemeCollapsed;
       render();
     } else if (target.id === 'randomize-unconstrained') {
+      reseed();
       selectedConfigIndex = null;
       cachedScheme = null;
       schemeOverrides = {};
       render();
-    } else if (target.id === 'reload-configs') {
-      cachedScheme = null;
-      schemeOverrides = {};
-      clearConfigCache();
+    } else if (target.id === 'export-dtcg') {
+      copyToClipboard(formatDtcgTokens(palette.colors, getThemeSchemes()));
+    } else if (target.id === 'export-style-dictionary') {
+      copyToClipboard(formatStyleDictionary(palette.colors, getThemeSchemes()));
+    } else if (target.closest('.sg-css-theme-format')) {
+      cssThemeFormat = target.closest('.sg-css-theme-format').dataset.cssFormat;
+      render();
+    } else if (target.id === 'copy-css-theme') {
+      copyToClipboard(getCssTheme());
+    } else if (target.id === 'download-css-theme') {
+      downloadFile(`${palette.id}-theme.css`, getCssTheme(), 'text/css');
+    } else if (target.id === 'copy-link') {
+      copyToClipboard(window.location.href);
+    } else if (target.id === 'save-scheme') {
+      const input = document.getElementById('saved-scheme-name');
+      const name = input?.value.trim() || `Scheme ${savedSchemes.length + 1}`;
+      savedSchemes.push(createSavedScheme(name, getState()));
+      render();
+    } else if (target.closest('.sg-scheme-lock')) {
+      toggleLock(target.closest('.sg-scheme-lock').dataset.lockSlot);
+      render();
+    } else if (target.closest('.sg-saved-item')) {
+      handleSavedSchemeClick(target, target.closest('.sg-saved-item').dataset.savedId);
+    } else if (target.id === 'config-page-prev' || target.id === 'config-page-next') {
+      configPage += target.id === 'config-page-next' ? 1 : -1;
       render();
     } else if (target.id === 'reset-all-colors' && disabledColors.size > 0) {
       disabledColors.clear();
@@ -432,6 +960,7 @@ function setupControls() {
       cachedScheme = null;
       schemeOverrides = {};
       clearConfigCache();
+      configPage = 0;
       render();
     } else if (target.closest('.sg-config-btn')) {
       const btn = target.closest('.sg-config-btn');
@@ -448,12 +977,23 @@ function setupControls() {
           btn.classList.toggle('active', btn.dataset.format === format);
         });
       }
+    } else if (target.closest('.sg-swatch__ramp')) {
+      const idx = parseInt(target.closest('.sg-swatch__ramp').dataset.rampToggle, 10);
+      if (expandedRamps.has(idx)) expandedRamps.delete(idx);
+      else expandedRamps.add(idx);
+      render();
+    } else if (target.closest('.sg-ramp-step')) {
+      const btn = target.closest('.sg-ramp-step');
+      const color = palette.colors[parseInt(btn.dataset.rampIndex, 10)];
+      const step = color && generateRamp(color).steps.find(s => s.step === parseInt(btn.dataset.rampStep, 10));
+      if (step) copyToClipboard(getColorString(step.color, copyFormat));
     } else if (target.closest('.sg-swatch__remove')) {
       const btn = target.closest('.sg-swatch__remove');
       const idx = parseInt(btn.dataset.removeIndex, 10);
       disabledColors.add(idx);
       clearOverridesForColor(idx);
       clearConfigCache();
+      configPage = 0;
       render();
     } else if (target.closest('.sg-sidebar__item')) {
       const item = target.closest('.sg-sidebar__item');
@@ -465,6 +1005,7 @@ function setupControls() {
         clearOverridesForColor(idx);
       }
       clearConfigCache();
+      configPage = 0;
       render();
     } else {
       const swatch = target.closest('.sg-swatch');
@@ -486,6 +1027,7 @@ function setupControls() {
       e.dataTransfer.setData('text/plain', swatch.dataset.colorIndex);
       e.dataTransfer.effectAllowed = 'copy';
       swatch.classList.add('dragging');
+      markDropTargets(palette.colors[parseInt(swatch.dataset.colorIndex, 10)]);
     }
   });
 
@@ -495,7 +1037,7 @@ function setupControls() {
       swatch.classList.remove('dragging');
     }
     document.querySelectorAll('.sg-scheme-swatch').forEach(el => {
-      el.classList.remove('drag-over');
+      el.classList.remove('drag-over', 'drop-legal', 'drop-illegal');
     });
   });
 
@@ -529,7 +1071,14 @@ function setupControls() {
       const slot = target.dataset.schemeSlot;
       const color = palette.colors[colorIndex];
       if (color && slot) {
-        schemeOverrides[slot] = color;
+        if (schemeLocks[slot]) {
+          // A locked slot takes the new color as its lock
+          schemeLocks[slot] = color;
+          cachedScheme = null;
+          configPage = 0;
+        } else {
+          schemeOverrides[slot] = color;
+        }
         render();
       }
     }
@@ -0,0 +1,233 @@
+/**
+ * Style guide state persistence
+ *
+ * The full state (mode, seed, disabled colors, and per mode the selected
+ * config, manual overrides and locked tokens) is kept in localStorage per palette. The URL
+ * carries all of it, both modes included, so a link reproduces the exact
+ * style guide on any machine. Colors are stored as palette indices.
+ */
+
+import { TOKEN_ORDER } from '../lib/constraints.js';
+
+const STORAGE_PREFIX = 'colorstory_style_guide:';
+
+/** Slots that can be overridden */
+const SCHEME_SLOTS = new Set([...TOKEN_ORDER, 'destructive']);
+
+/**
+ * @typedef {Object} ModeState
+ * @property {number | null} config - Rank of the selected config, null = playful
+ * @property {Object.<string, number>} overrides - Scheme slot → palette color index
+ * @property {Object.<string, number>} locks - Locked scheme slot → palette color index
+ */
+
+/**
+ * @typedef {Object} StyleGuideState
+ * @property {'light' | 'dark'} mode
+ * @property {number | string} seed
+ * @property {number[]} disabled - Disabled palette color indices
+ * @property {{ light: ModeState, dark: ModeState }} modes
+ */
+
+/**
+ * @typedef {Object} SavedScheme
+ * @property {string} id
+ * @property {string} name
+ * @property {string} savedAt - ISO timestamp
+ * @property {StyleGuideState} state
+ */
+
+/**
+ * @typedef {Object} StoredPaletteState
+ * @property {StyleGuideState | null} state - Last state, restored on reload
+ * @property {SavedScheme[]} saved
+ */
+
+/**
+ * @returns {ModeState}
+ */
+export function emptyModeState() {
+  return { config: null, overrides: {}, locks: {} };
+}
+
+/**
+ * @param {'light' | 'dark'} mode
+ * @param {number | string} seed
+ * @returns {StyleGuideState}
+ */
+export function createState(mode, seed) {
+  return { mode, seed, disabled: [], modes: { light: emptyModeState(), dark: emptyModeState() } };
+}
+
+/**
+ * Parse a seed the way it was written (integers stay numbers)
+ * @param {string} value
+ * @returns {number | string}
+ */
+function parseSeed(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Whether a value is a usable palette index
+ * @param {number} index
+ * @param {number} paletteSize
+ * @returns {boolean}
+ */
+function isColorIndex(index, paletteSize) {
+  return Number.isInteger(index) && index >= 0 && index < paletteSize;
+}
+
+/**
+ * Drop anything that doesn't fit the palette (indices out of range, unknown slots)
+ * @param {StyleGuideState} state
+ * @param {number} paletteSize
+ * @returns {StyleGuideState}
+ */
+function sanitizeState(state, paletteSize) {
+  const mode = state.mode === 'dark' ? 'dark' : 'light';
+  const sanitizeSlots = (slots) => {
+    const result = {};
+    for (const [slot, index] of Object.entries(slots || {})) {
+      if (SCHEME_SLOTS.has(slot) && isColorIndex(index, paletteSize)) result[slot] = index;
+    }
+    return result;
+  };
+  const sanitizeMode = (modeState) => {
+    const config = Number.isInteger(modeState?.config) && modeState.config >= 0 ? modeState.config : null;
+    return { config, overrides: sanitizeSlots(modeState?.overrides), locks: sanitizeSlots(modeState?.locks) };
+  };
+
+  return {
+    mode,
+    seed: typeof state.seed === 'number' || typeof state.seed === 'string' ? state.seed : 0,
+    disabled: [...new Set((state.disabled || []).filter(i => isColorIndex(i, paletteSize)))].sort((a, b) => a - b),
+    modes: { light: sanitizeMode(state.modes?.light), dark: sanitizeMode(state.modes?.dark) }
+  };
+}
+
+/**
+ * Slot → index map as a URL param value (slot:index,...)
+ * @param {Object.<string, number>} slots
+ * @returns {string}
+ */
+function formatSlots(slots) {
+  return Object.entries(slots).map(([slot, index]) => `${slot}:${index}`).join(',');
+}
+
+/** Modes whose config, overrides and locks have their own URL params */
+const MODES = ['light', 'dark'];
+
+/**
+ * Write the state's seed, mode, disabled colors and each mode's config,
+ * overrides and locks (light-config, dark-overrides, ...) into URL params.
+ * Empty values are removed.
+ * @param {URLSearchParams} params
+ * @param {StyleGuideState} state
+ */
+export function writeStateParams(params, state) {
+  const set = (key, value) => value ? params.set(key, value) : params.delete(key);
+
+  params.set('seed', String(state.seed));
+  params.set('mode', state.mode);
+  set('disabled', state.disabled.join(','));
+  for (const mode of MODES) {
+    const { config, overrides, locks } = state.modes[mode];
+    set(`${mode}-config`, config !== null ? String(config + 1) : '');
+    set(`${mode}-overrides`, formatSlots(overrides));
+    set(`${mode}-locks`, formatSlots(locks));
+  }
+  // Links from before both modes were written
+  for (const key of ['config', 'overrides', 'locks']) params.delete(key);
+}
+
+/**
+ * Read state from URL params. A link with a seed is complete: whatever it
+ * leaves out is empty, not taken from elsewhere. Unprefixed config,
+ * overrides and locks (older links) apply to the link's mode.
+ * @param {URLSearchParams} params
+ * @param {StyleGuideState} fallback - Used when the URL carries no state
+ * @param {number} paletteSize
+ * @returns {StyleGuideState}
+ */
+export function readStateParams(params, fallback, paletteSize) {
+  const modeParam = params.get('mode');
+  const mode = modeParam === 'light' || modeParam === 'dark' ? modeParam : fallback.mode;
+
+  if (!params.has('seed')) {
+    return sanitizeState({ ...fallback, mode }, paletteSize);
+  }
+
+  const list = (key) => (params.get(key) || '').split(',').filter(Boolean);
+  const slots = (key) => {
+    const result = {};
+    for (const entry of list(key)) {
+      const [slot, index] = entry.split(':');
+      result[slot] = parseInt(index, 10);
+    }
+    return result;
+  };
+  const readMode = (name) => {
+    const key = (param) => params.has(`${name}-${param}`) || name !== mode ? `${name}-${param}` : param;
+    const config = parseInt(params.get(key('config')), 10);
+    return {
+      config: Number.isNaN(config) ? null : config - 1,
+      overrides: slots(key('overrides')),
+      locks: slots(key('locks'))
+    };
+  };
+
+  return sanitizeState({
+    mode,
+    seed: parseSeed(params.get('seed')),
+    disabled: list('disabled').map(i => parseInt(i, 10)),
+    modes: { light: readMode('light'), dark: readMode('dark') }
+  }, paletteSize);
+}
+
+/**
+ * Load a palette's stored state and saved schemes
+ * @param {string} paletteId
+ * @param {number} paletteSize
+ * @returns {StoredPaletteState}
+ */
+export function loadStored(paletteId, paletteSize) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + paletteId) || 'null');
+    if (!stored) return { state: null, saved: [] };
+    return {
+      state: stored.state ? sanitizeState(stored.state, paletteSize) : null,
+      saved: (stored.saved || []).map(s => ({ ...s, state: sanitizeState(s.state, paletteSize) }))
+    };
+  } catch {
+    return { state: null, saved: [] };
+  }
+}
+
+/**
+ * Store a palette's current state and saved schemes
+ * @param {string} paletteId
+ * @param {StoredPaletteState} stored
+ */
+export function saveStored(paletteId, stored) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + paletteId, JSON.stringify(stored));
+  } catch (err) {
+    console.error('Failed to save style guide state:', err);
+  }
+}
+
+/**
+ * Create a saved scheme from a snapshot of the state
+ * @param {string} name
+ * @param {StyleGuideState} state
+ * @returns {SavedScheme}
+ */
+export function createSavedScheme(name, state) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    savedAt: new Date().toISOString(),
+    state: structuredClone(state)
+  };
+}
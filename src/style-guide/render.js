@@ -3,7 +3,10 @@
  */
 
 import { rgbToString, oklchToString, rgbToHex } from '../lib/format.js';
-import { contrastRatio } from '../lib/math.js';
+import { escapeHtml } from '../lib/html.js';
+import { contrastRatio, apcaContrast } from '../lib/math.js';
+import { findBlockingStage } from '../lib/diagnose.js';
+import { getSchemeVariables } from '../lib/css-theme.js';
 
 /** @typedef {import('../lib/scheme/index.js').ColorScheme} ColorScheme */
 /** @typedef {import('../components/palette-bar.js').Color} Color */
@@ -12,36 +15,297 @@ import { contrastRatio } from '../lib/math.js';
  * Apply color scheme as CSS custom properties.
  * These use the --scheme-* prefix to avoid collision with base theme tokens (--color-*).
  * @param {ColorScheme} scheme
+ * @param {HTMLElement} [root] - Element the variables are scoped to, defaults to the document
  */
-export function applyScheme(scheme) {
-  const root = document.documentElement;
-
-  // Backgrounds
-  root.style.setProperty('--scheme-bg-app', rgbToString(scheme.bgApp.rgb));
-  root.style.setProperty('--scheme-bg-surface', rgbToString(scheme.bgSurface.rgb));
-  root.style.setProperty('--scheme-bg-elevated', rgbToString(scheme.bgElevated.rgb));
-
-  // Text
-  root.style.setProperty('--scheme-text-primary', rgbToString(scheme.textPrimary.rgb));
-  root.style.setProperty('--scheme-text-muted', rgbToString(scheme.textMuted.rgb));
-  root.style.setProperty('--scheme-text-on-accent', rgbToString(scheme.textOnAccent.rgb));
-
-  // Contrast fallback: if textMuted fails 3:1 on elevated, use textPrimary
-  const mutedOnElevatedRatio = contrastRatio(scheme.textMuted.rgb, scheme.bgElevated.rgb);
-  const textOnElevated = mutedOnElevatedRatio >= 3 ? scheme.textMuted : scheme.textPrimary;
-  root.style.setProperty('--scheme-text-on-elevated', rgbToString(textOnElevated.rgb));
-
-  // Borders
-  root.style.setProperty('--scheme-border-subtle', rgbToString(scheme.borderSubtle.rgb));
-  root.style.setProperty('--scheme-border-strong', rgbToString(scheme.borderStrong.rgb));
-
-  // Accent
-  root.style.setProperty('--scheme-accent-solid', rgbToString(scheme.accentSolid.rgb));
-  root.style.setProperty('--scheme-accent-soft', rgbToString(scheme.accentSoft.rgb));
-
-  // Destructive - fallback to muted brick if missing
-  const destructiveRgb = scheme.destructive?.rgb || [140, 82, 72];
-  root.style.setProperty('--scheme-destructive', rgbToString(destructiveRgb));
+export function applyScheme(scheme, root = document.documentElement) {
+  // Same variables and fallbacks as the CSS theme export
+  for (const { name, rgb } of getSchemeVariables(scheme)) {
+    root.style.setProperty(name, rgbToString(rgb));
+  }
+}
+
+/** Token pairs shown in the contrast readout: [foreground, background] */
+const CONTRAST_READOUT_PAIRS = [
+  ['textPrimary', 'bgApp'],
+  ['textPrimary', 'bgSurface'],
+  ['textMuted', 'bgApp'],
+  ['textMuted', 'bgElevated'],
+  ['textOnAccent', 'accentSolid'],
+  ['borderStrong', 'bgApp']
+];
+
+/**
+ * Convert a camelCase token name to its kebab-case CSS label
+ * @param {string} token
+ * @returns {string}
+ */
+export function tokenLabel(token) {
+  return token.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`);
+}
+
+/**
+ * Render WCAG ratio and APCA Lc for the key text/background pairs
+ * @param {ColorScheme} scheme
+ * @returns {string}
+ */
+export function renderContrastReadouts(scheme) {
+  const rows = CONTRAST_READOUT_PAIRS.map(([fg, bg]) => {
+    const ratio = contrastRatio(scheme[fg].rgb, scheme[bg].rgb);
+    const lc = apcaContrast(scheme[fg].rgb, scheme[bg].rgb);
+    return `
+      <tr>
+        <td>${tokenLabel(fg)} / ${tokenLabel(bg)}</td>
+        <td>${ratio.toFixed(2)}:1</td>
+        <td>Lc ${lc.toFixed(1)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="sg-scheme-group sg-contrast-readouts">
+      <h3>Contrast (WCAG / APCA)</h3>
+      <table>${rows}</table>
+    </div>
+  `;
+}
+
+/** Badge labels for WCAG levels */
+const WCAG_LEVEL_LABELS = { large: 'Large', aa: 'AA', aaa: 'AAA' };
+
+/**
+ * Render the WCAG ratio of every foreground/background token pair with
+ * AA/AAA/large-text badges; pairs the mode's constraints require are starred
+ * and show their required range
+ * @param {import('../lib/contrast-matrix.js').ContrastMatrix} matrix
+ * @returns {string}
+ */
+export function renderContrastMatrix(matrix) {
+  const header = matrix.backgrounds.map(bg => `<th>${tokenLabel(bg)}</th>`).join('');
+
+  const rows = matrix.rows.map((cells, i) => {
+    const tds = cells.map(cell => {
+      if (!cell) return '<td class="sg-contrast-matrix__empty">–</td>';
+      const badges = Object.entries(WCAG_LEVEL_LABELS).map(([level, label]) =>
+        `<span class="sg-contrast-badge${cell.levels[level] ? ' pass' : ''}">${label}</span>`).join('');
+      const { required } = cell;
+      const requirement = required
+        ? `Required: ${required.max !== undefined ? `${required.min}–${required.max}:1` : `≥ ${required.min}:1`}`
+        : '';
+      const classes = ['sg-contrast-matrix__cell'];
+      if (required) classes.push('required', cell.meetsRequired ? 'meets' : 'misses');
+      return `
+        <td class="${classes.join(' ')}"${required ? ` title="${requirement}"` : ''}>
+          <span class="sg-contrast-matrix__ratio">${required ? '★ ' : ''}${cell.ratio.toFixed(2)}:1</span>
+          <span class="sg-contrast-matrix__badges">${badges}</span>
+        </td>
+      `;
+    }).join('');
+    return `<tr><th>${tokenLabel(matrix.foregrounds[i])}</th>${tds}</tr>`;
+  }).join('');
+
+  return `
+    <div class="sg-scheme-group sg-contrast-matrix">
+      <h3>Contrast Matrix (WCAG, ★ = required by the constraints)</h3>
+      <table>
+        <thead><tr><th>fg / bg</th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the expandable tonal ramp panel of a palette swatch
+ * @param {import('../lib/ramp.js').Ramp} ramp
+ * @param {number} colorIndex - Palette index, so a step can be copied
+ * @returns {string} HTML
+ */
+export function renderRampPanel(ramp, colorIndex) {
+  const steps = ramp.steps.map(({ step, color, chromaReduced, contrast, wcag }) => `
+    <button class="sg-ramp-step${step === ramp.anchor ? ' anchor' : ''}" data-ramp-index="${colorIndex}" data-ramp-step="${step}"
+            title="${escapeHtml(color.name)}${chromaReduced ? ' (chroma reduced to fit sRGB)' : ''}">
+      <span class="sg-ramp-step__chip" style="background: ${rgbToString(color.rgb)}"></span>
+      <span class="sg-ramp-step__label">${step}</span>
+      <span class="sg-ramp-step__hex">${rgbToHex(color.rgb)}</span>
+      <span class="sg-ramp-step__wcag${wcag.white !== 'Fail' ? ' pass' : ''}">W ${contrast.white.toFixed(1)} ${wcag.white}</span>
+      <span class="sg-ramp-step__wcag${wcag.black !== 'Fail' ? ' pass' : ''}">B ${contrast.black.toFixed(1)} ${wcag.black}</span>
+    </button>
+  `).join('');
+
+  return `
+    <div class="sg-ramp-panel" data-ramp-panel="${colorIndex}">
+      <h3>${escapeHtml(ramp.source.name)} ramp <span class="sg-ramp-panel__hint">(click a step to copy, contrast vs white / black)</span></h3>
+      <div class="sg-ramp-steps">${steps}</div>
+    </div>
+  `;
+}
+
+/** Display names for score criteria */
+const SCORE_CRITERION_LABELS = {
+  contrast: 'Contrast headroom',
+  spacing: 'Background spacing',
+  hueSeparation: 'Accent hue separation',
+  chromaBalance: 'Chroma balance'
+};
+
+/**
+ * One-line score summary, e.g. for a tooltip
+ * @param {import('../lib/score.js').SchemeScore} score
+ * @returns {string}
+ */
+export function formatScoreSummary(score) {
+  const parts = Object.entries(score.criteria)
+    .map(([criterion, { score: value }]) => `${SCORE_CRITERION_LABELS[criterion]} ${value.toFixed(0)}`);
+  return `Score ${score.total.toFixed(1)}: ${parts.join(', ')}`;
+}
+
+/**
+ * Render the scheme quality score with its per-criterion breakdown,
+ * naming the weakest item of each criterion
+ * @param {import('../lib/score.js').SchemeScore} score
+ * @returns {string}
+ */
+export function renderSchemeScore(score) {
+  const rows = Object.entries(score.criteria).map(([criterion, { score: value, weight, items }]) => {
+    const weakest = items.reduce((min, item) => (item.score < min.score ? item : min), items[0]);
+    return `
+      <tr>
+        <td>${SCORE_CRITERION_LABELS[criterion]} <span class="sg-score-weight">${Math.round(weight * 100)}%</span></td>
+        <td>${value.toFixed(1)}</td>
+        <td class="sg-score-weakest">${weakest ? `${weakest.label}: ${weakest.score.toFixed(0)}` : ''}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="sg-scheme-group sg-scheme-score">
+      <h3>Score ${score.total.toFixed(1)}</h3>
+      <table>${rows}</table>
+    </div>
+  `;
+}
+
+/**
+ * Render the constraint check of the displayed scheme: failing contrast
+ * pairs with their actual values, then other failing checks per slot
+ * @param {import('../lib/enumerate.js').SchemeViolations} violations
+ * @returns {string}
+ */
+export function renderViolations(violations) {
+  if (violations.valid) {
+    return `
+      <div class="sg-scheme-group sg-violations">
+        <h3>Constraints</h3>
+        <p class="sg-violations__ok">All constraints pass</p>
+      </div>
+    `;
+  }
+
+  const contrastRows = violations.contrast.map(({ token, against, algorithm, value, min, max }) => {
+    const unit = algorithm === 'apca' ? 'Lc ' : '';
+    const actual = algorithm === 'apca' ? `Lc ${value.toFixed(1)}` : `${value.toFixed(2)}:1`;
+    const required = max !== undefined ? `${unit}${min}–${max}` : `≥ ${unit}${min}`;
+    return `
+      <tr>
+        <td>${tokenLabel(token)} / ${tokenLabel(against)}</td>
+        <td class="sg-violations__value">${actual}</td>
+        <td>${required}</td>
+      </tr>
+    `;
+  });
+
+  // Contrast failures are already listed with their values
+  const otherRows = Object.entries(violations.failing).flatMap(([token, labels]) =>
+    labels.filter(label => !label.startsWith('contrast vs')).map(label => `
+      <tr>
+        <td>${tokenLabel(token)}</td>
+        <td colspan="2">${label}</td>
+      </tr>
+    `));
+
+  return `
+    <div class="sg-scheme-group sg-violations">
+      <h3>Constraints (${Object.keys(violations.failing).length} failing)</h3>
+      <table>${[...contrastRows, ...otherRows].join('')}</table>
+    </div>
+  `;
+}
+
+/** Display names for color vision deficiencies */
+export const CVD_LABELS = {
+  protanopia: 'Protanopia',
+  deuteranopia: 'Deuteranopia',
+  tritanopia: 'Tritanopia',
+  achromatopsia: 'Achromatopsia'
+};
+
+/**
+ * Render the token pairs that become indistinguishable under a color vision
+ * deficiency, with their simulated distance
+ * @param {import('../lib/cvd.js').CvdConfusion[]} confusions
+ * @returns {string}
+ */
+export function renderCvdWarnings(confusions) {
+  if (confusions.length === 0) {
+    return `
+      <div class="sg-scheme-group sg-cvd-warnings">
+        <h3>Color Vision</h3>
+        <p class="sg-violations__ok">accent-solid and destructive stay distinct under every deficiency</p>
+      </div>
+    `;
+  }
+
+  const rows = confusions.map(({ type, a, b, distance }) => `
+    <tr>
+      <td>${CVD_LABELS[type]}</td>
+      <td>${tokenLabel(a)} / ${tokenLabel(b)}</td>
+      <td class="sg-violations__value">ΔE ${distance.toFixed(3)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="sg-scheme-group sg-violations sg-cvd-warnings">
+      <h3>Color Vision (${confusions.length} indistinguishable)</h3>
+      <table>${rows}</table>
+    </div>
+  `;
+}
+
+/**
+ * Render explain-why-not diagnostics: where enumeration dead-ended, the
+ * suggested color change, and the candidate funnel of every token
+ * @param {import('../lib/diagnose.js').Diagnosis} diagnosis
+ * @returns {string}
+ */
+export function renderDiagnosis(diagnosis) {
+  const { deadEnd, suggestion, tokens } = diagnosis;
+  const dead = tokens.find(t => t.token === deadEnd);
+  const blocking = dead ? findBlockingStage(dead) : null;
+
+  const rows = tokens.map(t => `
+    <details class="sg-diagnosis__token${t.token === deadEnd ? ' dead-end' : ''}${t.reached ? '' : ' unreached'}"${t.token === deadEnd ? ' open' : ''}>
+      <summary>
+        <span>${tokenLabel(t.token)}</span>
+        <span>${t.reached ? t.survivors : '–'}</span>
+      </summary>
+      <ol>
+        ${t.funnel.map(stage => `<li><span>${stage.label}</span><span>${stage.remaining}</span></li>`).join('')}
+      </ol>
+    </details>
+  `).join('');
+
+  return `
+    <div class="sg-diagnosis">
+      ${dead ? `<p>Dead end at <code>${tokenLabel(deadEnd)}</code>${blocking ? `: ${blocking.label} leaves no candidates` : ''}.</p>` : ''}
+      ${suggestion ? `
+        <p class="sg-diagnosis__suggestion">
+          <span class="sg-diagnosis__swatch" style="background: ${rgbToString(suggestion.color.rgb)}"></span>
+          ${escapeHtml(suggestion.message)}
+        </p>
+      ` : ''}
+      <div class="sg-diagnosis__tokens" title="Most candidates surviving per token; expand for each check">${rows}</div>
+    </div>
+  `;
 }
 
 /**